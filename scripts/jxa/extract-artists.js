@@ -0,0 +1,12 @@
+// Extract artist names from Music.app library (JavaScript for Automation)
+// Fetches the whole artist column in one Apple Event
+// Returns JSON: {"fields": ["artist"], "rows": [[...], ...]}
+
+function run() {
+  const Music = Application('Music');
+  const artists = Music.libraryPlaylists[0].tracks.artist();
+  return JSON.stringify({
+    fields: ['artist'],
+    rows: artists.map(function (artist) { return [artist === null ? null : String(artist)]; })
+  });
+}
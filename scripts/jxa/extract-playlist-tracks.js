@@ -0,0 +1,128 @@
+// Extract playlists with their tracks from Music.app (JavaScript for Automation)
+// Fetches each property for all tracks of a playlist at once
+// Returns JSON: {"fields": [...], "rows": [[...], ...]} with the same fields
+// and text conversions as extract-playlist-tracks.applescript
+// Arguments: playlist names to extract (default: all user playlists)
+// A "#total" line with the number of playlist tracks is written first, for progress,
+// then a "#progress" line every 200 tracks and after each playlist
+
+ObjC.import('Foundation');
+
+// Write a line to stdout right away (osascript only prints the result at the end)
+function writeLine(text) {
+  const data = $.NSString.alloc.initWithUTF8String(text + '\n').dataUsingEncoding($.NSUTF8StringEncoding);
+  $.NSFileHandle.fileHandleWithStandardOutput.writeData(data);
+}
+
+// Report the number of records fetched so far
+function writeProgress(done) {
+  writeLine('#progress\u001f' + done);
+}
+
+// Text conversions matching the AppleScript scripts (see src/record-codec.js)
+function toText(value) {
+  if (value === null || value === undefined) return null;
+  return String(value);
+}
+
+function pad(n) {
+  return n < 10 ? '0' + n : String(n);
+}
+
+// Local time as YYYY-MM-DDTHH:MM:SS, like isoDate() in the AppleScripts
+function isoDate(d) {
+  if (!d) return '';
+  return d.getFullYear() + '-' + pad(d.getMonth() + 1) + '-' + pad(d.getDate()) +
+    'T' + pad(d.getHours()) + ':' + pad(d.getMinutes()) + ':' + pad(d.getSeconds());
+}
+
+// AppleScript's `round` rounds halves to even
+function roundHalfEven(x) {
+  const floor = Math.floor(x);
+  const diff = x - floor;
+  if (diff > 0.5) return floor + 1;
+  if (diff < 0.5) return floor;
+  return floor % 2 === 0 ? floor : floor + 1;
+}
+
+function durationMs(seconds) {
+  return seconds === null || seconds === undefined ? '' : String(roundHalfEven(seconds * 1000));
+}
+
+// Fetch a whole property column, or an array of `fallback` if unsupported
+function column(fetch, count, fallback) {
+  try {
+    return fetch();
+  } catch (e) {
+    return new Array(count).fill(fallback);
+  }
+}
+
+// POSIX path of a track's file, empty for tracks without a local file
+function locationText(location) {
+  return location ? location.toString() : '';
+}
+
+function run(argv) {
+  const Music = Application('Music');
+  const playlists = Music.userPlaylists;
+  const playlistNames = playlists.name();
+  const playlistIds = playlists.persistentID();
+  const selected = argv.length > 0 ? argv : null;
+  const rows = [];
+
+  // Skip unselected playlists before reading their tracks
+  const indexes = [];
+  let total = 0;
+  for (let p = 0; p < playlistNames.length; p++) {
+    if (selected && selected.indexOf(playlistNames[p]) === -1) continue;
+    indexes.push(p);
+    total += playlists[p].tracks.length;
+  }
+  writeLine('#total\u001f' + total);
+
+  for (const p of indexes) {
+    const tracks = playlists[p].tracks;
+    const names = tracks.name();
+    const count = names.length;
+    if (count === 0) continue;
+
+    const artists = tracks.artist();
+    const albums = tracks.album();
+    const durations = column(function () { return tracks.duration(); }, count, null);
+    const persistentIds = tracks.persistentID();
+    // Bulk location fails when the playlist mixes file and streaming tracks
+    const locations = column(function () { return tracks.location(); }, count, undefined);
+
+    for (let i = 0; i < count; i++) {
+      let location = locations[i];
+      if (location === undefined) {
+        try {
+          location = tracks[i].location();
+        } catch (e) {
+          location = null;
+        }
+      }
+      rows.push([
+        toText(playlistNames[p]),
+        toText(names[i]),
+        toText(artists[i]),
+        toText(albums[i]),
+        durationMs(durations[i]),
+        locationText(location),
+        toText(playlistIds[p]),
+        toText(persistentIds[i])
+      ]);
+      if (rows.length % 200 === 0) {
+        writeProgress(rows.length);
+      }
+    }
+    writeProgress(rows.length);
+  }
+
+  return JSON.stringify({
+    fields: ['playlist', 'track', 'artist', 'album', 'duration_ms', 'location',
+      'playlist_persistent_id', 'track_persistent_id'],
+    rows: rows
+  });
+}
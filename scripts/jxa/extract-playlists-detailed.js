@@ -0,0 +1,67 @@
+// Extract playlists with their folder, kind, size and duration from Music.app
+// (JavaScript for Automation)
+// Returns JSON: {"fields": [...], "rows": [[...], ...]} with the same fields
+// and text conversions as extract-playlists-detailed.applescript
+
+function toText(value) {
+  if (value === null || value === undefined) return null;
+  return String(value);
+}
+
+// Fetch a whole property column, or an array of `fallback` if unsupported
+function column(fetch, count, fallback) {
+  try {
+    return fetch();
+  } catch (e) {
+    return new Array(count).fill(fallback);
+  }
+}
+
+function run() {
+  const Music = Application('Music');
+  const playlists = Music.userPlaylists;
+  const names = playlists.name();
+  const count = names.length;
+  const ids = playlists.persistentID();
+  const specialKinds = column(function () { return playlists.specialKind(); }, count, 'none');
+  const smarts = column(function () { return playlists.smart(); }, count, null);
+  const geniuses = column(function () { return playlists.genius(); }, count, false);
+  const durations = column(function () { return playlists.duration(); }, count, null);
+  const rows = [];
+
+  for (let i = 0; i < count; i++) {
+    const playlist = playlists[i];
+
+    // Top-level playlists have no parent
+    let parentID = null;
+    try {
+      parentID = playlist.parent.persistentID();
+    } catch (e) {
+      parentID = null;
+    }
+
+    let kind = 'regular';
+    if (specialKinds[i] === 'folder') {
+      kind = 'folder';
+    } else if (smarts[i] === true) {
+      kind = 'smart';
+    } else if (geniuses[i] === true) {
+      kind = 'genius';
+    }
+
+    rows.push([
+      toText(names[i]),
+      toText(ids[i]),
+      toText(parentID),
+      kind,
+      toText(smarts[i]),
+      String(playlist.tracks.length),
+      toText(durations[i])
+    ]);
+  }
+
+  return JSON.stringify({
+    fields: ['name', 'persistent_id', 'parent_persistent_id', 'kind', 'smart', 'track_count', 'duration_s'],
+    rows: rows
+  });
+}
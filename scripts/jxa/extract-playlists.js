@@ -0,0 +1,11 @@
+// Extract playlist names from Music.app (JavaScript for Automation)
+// Returns JSON: {"fields": ["name"], "rows": [[...], ...]}
+
+function run() {
+  const Music = Application('Music');
+  const names = Music.userPlaylists.name();
+  return JSON.stringify({
+    fields: ['name'],
+    rows: names.map(function (name) { return [name === null ? null : String(name)]; })
+  });
+}
@@ -0,0 +1,132 @@
+// Extract full track data from Music.app library (JavaScript for Automation)
+// Fetches each property for all tracks at once instead of track by track
+// Returns JSON: {"fields": [...], "rows": [[...], ...]} with the same fields
+// and text conversions as extract-tracks.applescript
+// A "#total" line with the number of tracks is written first, for progress,
+// then a "#progress" line as each property column arrives
+
+ObjC.import('Foundation');
+
+// Write a line to stdout right away (osascript only prints the result at the end)
+function writeLine(text) {
+  const data = $.NSString.alloc.initWithUTF8String(text + '\n').dataUsingEncoding($.NSUTF8StringEncoding);
+  $.NSFileHandle.fileHandleWithStandardOutput.writeData(data);
+}
+
+// Report the number of records fetched so far
+function writeProgress(done) {
+  writeLine('#progress\u001f' + done);
+}
+
+// Text conversions matching the AppleScript scripts (see src/record-codec.js)
+function toText(value) {
+  if (value === null || value === undefined) return null;
+  return String(value);
+}
+
+function pad(n) {
+  return n < 10 ? '0' + n : String(n);
+}
+
+// Local time as YYYY-MM-DDTHH:MM:SS, like isoDate() in the AppleScripts
+function isoDate(d) {
+  if (!d) return '';
+  return d.getFullYear() + '-' + pad(d.getMonth() + 1) + '-' + pad(d.getDate()) +
+    'T' + pad(d.getHours()) + ':' + pad(d.getMinutes()) + ':' + pad(d.getSeconds());
+}
+
+// AppleScript's `round` rounds halves to even
+function roundHalfEven(x) {
+  const floor = Math.floor(x);
+  const diff = x - floor;
+  if (diff > 0.5) return floor + 1;
+  if (diff < 0.5) return floor;
+  return floor % 2 === 0 ? floor : floor + 1;
+}
+
+function durationMs(seconds) {
+  return seconds === null || seconds === undefined ? '' : String(roundHalfEven(seconds * 1000));
+}
+
+// Fetch a whole property column, or an array of `fallback` if unsupported
+function column(fetch, count, fallback) {
+  try {
+    return fetch();
+  } catch (e) {
+    return new Array(count).fill(fallback);
+  }
+}
+
+const FIELDS = ['title', 'artist', 'album_artist', 'album', 'genre', 'year', 'duration_ms',
+  'track_number', 'disc_number', 'composer', 'play_count', 'rating', 'loved',
+  'date_added', 'last_played', 'persistent_id'];
+
+// One property column per field
+const COLUMN_COUNT = FIELDS.length;
+
+function run() {
+  const Music = Application('Music');
+  const tracks = Music.libraryPlaylists[0].tracks;
+  const names = tracks.name();
+  const count = names.length;
+  writeLine('#total\u001f' + count);
+
+  // Each column holds every track, so progress moves one column at a time
+  let fetchedColumns = 0;
+  function fetched(values) {
+    fetchedColumns++;
+    writeProgress(Math.floor(count * fetchedColumns / COLUMN_COUNT));
+    return values;
+  }
+  fetched(names);
+
+  const artists = fetched(tracks.artist());
+  const albumArtists = fetched(tracks.albumArtist());
+  const albums = fetched(tracks.album());
+  const genres = fetched(tracks.genre());
+  const years = fetched(tracks.year());
+  const durations = fetched(column(function () { return tracks.duration(); }, count, null));
+  const trackNumbers = fetched(tracks.trackNumber());
+  const discNumbers = fetched(tracks.discNumber());
+  const composers = fetched(tracks.composer());
+  const playCounts = fetched(tracks.playedCount());
+  const ratings = fetched(tracks.rating());
+  // "loved" was renamed to "favorited" in macOS Sonoma
+  let loved;
+  try {
+    loved = tracks.favorited();
+  } catch (e) {
+    loved = column(function () { return tracks.loved(); }, count, null);
+  }
+  fetched(loved);
+  const datesAdded = fetched(tracks.dateAdded());
+  const playedDates = fetched(column(function () { return tracks.playedDate(); }, count, null));
+  const persistentIds = fetched(tracks.persistentID());
+
+  const rows = [];
+  for (let i = 0; i < count; i++) {
+    rows.push([
+      toText(names[i]),
+      toText(artists[i]),
+      toText(albumArtists[i]),
+      toText(albums[i]),
+      toText(genres[i]),
+      toText(years[i]),
+      durationMs(durations[i]),
+      toText(trackNumbers[i]),
+      toText(discNumbers[i]),
+      toText(composers[i]),
+      toText(playCounts[i]),
+      toText(ratings[i]),
+      loved[i] === null ? '' : String(loved[i]),
+      isoDate(datesAdded[i]),
+      isoDate(playedDates[i]),
+      toText(persistentIds[i])
+    ]);
+  }
+
+  return JSON.stringify({
+    fields: FIELDS,
+    rows: rows
+  });
+}
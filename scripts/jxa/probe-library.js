@@ -0,0 +1,59 @@
+// Probe the Music.app library for changes (JavaScript for Automation)
+// Returns JSON: {"fields": [...], "rows": [[...]]} with the same single
+// record as probe-library.applescript
+
+function pad(n) {
+  return n < 10 ? '0' + n : String(n);
+}
+
+// Local time as YYYY-MM-DDTHH:MM:SS, like isoDate() in the AppleScripts
+function isoDate(d) {
+  if (!d) return '';
+  return d.getFullYear() + '-' + pad(d.getMonth() + 1) + '-' + pad(d.getDate()) +
+    'T' + pad(d.getHours()) + ':' + pad(d.getMinutes()) + ':' + pad(d.getSeconds());
+}
+
+// Latest date in a list, skipping missing values
+function latestDate(dates) {
+  let latest = null;
+  for (let i = 0; i < dates.length; i++) {
+    if (dates[i] && (!latest || dates[i] > latest)) latest = dates[i];
+  }
+  return latest;
+}
+
+function run() {
+  const Music = Application('Music');
+  const tracks = Music.libraryPlaylists[0].tracks;
+  const playlists = Music.userPlaylists;
+  const playlistIds = playlists.persistentID();
+  const playlistNames = playlists.name();
+
+  // One line per playlist, as in probe-library.applescript
+  let playlistTrackCount = 0;
+  const playlistLines = [];
+  for (let i = 0; i < playlistIds.length; i++) {
+    const trackIds = playlists[i].tracks.persistentID();
+    playlistTrackCount += trackIds.length;
+    playlistLines.push(playlistIds[i] + '\t' + playlistNames[i] + '\t' + trackIds.join(','));
+  }
+
+  let lastPlayed = '';
+  try {
+    lastPlayed = isoDate(latestDate(tracks.playedDate()));
+  } catch (e) {
+    // Leave empty where played dates can't be fetched in bulk
+  }
+
+  return JSON.stringify({
+    fields: ['track_count', 'playlist_count', 'playlist_track_count', 'last_modified', 'last_played', 'playlists'],
+    rows: [[
+      String(tracks.length),
+      String(playlistIds.length),
+      String(playlistTrackCount),
+      isoDate(latestDate(tracks.modificationDate())),
+      lastPlayed,
+      playlistLines.join('\n')
+    ]]
+  });
+}
@@ -1,44 +1,113 @@
 #!/usr/bin/env node
 
 import path from 'node:path';
+import { writeFileSync } from 'node:fs';
+import { stripVTControlCharacters } from 'node:util';
 import { runAllChecks } from './system-check.js';
 import {
   extractArtists,
   extractTracks,
   extractPlaylists,
+  extractPlaylistsDetailed,
   extractPlaylistTracks,
   ExitCodes,
+  BACKENDS,
+  getBackend,
   getErrorMessage
 } from './extractor.js';
+import { recordFixture, writeFixture } from './backends/fixture.js';
+import {
+  createSnapshot,
+  writeSnapshot,
+  loadSnapshot,
+  diffSnapshots,
+  formatDiffReport
+} from './snapshot.js';
 import {
-  createNormalizer,
   normalizeArtists,
+  normalizeArtistCredits,
+  getArtistCredits,
   normalizeAlbums,
   normalizeTracks,
   normalizePlaylists,
-  normalizeArtistsFromTracks,
   prepareDetailedTracks,
-  preparePlaylistTracks
+  preparePlaylistTracks,
+  preparePlaylistsDetailed,
+  prepareDuplicates,
+  prepareLibraryReport,
+  prepareWorkbook,
+  DETAILED_COLUMNS,
+  DETAILED_ID_COLUMNS,
+  PLAYLIST_TRACK_COLUMNS,
+  PLAYLIST_TRACK_ID_COLUMNS,
+  PLAYLIST_DETAILED_COLUMNS,
+  DUPLICATE_COLUMNS
 } from './normalizer.js';
+import { buildPlaylistTree } from './playlist-tree.js';
+import { createArtistSplitter, DEFAULT_SEPARATORS } from './artist-split.js';
+import { parseKeyStrategies, formatMergeReport, KEY_STRATEGIES } from './dedup-keys.js';
+import { buildConsistencyReport, formatConsistencyReport } from './consistency.js';
+import { findDuplicates } from './duplicates.js';
+import { buildLibraryStats, formatStatsReport } from './stats.js';
+import { generateHTML, writeHTML } from './html-writer.js';
+import { SQLITE_FORMAT, buildDatabaseRows, writeSQLite } from './sqlite-writer.js';
+import { XLSX_FORMAT, writeXLSX } from './xlsx-writer.js';
+import { PRESETS, generatePresetCSV, writePreset } from './presets.js';
+import { CONFIG_FILENAME, loadConfig, configToArgs, findGivenOptions, expandOutputPath } from './config.js';
+import { buildAllExports, writeAllExports, formatExportSummary, MANIFEST_FILENAME } from './export-all.js';
+import {
+  OUTPUT_FORMATS,
+  writeSingleColumn,
+  writeMultiColumn
+} from './output.js';
+import { writeToStdout } from './csv-writer.js';
+import { PLAYLIST_FORMATS, writePlaylistFiles, countTracksWithoutFile } from './playlist-writer.js';
 import {
-  writeSingleColumnCSV,
-  writeMultiColumnCSV,
-  writeToStdout,
-  generateSingleColumnData,
-  generateMultiColumnData,
-  generateColorizedSingleColumn,
-  generateColorizedMultiColumn
-} from './csv-writer.js';
+  parseFilter,
+  formatFilterError,
+  findUnavailableFields,
+  filterRecords,
+  RECORD_FIELDS,
+  FilterSyntaxError
+} from './filter.js';
+import { selectPlaylists, findCloseMatches } from './playlist-select.js';
+import { createProgressReporter } from './progress.js';
 
 // Valid extraction types
-const VALID_TYPES = ['artists', 'albums', 'tracks', 'playlists', 'playlist-tracks', 'detailed'];
+const VALID_TYPES = [
+  'artists',
+  'albums',
+  'tracks',
+  'playlists',
+  'playlists-detailed',
+  'playlist-tracks',
+  'detailed',
+  'consistency',
+  'duplicates'
+];
+
+// Valid output formats (playlist formats only apply to playlist-tracks;
+// sqlite and xlsx write the whole library whatever the type)
+const LIBRARY_FORMATS = [SQLITE_FORMAT, XLSX_FORMAT];
+const VALID_FORMATS = [...OUTPUT_FORMATS, ...PLAYLIST_FORMATS, ...LIBRARY_FORMATS];
+
+// Report types write a text report, or JSON with --format json (the
+// default csv format means text)
+const REPORT_TYPES = ['consistency'];
+const REPORT_FORMATS = ['csv', 'json'];
+
+// Subcommands, given as the first argument
+const COMMANDS = ['snapshot', 'diff', 'stats', 'report'];
+
+// Types --dedup and --dedup-report apply to
+const DEDUP_TYPES = ['artists', 'albums', 'tracks', 'playlists'];
 
 // Type-specific help information
 const TYPE_HELP = {
   artists: {
     description: 'Extract unique artist names from your library. Uses album artist as fallback when track artist is empty.',
-    output: 'Single-column CSV with header "Artist"',
-    flags: ['--out', '--strict'],
+    output: 'Single-column CSV with header "Artist"\n  (with --with-credit: Artist, Credit)',
+    flags: ['--out', '--strict', '--split-artists', '--split-separator', '--split-exception', '--with-credit'],
     example: 'amlib-export --type artists --out artists.csv'
   },
   albums: {
@@ -59,35 +128,185 @@ const TYPE_HELP = {
     flags: ['--out'],
     example: 'amlib-export --type playlists --out playlists.csv'
   },
+  'playlists-detailed': {
+    description: 'Extract playlists with their folder, kind (regular, smart, folder, genius),\n  track count and total duration, in folder order',
+    output: 'Multi-column CSV with headers: Path, Name, Folder, Kind, Smart, Track Count,\n  Duration (path and folder are folder names joined with " / ", duration in seconds)',
+    flags: ['--out', '--format'],
+    example: 'amlib-export --type playlists-detailed --out playlists.csv'
+  },
   'playlist-tracks': {
     description: 'Extract playlists with their track listings',
-    output: 'Multi-column CSV with headers: Playlist, Artist, Album, Track',
-    flags: ['--out'],
-    example: 'amlib-export --type playlist-tracks --out playlist-tracks.csv'
+    output: 'Multi-column CSV with headers: Playlist, Artist, Album, Track\n  (--with-ids adds Playlist Persistent ID, Track Persistent ID)\n  or one .m3u8/.xspf file per playlist with --format m3u8|xspf',
+    flags: ['--out', '--format', '--playlist', '--exclude-playlist', '--preset', '--with-ids'],
+    example: 'amlib-export --type playlist-tracks --playlist "Road*" --out playlist-tracks.csv'
   },
   detailed: {
     description: 'Extract full track data with all metadata',
-    output: 'Multi-column CSV with headers: Artist, Album, Track',
-    flags: ['--out'],
+    output: 'Multi-column CSV with headers: Artist, Album, Track, Album Artist, Genre, Year,\n  Duration, Track Number, Disc Number, Composer, Play Count, Rating, Loved,\n  Date Added, Last Played (durations in seconds, dates in ISO 8601)\n  (--with-ids adds Persistent ID)',
+    flags: ['--out', '--with-ids'],
     example: 'amlib-export --type detailed --out library.csv'
+  },
+  consistency: {
+    description: 'Report metadata inconsistencies to fix in Music: artists and albums spelled\n  more than one way (case, whitespace, accents, punctuation, one-letter typos)\n  with the number of tracks using each spelling, and albums whose tracks\n  disagree on the album artist',
+    output: 'Readable text report, or JSON with --format json',
+    flags: ['--out', '--format', '--where'],
+    example: 'amlib-export --type consistency --out consistency.txt'
+  },
+  duplicates: {
+    description: 'Find tracks that appear to be the same recording: same artist and title,\n  ignoring case, accents and punctuation',
+    output: 'Multi-column CSV with headers: Group, Artist, Track, Album, Duration,\n  Date Added, Play Count (one row per track, oldest copy first in each group)',
+    flags: ['--out', '--format', '--ignore-versions', '--duration-tolerance'],
+    example: 'amlib-export --type duplicates --ignore-versions --duration-tolerance 3'
   }
 };
 
+/**
+ * Put config file defaults and --profile options in front of the arguments
+ * Options given on the command line replace both (repeatable ones such as
+ * --playlist too, instead of adding to the list); a profile's options
+ * replace defaults with the same name.
+ * @param {string[]} args - Process argv slice (excluding node and script)
+ * @param {Object} config - Result of loadConfig
+ * @returns {{args: string[], defaultOptions: Set<string>}} Arguments for
+ *   parseArgs, and the options only set by the config file defaults
+ */
+function applyConfig(args, config) {
+  if (args[0] === 'help') {
+    return { args, defaultOptions: new Set() };
+  }
+  
+  const rest = [...args];
+  let profile = {};
+  const index = rest.indexOf('--profile');
+  if (index !== -1) {
+    const name = rest[index + 1];
+    if (!name) {
+      console.error('Error: --profile requires a profile name');
+      process.exit(1);
+    }
+    if (!config.profiles[name]) {
+      const names = Object.keys(config.profiles);
+      console.error(names.length > 0
+        ? `Error: Unknown profile "${name}". Profiles: ${names.join(', ')}`
+        : `Error: Unknown profile "${name}". No ${CONFIG_FILENAME} defines any profiles.`);
+      console.error('Run "amlib-export help profiles" for details.');
+      process.exit(1);
+    }
+    profile = config.profiles[name];
+    rest.splice(index, 2);
+  }
+  
+  const command = COMMANDS.includes(rest[0]) ? rest.shift() : profile.command;
+  const given = findGivenOptions(rest);
+  const configOptions = Object.fromEntries(
+    Object.entries({ ...config.defaults, ...profile }).filter(([key]) => !given.has(key))
+  );
+  const defaultOptions = new Set(Object.keys(config.defaults).filter(key => !given.has(key) && !(key in profile)));
+  
+  return {
+    args: [...(command ? [command] : []), ...configToArgs(configOptions), ...rest],
+    defaultOptions
+  };
+}
+
+/**
+ * Check whether a format can be written for the parsed type or command
+ * @param {Object} options - Parsed options
+ * @returns {boolean} Whether options.format applies
+ */
+function isFormatApplicable(options) {
+  const { format } = options;
+  if (options.all) return OUTPUT_FORMATS.includes(format);
+  if (options.preset && options.type === 'playlist-tracks') return false;  // Presets write their own CSV
+  if (PLAYLIST_FORMATS.includes(format)) return options.type === 'playlist-tracks' && !options.command;
+  if (options.command) return true;
+  return !REPORT_TYPES.includes(options.type) || REPORT_FORMATS.includes(format);
+}
+
+// Options that only apply to some exports: config option -> [options
+// property, unset value, whether it applies to the parsed options]. Config
+// file defaults are dropped where they don't apply (in this order, as later
+// checks read earlier options); given on the command line or in a profile,
+// the same options are errors.
+const SCOPED_DEFAULTS = [
+  ['out', 'out', null, options => !options.all],
+  ['out-dir', 'outDir', null, options => options.all],
+  ['format', 'format', 'csv', isFormatApplicable],
+  ['preset', 'preset', null, options => options.type === 'playlist-tracks' && options.format === 'csv' && !options.all],
+  ['playlist', 'playlists', [], options => options.type === 'playlist-tracks' && !options.all],
+  ['exclude-playlist', 'excludePlaylists', [], options => options.type === 'playlist-tracks' && !options.all],
+  ['dedup', 'dedupKeys', [], options => DEDUP_TYPES.includes(options.type) || !!options.command || options.all],
+  ['dedup-report', 'dedupReport', null, options => (DEDUP_TYPES.includes(options.type) || !!options.command) && !options.all],
+  ['ignore-versions', 'ignoreVersions', false, options => options.type === 'duplicates' || options.all],
+  ['duration-tolerance', 'durationTolerance', null, options => options.type === 'duplicates' || options.all],
+  ['split-artists', 'splitArtists', false, options => options.type === 'artists' || options.all],
+  ['split-separator', 'splitSeparators', [], options => options.type === 'artists' || options.all],
+  ['split-exception', 'splitExceptions', [], options => options.type === 'artists' || options.all],
+  ['with-credit', 'withCredit', false, options => (options.type === 'artists' || options.all) &&
+    (options.splitArtists || options.splitSeparators.length > 0 || options.splitExceptions.length > 0)],
+  ['with-ids', 'withIds', false, options => (['detailed', 'playlist-tracks'].includes(options.type) || options.all) &&
+    !options.preset && !PLAYLIST_FORMATS.includes(options.format)],
+  ['where', 'where', null, options => !options.all && options.command !== 'snapshot' && options.command !== 'diff' &&
+    !(LIBRARY_FORMATS.includes(options.format) && !options.command) &&
+    findUnavailableFields(options.where, getRecordKind(options)).length === 0]
+];
+
+/**
+ * Drop config file defaults that don't apply to the parsed type or command
+ * e.g. "dedup" in the defaults is for the types that de-duplicate, and
+ * shouldn't make --type detailed fail.
+ * @param {Object} options - Parsed options (changed in place)
+ * @param {Set<string>} defaultOptions - Options only set by the defaults
+ */
+function dropInapplicableDefaults(options, defaultOptions) {
+  for (const [name, property, unset, applies] of SCOPED_DEFAULTS) {
+    if (defaultOptions.has(name) && !applies(options)) {
+      options[property] = unset;
+    }
+  }
+}
+
 /**
  * Parse command line arguments
  * @param {string[]} args - Process argv slice (excluding node and script)
+ * @param {Set<string>} [defaultOptions] - Options only set by config file
+ *   defaults (see applyConfig), dropped where they don't apply
  * @returns {Object} Parsed options
  */
-function parseArgs(args) {
+function parseArgs(args, defaultOptions = new Set()) {
   const options = {
     type: 'artists',
     out: null,
+    all: false,  // Export every type into outDir from one extraction
+    outDir: null,
+    format: 'csv',
     sort: true,
     limit: null,
+    where: null,  // Compiled --where filter
+    playlists: [],  // --playlist patterns (playlist-tracks only)
+    excludePlaylists: [],  // --exclude-playlist patterns
+    preset: null,  // Import layout for another service (playlist-tracks)
     noTrim: false,
+    dedupKeys: [],  // Extra dedup key strategies (see dedup-keys.js)
+    dedupReport: null,  // Where to write merged spellings ('-' for stderr)
     strict: false,  // When true, disables album artist fallback
+    splitArtists: false,  // Split "A feat. B" credits into individual artists
+    splitSeparators: [],  // Replace the default separators
+    splitExceptions: [],  // Added to the default exceptions
+    withCredit: false,  // Add the credit each artist came from
+    withIds: false,  // Add persistent ID columns (detailed, playlist-tracks)
+    ignoreVersions: false,  // duplicates: ignore "(Remastered)", "- Live", ...
+    durationTolerance: null,  // duplicates: require durations within N seconds
+    libraryXml: null,  // Read from an exported Library.xml instead of Music.app
+    backend: null,  // Defaults to applescript (or AMLIB_BACKEND)
+    fixture: null,  // Fixture file for --backend fixture
+    cache: true,  // Reuse extracted tracks while the library is unchanged
+    refresh: false,  // Extract again and replace the cache
+    recordFixture: null,  // Record all extractions to a fixture file
     help: false,
-    helpType: null
+    helpType: null,
+    command: null,  // 'snapshot', 'diff', 'stats' or 'report'
+    diffFiles: []
   };
   
   for (let i = 0; i < args.length; i++) {
@@ -104,6 +323,18 @@ function parseArgs(args) {
       continue;
     }
     
+    // Check for subcommands
+    if (COMMANDS.includes(arg) && i === 0) {
+      options.command = arg;
+      continue;
+    }
+    
+    // diff takes two snapshot file paths
+    if (options.command === 'diff' && !arg.startsWith('-')) {
+      options.diffFiles.push(arg);
+      continue;
+    }
+    
     switch (arg) {
       case '--type':
       case '-t':
@@ -121,6 +352,63 @@ function parseArgs(args) {
           console.error('Error: --out requires a file path argument');
           process.exit(1);
         }
+        // "-" is stdout, e.g. to override a profile's output file
+        if (options.out === '-') {
+          options.out = null;
+        }
+        break;
+      
+      case '--all':
+        options.all = true;
+        break;
+      
+      case '--out-dir':
+        options.outDir = args[++i];
+        if (!options.outDir) {
+          console.error('Error: --out-dir requires a directory path argument');
+          process.exit(1);
+        }
+        break;
+      
+      case '--library-xml':
+        options.libraryXml = args[++i];
+        if (!options.libraryXml) {
+          console.error('Error: --library-xml requires a file path argument');
+          process.exit(1);
+        }
+        break;
+      
+      case '--format':
+      case '-f':
+        options.format = args[++i];
+        if (!options.format || !VALID_FORMATS.includes(options.format)) {
+          console.error(`Error: Invalid format "${options.format}". Valid formats: ${VALID_FORMATS.join(', ')}`);
+          process.exit(1);
+        }
+        break;
+      
+      case '--backend':
+        options.backend = args[++i];
+        if (!options.backend || !BACKENDS.includes(options.backend)) {
+          console.error(`Error: Invalid backend "${options.backend}". Valid backends: ${BACKENDS.join(', ')}`);
+          process.exit(1);
+        }
+        break;
+      
+      case '--fixture':
+        options.fixture = args[++i];
+        if (!options.fixture) {
+          console.error('Error: --fixture requires a file path argument');
+          process.exit(1);
+        }
+        break;
+      
+      case '--record-fixture':
+        options.recordFixture = args[++i];
+        if (!options.recordFixture) {
+          console.error('Error: --record-fixture requires a file path argument');
+          process.exit(1);
+        }
         break;
       
       case '--limit':
@@ -132,14 +420,122 @@ function parseArgs(args) {
         }
         break;
       
+      case '--where':
+      case '-w': {
+        const expression = args[++i];
+        if (expression === undefined) {
+          console.error('Error: --where requires a filter expression');
+          process.exit(1);
+        }
+        try {
+          options.where = parseFilter(expression);
+        } catch (err) {
+          if (!(err instanceof FilterSyntaxError)) throw err;
+          console.error(formatFilterError(expression, err));
+          console.error('\nRun "amlib-export help" for the filter syntax.');
+          process.exit(1);
+        }
+        break;
+      }
+      
+      case '--playlist':
+      case '--exclude-playlist': {
+        const pattern = args[++i];
+        if (!pattern) {
+          console.error(`Error: ${arg} requires a playlist name or pattern`);
+          process.exit(1);
+        }
+        (arg === '--playlist' ? options.playlists : options.excludePlaylists).push(pattern);
+        break;
+      }
+      
+      case '--preset':
+        options.preset = args[++i];
+        if (!options.preset || !PRESETS[options.preset]) {
+          console.error(`Error: Invalid preset "${options.preset}". Valid presets: ${Object.keys(PRESETS).join(', ')}`);
+          console.error('Run "amlib-export help presets" for details.');
+          process.exit(1);
+        }
+        break;
+      
       case '--no-trim':
         options.noTrim = true;
         break;
       
+      case '--no-sort':
+        options.sort = false;
+        break;
+      
+      case '--no-cache':
+        options.cache = false;
+        break;
+      
+      case '--refresh':
+        options.refresh = true;
+        break;
+      
+      case '--dedup': {
+        const value = args[++i];
+        if (!value) {
+          console.error(`Error: --dedup requires a list of keys: ${Object.keys(KEY_STRATEGIES).join(', ')} or all`);
+          process.exit(1);
+        }
+        try {
+          options.dedupKeys = parseKeyStrategies(value);
+        } catch (err) {
+          console.error(`Error: ${err.message}`);
+          process.exit(1);
+        }
+        break;
+      }
+      
+      case '--dedup-report':
+        options.dedupReport = args[++i];
+        if (!options.dedupReport) {
+          console.error('Error: --dedup-report requires a file path (or - for stderr)');
+          process.exit(1);
+        }
+        break;
+      
       case '--strict':
         options.strict = true;
         break;
       
+      case '--split-artists':
+        options.splitArtists = true;
+        break;
+      
+      case '--split-separator':
+      case '--split-exception': {
+        const value = args[++i];
+        if (!value) {
+          console.error(`Error: ${arg} requires an argument`);
+          process.exit(1);
+        }
+        (arg === '--split-separator' ? options.splitSeparators : options.splitExceptions).push(value);
+        break;
+      }
+      
+      case '--with-credit':
+        options.withCredit = true;
+        break;
+      
+      case '--with-ids':
+        options.withIds = true;
+        break;
+      
+      case '--ignore-versions':
+        options.ignoreVersions = true;
+        break;
+      
+      case '--duration-tolerance':
+        options.durationTolerance = Number(args[++i]);
+        if (!Number.isFinite(options.durationTolerance) || options.durationTolerance < 0) {
+          console.error('Error: --duration-tolerance requires a number of seconds');
+          process.exit(1);
+        }
+        break;
+      
       case '--help':
       case '-h':
         options.help = true;
@@ -154,44 +550,318 @@ function parseArgs(args) {
     }
   }
   
+  dropInapplicableDefaults(options, defaultOptions);
+  
+  // --split-separator and --split-exception imply --split-artists
+  if (options.splitSeparators.length > 0 || options.splitExceptions.length > 0) {
+    options.splitArtists = true;
+  }
+  
+  if (options.refresh && !options.cache && !options.help) {
+    console.error('Error: --refresh and --no-cache cannot be used together');
+    process.exit(1);
+  }
+  
+  if (options.command === 'diff' && !options.help && options.diffFiles.length !== 2) {
+    console.error('Error: diff requires two snapshot files: amlib-export diff OLD.json NEW.json');
+    process.exit(1);
+  }
+  
+  if (options.where && !options.all && !options.help) {
+    if (options.command === 'snapshot' || options.command === 'diff') {
+      console.error(`Error: --where is not supported with ${options.command}`);
+      process.exit(1);
+    }
+    const kind = getRecordKind(options);
+    const unavailable = findUnavailableFields(options.where, kind);
+    if (unavailable.length > 0) {
+      console.error(`Error: --type ${options.type}${options.strict ? ' --strict' : ''} cannot filter on: ${unavailable.join(', ')}`);
+      console.error(`Available fields: ${RECORD_FIELDS[kind].join(', ')}`);
+      process.exit(1);
+    }
+  }
+  
+  if ((options.dedupKeys.length > 0 || options.dedupReport) && !DEDUP_TYPES.includes(options.type) &&
+      !options.command && !options.all && !options.help) {
+    console.error(`Error: --dedup and --dedup-report are only supported with --type ${DEDUP_TYPES.join(', ')}`);
+    process.exit(1);
+  }
+  
+  if ((options.ignoreVersions || options.durationTolerance !== null) && options.type !== 'duplicates' && !options.all && !options.help) {
+    console.error('Error: --ignore-versions and --duration-tolerance are only supported with --type duplicates');
+    process.exit(1);
+  }
+  
+  if ((options.splitArtists || options.withCredit) && options.type !== 'artists' && !options.all && !options.help) {
+    console.error('Error: --split-artists and --with-credit are only supported with --type artists');
+    process.exit(1);
+  }
+  if (options.withCredit && !options.splitArtists && !options.help) {
+    console.error('Error: --with-credit requires --split-artists');
+    process.exit(1);
+  }
+  
+  if (options.withIds && !['detailed', 'playlist-tracks'].includes(options.type) && !options.all && !options.help) {
+    console.error('Error: --with-ids is only supported with --type detailed and playlist-tracks');
+    process.exit(1);
+  }
+  if (options.withIds && (options.preset || PLAYLIST_FORMATS.includes(options.format)) && !options.help) {
+    console.error('Error: --with-ids adds CSV/JSON columns; it cannot be combined with --preset or playlist files');
+    process.exit(1);
+  }
+  
+  if ((options.playlists.length > 0 || options.excludePlaylists.length > 0) &&
+      options.type !== 'playlist-tracks' && !options.help) {
+    console.error('Error: --playlist and --exclude-playlist are only supported with --type playlist-tracks');
+    process.exit(1);
+  }
+  
+  if (REPORT_TYPES.includes(options.type) && !REPORT_FORMATS.includes(options.format) &&
+      !options.command && !options.all && !options.help) {
+    console.error(`Error: --type ${options.type} writes a text report, or JSON with --format json; --format ${options.format} is not supported`);
+    process.exit(1);
+  }
+  
+  // Playlist file formats write one file per playlist into a directory
+  if (PLAYLIST_FORMATS.includes(options.format) && !options.help) {
+    if (options.type !== 'playlist-tracks') {
+      console.error(`Error: --format ${options.format} is only supported with --type playlist-tracks`);
+      process.exit(1);
+    }
+    if (!options.out) {
+      console.error(`Error: --format ${options.format} requires --out <directory>`);
+      process.exit(1);
+    }
+  }
+  
+  if (options.preset && !options.help) {
+    if (options.type !== 'playlist-tracks') {
+      console.error('Error: --preset is only supported with --type playlist-tracks');
+      process.exit(1);
+    }
+    if (options.format !== 'csv') {
+      console.error('Error: --preset writes CSV; it cannot be combined with --format');
+      process.exit(1);
+    }
+    if (PRESETS[options.preset].split && !options.out) {
+      console.error(`Error: --preset ${options.preset} writes one file per playlist and requires --out <directory>`);
+      process.exit(1);
+    }
+  }
+  
+  // --all writes every type into a directory (--type is ignored)
+  if ((options.all || options.outDir) && !options.help) {
+    if (!options.all || !options.outDir) {
+      console.error('Error: --all and --out-dir must be used together: --all --out-dir <directory>');
+      process.exit(1);
+    }
+    if (options.command || options.out || !OUTPUT_FORMATS.includes(options.format)) {
+      console.error(`Error: --all cannot be combined with ${options.command || (options.out ? '--out' : `--format ${options.format}`)}`);
+      process.exit(1);
+    }
+    const unsupported = [
+      options.where && '--where',
+      options.preset && '--preset',
+      (options.playlists.length > 0 || options.excludePlaylists.length > 0) && '--playlist',
+      options.dedupReport && '--dedup-report'
+    ].filter(Boolean);
+    if (unsupported.length > 0) {
+      console.error(`Error: ${unsupported[0]} is not supported with --all (it exports the whole library)`);
+      process.exit(1);
+    }
+  }
+  
+  // Library formats write every table into one file
+  if (LIBRARY_FORMATS.includes(options.format) && !options.help && !options.command) {
+    if (!options.out) {
+      console.error(`Error: --format ${options.format} requires --out <file>`);
+      process.exit(1);
+    }
+    if (options.where) {
+      console.error(`Error: --where is not supported with --format ${options.format} (it exports the whole library)`);
+      process.exit(1);
+    }
+  }
+  
   return options;
 }
 
+/**
+ * Get the kind of record a type extracts (what --where filters)
+ * @param {Object} options - Parsed options
+ * @returns {string} Key of RECORD_FIELDS
+ */
+function getRecordKind(options) {
+  if (options.command === 'stats' || options.command === 'report') {
+    return 'tracks';
+  }
+  switch (options.type) {
+    case 'artists':
+      return options.strict ? 'artists' : 'tracks';
+    case 'playlists':
+    case 'playlists-detailed':
+      return 'playlists';
+    case 'playlist-tracks':
+      return options.type;
+    default:
+      return 'tracks';
+  }
+}
+
 /**
  * Print general help message
  */
 function printHelp() {
   console.log(`
-amlib-export - Export data from Apple Music Library to CSV
+amlib-export - Export data from Apple Music Library to CSV or JSON
 
 USAGE:
   amlib-export [--type TYPE] [OPTIONS]
-  amlib-export help [TYPE]
+  amlib-export snapshot [--out FILE]
+  amlib-export diff OLD.json NEW.json [--format json]
+  amlib-export stats [--format json] [--out FILE]
+  amlib-export report --out FILE.html
+  amlib-export --all --out-dir DIR [--format FMT]
+  amlib-export --profile NAME [OPTIONS]
+  amlib-export help [TYPE | presets | profiles]
+
+COMMANDS:
+  snapshot         Save a versioned JSON snapshot of all tracks and playlists
+  diff             Compare two snapshots: added, removed and changed tracks,
+                   and playlist membership changes
+  stats            Library totals, top artists, missing metadata, playlist
+                   sizes, genres, decades and listening time
+  report           Single offline HTML file with searchable, sortable tables
+                   of artists, albums, tracks and playlists
 
 TYPES:
   artists          Unique artist names (default)
   albums           Unique album names
   tracks           All track titles
   playlists        Playlist names only
+  playlists-detailed
+                   Playlist folder paths, kinds, track counts and durations
   playlist-tracks  Playlists with their track listings
-  detailed         Full track data as multi-column CSV
+  detailed         Full track metadata as multi-column CSV
+  consistency      Report of inconsistent artist/album spellings and album artists
+  duplicates       Groups of tracks that appear to be the same recording
 
 OPTIONS:
   --type, -t <type>    Extraction type (default: artists)
-  --out, -o <path>     Write to file instead of stdout
+  --out, -o <path>     Write to file instead of stdout (- for stdout).
+                       {date}, {time}, {year}, {month}, {day} and {type}
+                       are filled in
+  --all                Export every type into --out-dir from one extraction,
+                       plus a manifest.json with counts (--type is ignored)
+  --out-dir <dir>      Directory for --all (created if missing; placeholders
+                       as for --out)
+  --profile <name>     Run a profile from the config file (see CONFIG FILE)
+  --format, -f <fmt>   Output format: csv (default), json, ndjson
+                       Keys match the CSV column headers (artist, album, ...)
+                       playlist-tracks also supports m3u8 and xspf, writing
+                       one playlist file per playlist into the --out directory
+                       sqlite writes the whole library (every type) as a
+                       database file with related tables (see README)
+                       xlsx writes an Excel workbook with one sheet per type
+  --where, -w <expr>   Only export tracks matching a filter expression
+                       (see FILTERS below)
   --strict             Disable album artist fallback (artists type only)
+  --split-artists      Split credits like "A feat. B", "A & B", "A x B" and
+                       "A, B" into individual artists (artists type only)
+  --split-separator <sep>
+                       Separator to split on (repeatable; replaces the
+                       defaults: ${DEFAULT_SEPARATORS.join(' ')})
+  --split-exception <name>
+                       Never split this name (repeatable; added to built-in
+                       exceptions such as "Simon & Garfunkel")
+  --with-credit        Add a Credit column with the original credit
+  --with-ids           detailed, playlist-tracks: add Music's persistent IDs
+                       as columns (stable keys for joining exports)
+  --ignore-versions    duplicates: ignore suffixes like "(Remastered 2011)",
+                       "[Live]" or "- Live" when comparing titles
+  --duration-tolerance <seconds>
+                       duplicates: only group tracks whose durations are
+                       within this many seconds of each other
+  --preset <name>      playlist-tracks: write the CSV layout another service's
+                       importer expects (see: amlib-export help presets)
+  --dedup <keys>       Merge more spellings when de-duplicating artists,
+                       albums, tracks and playlists (comma-separated):
+                         nfc          Unicode NFC (composed = decomposed)
+                         nfkc         Unicode NFKC (also ﬁ = fi, ２ = 2)
+                         diacritics   Sigur Rós = Sigur Ros
+                         articles     The Beatles = Beatles
+                         punctuation  AC/DC = AC DC, collapse whitespace
+                         all          All of the above
+                       The first spelling seen is the one exported
+  --dedup-report <path>
+                       Write which spellings were merged (- for stderr)
+  --playlist <name>    Only export this playlist (playlist-tracks only;
+                       repeatable). Accepts exact names, globs ("Road*")
+                       and regexes ("/^road/i")
+  --exclude-playlist <name>
+                       Skip matching playlists (repeatable, same patterns)
+  --library-xml <path> Read from a Music "Export Library…" XML file instead of
+                       Music.app (works without macOS or Automation permission)
   --help, -h           Show this help message
 
 ADVANCED OPTIONS:
+  --backend <name>     Extraction backend: applescript (default), jxa
+                       (JavaScript for Automation, much faster on large
+                       libraries; same output) or fixture (replay a recording)
+  --fixture <path>     Fixture file for --backend fixture
+  --record-fixture <path>
+                       Record the library with the selected backend into a
+                       fixture file (for tests and bug reports)
   --limit, -l <N>      Stop after N items (for debugging)
   --no-trim            Disable whitespace trimming (keeps leading/trailing spaces)
+  --no-sort            Keep Music's order instead of sorting
+  --refresh            Read the library again instead of using the cache
+  --no-cache           Neither use nor update the cache
+
+CONFIG FILE:
+  ${CONFIG_FILENAME} in your home directory and in the current directory
+  (which wins) can set "defaults" for every run and named "profiles".
+  Options are the long flags without dashes; options given on the command
+  line override both. See: amlib-export help profiles
+
+FILTERS:
+  Compare a field with a value; combine with and, or, not and parentheses.
+    =  !=        equal / not equal (text is case-insensitive)
+    ~  !~        contains / doesn't contain, or matches a /regex/i
+    < <= > >=    numbers, or dates as "YYYY-MM-DD"
+  Values: "text", numbers, true, false, empty
+  Fields: artist, album, title, album_artist, genre, year, duration,
+          track_number, disc_number, composer, play_count, rating, loved,
+          date_added, last_played, playlist (playlist types only)
 
 EXAMPLES:
   amlib-export                                    # Output artists to stdout
   amlib-export --type albums                      # Output albums to stdout
+  amlib-export --split-artists --with-credit      # Individual artists + credits
+  amlib-export --dedup all --dedup-report -       # Loose matching, show merges
+  amlib-export --type consistency                 # Spelling inconsistencies
+  amlib-export -t duplicates --ignore-versions    # Duplicate recordings
+  amlib-export --type playlists-detailed          # Playlist folders and kinds
   amlib-export --type artists > artists.csv       # Pipe to file
   amlib-export --type detailed --out library.csv  # Write directly to file
+  amlib-export --type detailed --format ndjson    # One JSON object per line
+  amlib-export -t detailed --with-ids -o ids.csv  # With persistent IDs
+  amlib-export -t playlist-tracks -f m3u8 -o pl/  # One .m3u8 file per playlist
+  amlib-export --format sqlite --out library.db   # SQLite database
+  amlib-export --format xlsx --out library.xlsx   # Excel workbook
+  amlib-export --all --out-dir export-{date}      # Every type in one pass
+  amlib-export -t playlist-tracks --playlist "Road*" --exclude-playlist "Road Trips 2019"
+  amlib-export --library-xml Library.xml          # Read an exported library
+  amlib-export -t detailed -w 'artist ~ "Beatles"'  # Only matching tracks
+  amlib-export -t detailed -w 'album_artist = empty'  # Missing album artist
+  amlib-export snapshot --out 2024-05-01.json     # Save a library snapshot
+  amlib-export diff 2024-05-01.json 2024-05-08.json  # What changed this week
+  amlib-export stats --format json --out stats.json  # Stats for a dashboard
+  amlib-export report --out library.html          # Browsable HTML report
+  amlib-export -t playlist-tracks --preset soundiiz -o soundiiz/  # For Soundiiz
+  amlib-export --profile weekly-backup            # Run a saved profile
   amlib-export help playlist-tracks               # Show help for a type
+  amlib-export help presets                       # List import presets
 
 PERMISSIONS:
   On first run, macOS will prompt for Automation permission to control Music.app.
@@ -204,6 +874,14 @@ PERMISSIONS:
  * @param {string} type - The type to show help for
  */
 function printTypeHelp(type) {
+  if (type === 'presets') {
+    printPresetsHelp();
+    return;
+  }
+  if (type === 'profiles') {
+    printProfilesHelp();
+    return;
+  }
   if (!VALID_TYPES.includes(type)) {
     console.error(`Error: Unknown type "${type}". Valid types: ${VALID_TYPES.join(', ')}`);
     process.exit(1);
@@ -227,6 +905,94 @@ EXAMPLE:
 `);
 }
 
+/**
+ * Print the import presets and their layouts
+ */
+function printPresetsHelp() {
+  const presets = Object.entries(PRESETS).map(([name, preset]) => `  ${name}
+    ${preset.description}
+    Columns: ${preset.columns.map(([label]) => label).join(', ')}
+    ${preset.split ? 'One file per playlist (--out is a directory)' : 'One file for all playlists'}${preset.quoteAll ? ', every field quoted' : ''}${preset.lineEnding === '\r\n' ? ', CRLF line endings' : ''}`).join('\n\n');
+  
+  console.log(`
+amlib-export --type playlist-tracks --preset NAME
+
+DESCRIPTION:
+  Write playlist tracks in the CSV layout another music service's importer
+  expects. Tracks keep their playlist order; line breaks and tabs inside
+  values become spaces. Works with --playlist, --exclude-playlist and --where.
+
+PRESETS:
+${presets}
+
+EXAMPLES:
+  amlib-export -t playlist-tracks --preset soundiiz --out soundiiz/
+  amlib-export -t playlist-tracks --preset tunemymusic --playlist "Road*" -o tunemymusic.csv
+`);
+}
+
+/**
+ * Print the config file format and the profiles defined in config files
+ */
+function printProfilesHelp() {
+  let config;
+  try {
+    config = loadConfig();
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+  
+  const names = Object.keys(config.profiles);
+  const profiles = names.length > 0
+    ? names.map(name => {
+      const { description, ...options } = config.profiles[name];
+      // Quote arguments that the shell would split or expand
+      const args = [options.command, ...configToArgs(options)].filter(Boolean)
+        .map(arg => (/^[\w./{}~,-]+$/.test(arg) ? arg : JSON.stringify(arg)));
+      return `  ${name}${description ? ` - ${description}` : ''}
+    Same as: amlib-export ${args.join(' ')}
+    From: ${config.profileFiles[name]}`;
+    }).join('\n\n')
+    : `  No profiles yet. Looked for ${CONFIG_FILENAME} in your home directory and here.`;
+  
+  console.log(`
+amlib-export --profile NAME [OPTIONS]
+
+DESCRIPTION:
+  Run a named set of options from a config file. Options given on the
+  command line override the profile's.
+
+CONFIG FILE:
+  ${CONFIG_FILENAME} in your home directory and in the current directory
+  (the current directory's file wins where both set something):
+
+  {
+    "defaults": { "backend": "jxa" },
+    "profiles": {
+      "weekly-backup": {
+        "description": "Full metadata, one file per day",
+        "type": "detailed",
+        "out": "~/Backups/library-{date}.csv",
+        "where": "play_count > 0"
+      }
+    }
+  }
+
+  Options are the long flags without dashes (type, format, out, where,
+  playlist, dedup, library-xml, ...). Flags without a value take true;
+  sort, trim and cache take false for --no-sort, --no-trim and --no-cache;
+  repeatable flags take a list. A profile's "command" can be snapshot, stats or report.
+  Command-line options replace config values (lists too); defaults only
+  apply to the types they work with (e.g. "dedup" is ignored by detailed).
+  Output paths can use {date}, {time}, {year}, {month}, {day} and {type}.
+  The TUI lists profiles first and can save your choices as a new one.
+
+PROFILES:
+${profiles}
+`);
+}
+
 /**
  * Main entry point
  */
@@ -240,7 +1006,16 @@ async function main() {
     return;
   }
   
-  const options = parseArgs(args);
+  let config;
+  try {
+    config = loadConfig();
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+  
+  const { args: configuredArgs, defaultOptions } = applyConfig(args, config);
+  const options = parseArgs(configuredArgs, defaultOptions);
   
   // Handle help
   if (options.help) {
@@ -252,36 +1027,110 @@ async function main() {
     process.exit(0);
   }
   
+  // Output paths can contain {date}, {time}, {type}, ... (dated backups)
+  if (options.out) {
+    const type = options.command || (LIBRARY_FORMATS.includes(options.format) ? options.format : options.type);
+    try {
+      options.out = expandOutputPath(options.out, { type });
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+  }
+  
+  if (options.outDir) {
+    try {
+      options.outDir = expandOutputPath(options.outDir, { type: 'all' });
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+  }
+  
+  // diff only reads snapshot files; no backend needed
+  if (options.command === 'diff') {
+    handleDiff(options);
+    return;
+  }
+  
+  let backend;
+  try {
+    backend = getBackend(getExtractOptions(options));
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+  
   // Run system checks before proceeding
-  const systemCheck = runAllChecks();
+  const systemCheck = runAllChecks(backend);
   if (!systemCheck.ok) {
     console.error(systemCheck.message);
     process.exit(1);
   }
   
+  if (options.recordFixture) {
+    await handleRecordFixture(path.resolve(options.recordFixture), backend, options);
+    return;
+  }
+  
+  if (options.all) {
+    await handleAll(path.resolve(options.outDir), backend, options);
+    return;
+  }
+  
   // outPath is null when outputting to stdout
   const outPath = options.out ? path.resolve(options.out) : null;
-  console.error(`Extracting ${options.type} from Music.app...`);
-  console.error('This may take a moment for large libraries...');
   
-  try {
-    switch (options.type) {
-      case 'artists':
-        await handleArtists(outPath, options);
-        break;
-      
-      case 'albums':
-        await handleAlbums(outPath, options);
-        break;
-      
-      case 'tracks':
-        await handleTracks(outPath, options);
-        break;
+  if (options.command === 'snapshot') {
+    await handleSnapshot(outPath, backend, options);
+    return;
+  }
+  
+  if (options.command === 'stats') {
+    await handleStats(outPath, backend, options);
+    return;
+  }
+  
+  if (options.command === 'report') {
+    await handleReport(outPath, backend, options);
+    return;
+  }
+  
+  if (options.format === SQLITE_FORMAT) {
+    await handleSQLite(outPath, backend, options);
+    return;
+  }
+  
+  if (options.format === XLSX_FORMAT) {
+    await handleXLSX(outPath, backend, options);
+    return;
+  }
+  
+  console.error(`Extracting ${options.type} from ${backend.label}...`);
+  console.error('This may take a moment for large libraries...');
+  
+  try {
+    switch (options.type) {
+      case 'artists':
+        await handleArtists(outPath, options);
+        break;
+      
+      case 'albums':
+        await handleAlbums(outPath, options);
+        break;
+      
+      case 'tracks':
+        await handleTracks(outPath, options);
+        break;
       
       case 'playlists':
         await handlePlaylists(outPath, options);
         break;
       
+      case 'playlists-detailed':
+        await handlePlaylistsDetailed(outPath, options);
+        break;
+      
       case 'playlist-tracks':
         await handlePlaylistTracks(outPath, options);
         break;
@@ -289,13 +1138,387 @@ async function main() {
       case 'detailed':
         await handleDetailed(outPath, options);
         break;
+      
+      case 'consistency':
+        await handleConsistency(outPath, options);
+        break;
+      
+      case 'duplicates':
+        await handleDuplicates(outPath, options);
+        break;
     }
   } catch (err) {
+    // Extraction failures come back as exit codes, so a system error here
+    // is from writing the output
+    if (err.syscall) {
+      console.error(getErrorMessage(ExitCodes.FILE_WRITE_ERROR, err.message));
+      process.exit(ExitCodes.FILE_WRITE_ERROR);
+    }
     console.error(`Unexpected error: ${err.message}`);
     process.exit(1);
   }
 }
 
+/**
+ * Build the options passed to the extract* functions
+ * @param {Object} options - Parsed CLI options
+ * @returns {Object} Extraction options
+ */
+function getExtractOptions(options) {
+  return {
+    limit: options.limit,
+    libraryXml: options.libraryXml,
+    backend: options.backend,
+    fixture: options.fixture,
+    cache: options.cache,
+    refresh: options.refresh,
+    onCacheHit: (kind, createdAt) => {
+      const what = kind === 'tracks' ? 'tracks' : 'playlist tracks';
+      console.error(`Using ${what} cached ${new Date(createdAt).toLocaleString()} (library unchanged; --refresh to read again)`);
+    },
+    // A progress line that redraws itself only makes sense in a terminal
+    onProgress: process.stderr.isTTY
+      ? createProgressReporter({
+        update: text => process.stderr.write(`\r\x1b[K${text}`),
+        finish: () => process.stderr.write('\r\x1b[K')
+      })
+      : undefined
+  };
+}
+
+/**
+ * Build the options passed to the normalize* functions
+ * @param {Object} options - Parsed CLI options
+ * @returns {Object} Normalizer options (mergeReport collects merged spellings)
+ */
+function getNormalizeOptions(options) {
+  return {
+    noTrim: options.noTrim,
+    sort: options.sort,
+    keys: options.dedupKeys,
+    mergeReport: []
+  };
+}
+
+/**
+ * Write the --dedup-report, if requested
+ * @param {Object} options - Parsed CLI options
+ * @param {Object[]} report - Merge report from the normalizer
+ */
+function writeMergeReport(options, report) {
+  if (!options.dedupReport) {
+    return;
+  }
+  
+  const text = formatMergeReport(report);
+  if (options.dedupReport === '-') {
+    console.error(`\n${text}`);
+    return;
+  }
+  
+  const reportPath = path.resolve(options.dedupReport);
+  writeFileSync(reportPath, text, { encoding: 'utf8' });
+  console.error(`Wrote merge report (${report.length} merged values) to ${reportPath}`);
+}
+
+/**
+ * Handle --record-fixture: extract everything and save it as a fixture
+ */
+async function handleRecordFixture(fixturePath, backend, options) {
+  console.error(`Recording fixture from ${backend.label}...`);
+  const { fixture, exitCode, error } = await recordFixture(backend, getExtractOptions(options));
+  
+  if (exitCode !== ExitCodes.SUCCESS) {
+    console.error(getErrorMessage(exitCode, error));
+    process.exit(exitCode);
+  }
+  
+  writeFixture(fixturePath, fixture);
+  console.error(`Recorded ${fixture.tracks.length} tracks, ${fixture.playlists.length} playlists to ${fixturePath}`);
+  process.exit(ExitCodes.SUCCESS);
+}
+
+/**
+ * Handle the snapshot command: save tracks and playlists as a JSON snapshot
+ */
+async function handleSnapshot(outPath, backend, options) {
+  console.error(`Creating snapshot from ${backend.label}...`);
+  console.error('This may take a moment for large libraries...');
+  const extractOptions = getExtractOptions(options);
+  
+  const { tracks, exitCode, error } = await extractTracks(extractOptions);
+  if (exitCode !== ExitCodes.SUCCESS) {
+    console.error(getErrorMessage(exitCode, error));
+    process.exit(exitCode);
+  }
+  
+  const playlistsResult = await extractPlaylistsDetailed(extractOptions);
+  if (playlistsResult.exitCode !== ExitCodes.SUCCESS) {
+    console.error(getErrorMessage(playlistsResult.exitCode, playlistsResult.error));
+    process.exit(playlistsResult.exitCode);
+  }
+  
+  const playlistTracksResult = await extractPlaylistTracks(extractOptions);
+  if (playlistTracksResult.exitCode !== ExitCodes.SUCCESS) {
+    console.error(getErrorMessage(playlistTracksResult.exitCode, playlistTracksResult.error));
+    process.exit(playlistTracksResult.exitCode);
+  }
+  
+  const snapshot = createSnapshot({
+    tracks,
+    playlists: playlistsResult.playlists,
+    playlistTracks: playlistTracksResult.playlistTracks
+  }, { source: backend.name });
+  
+  if (outPath) {
+    writeSnapshot(outPath, snapshot);
+    console.error(`Saved snapshot of ${snapshot.tracks.length} tracks and ${snapshot.playlists.length} playlists to ${outPath}`);
+  } else {
+    writeToStdout(JSON.stringify(snapshot, null, 2) + '\n');
+    console.error(`Saved snapshot of ${snapshot.tracks.length} tracks and ${snapshot.playlists.length} playlists`);
+  }
+  process.exit(ExitCodes.SUCCESS);
+}
+
+/**
+ * Handle the stats command: library totals and distributions
+ */
+async function handleStats(outPath, backend, options) {
+  console.error(`Computing statistics from ${backend.label}...`);
+  console.error('This may take a moment for large libraries...');
+  const extractOptions = getExtractOptions(options);
+  
+  const { tracks, exitCode, error } = await extractTracks(extractOptions);
+  if (exitCode !== ExitCodes.SUCCESS) {
+    console.error(getErrorMessage(exitCode, error));
+    process.exit(exitCode);
+  }
+  
+  const playlistsResult = await extractPlaylistsDetailed(extractOptions);
+  if (playlistsResult.exitCode !== ExitCodes.SUCCESS) {
+    console.error(getErrorMessage(playlistsResult.exitCode, playlistsResult.error));
+    process.exit(playlistsResult.exitCode);
+  }
+  
+  const stats = buildLibraryStats({
+    tracks: filterRecords(tracks, options.where),
+    playlists: playlistsResult.playlists
+  });
+  const text = options.format === 'json'
+    ? JSON.stringify(stats, null, 2) + '\n'
+    : formatStatsReport(stats);
+  
+  if (outPath) {
+    writeFileSync(outPath, stripVTControlCharacters(text), { encoding: 'utf8' });
+    console.error(`Saved statistics for ${stats.totals.tracks} tracks to ${outPath}`);
+  } else {
+    writeToStdout(text);
+  }
+  process.exit(ExitCodes.SUCCESS);
+}
+
+/**
+ * Handle the report command: self-contained HTML report
+ */
+async function handleReport(outPath, backend, options) {
+  console.error(`Creating report from ${backend.label}...`);
+  console.error('This may take a moment for large libraries...');
+  const extractOptions = getExtractOptions(options);
+  
+  const { tracks, exitCode, error } = await extractTracks(extractOptions);
+  if (exitCode !== ExitCodes.SUCCESS) {
+    console.error(getErrorMessage(exitCode, error));
+    process.exit(exitCode);
+  }
+  
+  const playlistsResult = await extractPlaylistsDetailed(extractOptions);
+  if (playlistsResult.exitCode !== ExitCodes.SUCCESS) {
+    console.error(getErrorMessage(playlistsResult.exitCode, playlistsResult.error));
+    process.exit(playlistsResult.exitCode);
+  }
+  
+  const report = prepareLibraryReport(
+    filterRecords(tracks, options.where),
+    buildPlaylistTree(playlistsResult.playlists)
+  );
+  
+  if (outPath) {
+    writeHTML(outPath, report);
+    console.error(`Saved report of ${report.summary.map(({ label, value }) => `${value} ${label.toLowerCase()}`).join(', ')} to ${outPath}`);
+  } else {
+    writeToStdout(generateHTML(report));
+  }
+  process.exit(ExitCodes.SUCCESS);
+}
+
+/**
+ * Handle --format sqlite: write the whole library as a database
+ */
+async function handleSQLite(outPath, backend, options) {
+  console.error(`Creating database from ${backend.label}...`);
+  console.error('This may take a moment for large libraries...');
+  const extractOptions = getExtractOptions(options);
+  
+  const { tracks, exitCode, error } = await extractTracks(extractOptions);
+  if (exitCode !== ExitCodes.SUCCESS) {
+    console.error(getErrorMessage(exitCode, error));
+    process.exit(exitCode);
+  }
+  
+  const playlistsResult = await extractPlaylistsDetailed(extractOptions);
+  if (playlistsResult.exitCode !== ExitCodes.SUCCESS) {
+    console.error(getErrorMessage(playlistsResult.exitCode, playlistsResult.error));
+    process.exit(playlistsResult.exitCode);
+  }
+  
+  const playlistTracksResult = await extractPlaylistTracks(extractOptions);
+  if (playlistTracksResult.exitCode !== ExitCodes.SUCCESS) {
+    console.error(getErrorMessage(playlistTracksResult.exitCode, playlistTracksResult.error));
+    process.exit(playlistTracksResult.exitCode);
+  }
+  
+  const rows = buildDatabaseRows(tracks, playlistsResult.playlists, playlistTracksResult.playlistTracks);
+  try {
+    writeSQLite(outPath, rows);
+  } catch (err) {
+    console.error(`Error: Failed to write database.\n\nDetails: ${err.message}`);
+    process.exit(ExitCodes.FILE_WRITE_ERROR);
+  }
+  
+  console.error(`Saved ${rows.tracks.length} tracks, ${rows.artists.length} artists, ${rows.albums.length} albums and ${rows.playlists.length} playlists to ${outPath}`);
+  if (rows.unmatched > 0) {
+    console.error(`Warning: ${rows.unmatched} playlist entries did not match a library track and were left out`);
+  }
+  process.exit(ExitCodes.SUCCESS);
+}
+
+/**
+ * Handle --format xlsx: write the whole library as an Excel workbook
+ */
+async function handleXLSX(outPath, backend, options) {
+  console.error(`Creating workbook from ${backend.label}...`);
+  console.error('This may take a moment for large libraries...');
+  const extractOptions = getExtractOptions(options);
+  
+  const { tracks, exitCode, error } = await extractTracks(extractOptions);
+  if (exitCode !== ExitCodes.SUCCESS) {
+    console.error(getErrorMessage(exitCode, error));
+    process.exit(exitCode);
+  }
+  
+  const playlistTracksResult = await extractPlaylistTracks(extractOptions);
+  if (playlistTracksResult.exitCode !== ExitCodes.SUCCESS) {
+    console.error(getErrorMessage(playlistTracksResult.exitCode, playlistTracksResult.error));
+    process.exit(playlistTracksResult.exitCode);
+  }
+  
+  const sheets = prepareWorkbook(tracks, playlistTracksResult.playlistTracks);
+  try {
+    writeXLSX(outPath, sheets);
+  } catch (err) {
+    console.error(`Error: Failed to write workbook.\n\nDetails: ${err.message}`);
+    process.exit(ExitCodes.FILE_WRITE_ERROR);
+  }
+  
+  console.error(`Saved workbook with ${sheets.map(sheet => `${sheet.rows.length} ${sheet.name.toLowerCase()}`).join(', ')} to ${outPath}`);
+  process.exit(ExitCodes.SUCCESS);
+}
+
+/**
+ * Handle --all: extract once and write every type into a directory
+ */
+async function handleAll(outDir, backend, options) {
+  console.error(`Exporting everything from ${backend.label}...`);
+  console.error('This may take a moment for large libraries...');
+  const started = Date.now();
+  const extractOptions = getExtractOptions(options);
+  
+  const { tracks, exitCode, error } = await extractTracks(extractOptions);
+  if (exitCode !== ExitCodes.SUCCESS) {
+    console.error(getErrorMessage(exitCode, error));
+    process.exit(exitCode);
+  }
+  
+  // Folders, kinds and empty playlists aren't in the playlist tracks
+  const playlistsResult = await extractPlaylistsDetailed(extractOptions);
+  if (playlistsResult.exitCode !== ExitCodes.SUCCESS) {
+    console.error(getErrorMessage(playlistsResult.exitCode, playlistsResult.error));
+    process.exit(playlistsResult.exitCode);
+  }
+  
+  const playlistTracksResult = await extractPlaylistTracks(extractOptions);
+  if (playlistTracksResult.exitCode !== ExitCodes.SUCCESS) {
+    console.error(getErrorMessage(playlistTracksResult.exitCode, playlistTracksResult.error));
+    process.exit(playlistTracksResult.exitCode);
+  }
+  
+  const library = {
+    tracks,
+    playlists: playlistsResult.playlists,
+    playlistTracks: playlistTracksResult.playlistTracks
+  };
+  const exports = buildAllExports(library, {
+    sort: options.sort,
+    noTrim: options.noTrim,
+    keys: options.dedupKeys,
+    strict: options.strict,
+    split: options.splitArtists
+      ? createArtistSplitter({
+        separators: options.splitSeparators.length > 0 ? options.splitSeparators : undefined,
+        exceptions: options.splitExceptions
+      })
+      : null,
+    withCredit: options.withCredit,
+    withIds: options.withIds,
+    ignoreVersions: options.ignoreVersions,
+    durationTolerance: options.durationTolerance
+  });
+  
+  let manifest;
+  try {
+    manifest = writeAllExports(outDir, exports, {
+      format: options.format,
+      source: backend.name,
+      library: {
+        tracks: library.tracks.length,
+        playlists: library.playlists.length,
+        playlistTracks: library.playlistTracks.length
+      }
+    });
+  } catch (err) {
+    console.error(`Error: Failed to write exports to ${outDir}.\n\nDetails: ${err.message}`);
+    process.exit(ExitCodes.FILE_WRITE_ERROR);
+  }
+  
+  const seconds = ((Date.now() - started) / 1000).toFixed(1);
+  console.error(`\nExported ${manifest.files.length} files to ${outDir} in ${seconds}s:`);
+  console.error(formatExportSummary(manifest).join('\n'));
+  console.error(`  ${MANIFEST_FILENAME} lists the files with their counts`);
+  process.exit(ExitCodes.SUCCESS);
+}
+
+/**
+ * Handle the diff command: compare two snapshot files
+ */
+function handleDiff(options) {
+  const [oldPath, newPath] = options.diffFiles.map(f => path.resolve(f));
+  let diff;
+  
+  try {
+    diff = diffSnapshots(loadSnapshot(oldPath), loadSnapshot(newPath));
+  } catch (err) {
+    console.error(`Error: Could not read snapshot.\n\nDetails: ${err.message}`);
+    process.exit(1);
+  }
+  
+  if (options.format === 'json') {
+    writeToStdout(JSON.stringify(diff, null, 2) + '\n');
+  } else {
+    writeToStdout(formatDiffReport(diff));
+  }
+  process.exit(ExitCodes.SUCCESS);
+}
+
 /**
  * Handle artists extraction
  * By default, uses album artist as fallback when track artist is empty.
@@ -305,45 +1528,56 @@ async function handleArtists(outPath, options) {
   // Default behavior: use album artist fallback (requires full track data)
   // --strict: only use track artist field (faster, uses simple extraction)
   
-  let uniqueArtists;
+  let credits;
   
   if (options.strict) {
     // Strict mode: only use track artist field
-    const { artists, exitCode, error } = await extractArtists({ limit: options.limit });
+    const { artists, exitCode, error } = await extractArtists(getExtractOptions(options));
     
     if (exitCode !== ExitCodes.SUCCESS) {
       console.error(getErrorMessage(exitCode, error));
       process.exit(exitCode);
     }
     
-    const normalizer = createNormalizer({ noTrim: options.noTrim, sort: options.sort });
-    for (const artist of artists) {
-      normalizer.add(artist);
-    }
-    
-    uniqueArtists = normalizer.getUniqueValues();
+    credits = options.where
+      ? artists.filter(artist => options.where.test({ artist }))
+      : artists;
   } else {
     // Default: use album artist fallback when track artist is empty
-    const { tracks, exitCode, error } = await extractTracks({ limit: options.limit });
+    const { tracks, exitCode, error } = await extractTracks(getExtractOptions(options));
     
     if (exitCode !== ExitCodes.SUCCESS) {
       console.error(getErrorMessage(exitCode, error));
       process.exit(exitCode);
     }
     
-    uniqueArtists = normalizeArtistsFromTracks(tracks, {
-      fallbackAlbumArtist: true,
-      noTrim: options.noTrim,
-      sort: options.sort
-    });
+    credits = getArtistCredits(filterRecords(tracks, options.where), { fallbackAlbumArtist: true });
+  }
+  
+  const split = options.splitArtists
+    ? createArtistSplitter({
+      separators: options.splitSeparators.length > 0 ? options.splitSeparators : undefined,
+      exceptions: options.splitExceptions
+    })
+    : null;
+  const normalizeOptions = { ...getNormalizeOptions(options), split };
+  let count;
+  
+  if (options.withCredit) {
+    const rows = normalizeArtistCredits(credits, normalizeOptions);
+    writeMultiColumn(outPath, rows, ['artist', 'credit'], options.format);
+    count = new Set(rows.map(row => row.artist.toLocaleLowerCase())).size;
+  } else {
+    const uniqueArtists = normalizeArtists(credits, normalizeOptions);
+    writeSingleColumn(outPath, uniqueArtists, 'artist', options.format);
+    count = uniqueArtists.length;
   }
+  writeMergeReport(options, normalizeOptions.mergeReport);
   
   if (outPath) {
-    writeSingleColumnCSV(outPath, uniqueArtists, 'artist');
-    console.error(`Exported ${uniqueArtists.length} unique artists to ${outPath}`);
+    console.error(`Exported ${count} unique artists to ${outPath}`);
   } else {
-    writeToStdout(generateColorizedSingleColumn(uniqueArtists, 'artist'));
-    console.error(`Exported ${uniqueArtists.length} unique artists`);
+    console.error(`Exported ${count} unique artists`);
   }
   
   process.exit(ExitCodes.SUCCESS);
@@ -353,23 +1587,22 @@ async function handleArtists(outPath, options) {
  * Handle albums extraction
  */
 async function handleAlbums(outPath, options) {
-  const { tracks, exitCode, error } = await extractTracks({ limit: options.limit });
+  const { tracks, exitCode, error } = await extractTracks(getExtractOptions(options));
   
   if (exitCode !== ExitCodes.SUCCESS) {
     console.error(getErrorMessage(exitCode, error));
     process.exit(exitCode);
   }
   
-  const uniqueAlbums = normalizeAlbums(tracks, {
-    noTrim: options.noTrim,
-    sort: options.sort
-  });
+  const normalizeOptions = getNormalizeOptions(options);
+  const uniqueAlbums = normalizeAlbums(filterRecords(tracks, options.where), normalizeOptions);
+  
+  writeSingleColumn(outPath, uniqueAlbums, 'album', options.format);
+  writeMergeReport(options, normalizeOptions.mergeReport);
   
   if (outPath) {
-    writeSingleColumnCSV(outPath, uniqueAlbums, 'album');
     console.error(`Exported ${uniqueAlbums.length} unique albums to ${outPath}`);
   } else {
-    writeToStdout(generateColorizedSingleColumn(uniqueAlbums, 'album'));
     console.error(`Exported ${uniqueAlbums.length} unique albums`);
   }
   process.exit(ExitCodes.SUCCESS);
@@ -379,23 +1612,22 @@ async function handleAlbums(outPath, options) {
  * Handle tracks extraction
  */
 async function handleTracks(outPath, options) {
-  const { tracks, exitCode, error } = await extractTracks({ limit: options.limit });
+  const { tracks, exitCode, error } = await extractTracks(getExtractOptions(options));
   
   if (exitCode !== ExitCodes.SUCCESS) {
     console.error(getErrorMessage(exitCode, error));
     process.exit(exitCode);
   }
   
-  const uniqueTracks = normalizeTracks(tracks, {
-    noTrim: options.noTrim,
-    sort: options.sort
-  });
+  const normalizeOptions = getNormalizeOptions(options);
+  const uniqueTracks = normalizeTracks(filterRecords(tracks, options.where), normalizeOptions);
+  
+  writeSingleColumn(outPath, uniqueTracks, 'track', options.format);
+  writeMergeReport(options, normalizeOptions.mergeReport);
   
   if (outPath) {
-    writeSingleColumnCSV(outPath, uniqueTracks, 'track');
     console.error(`Exported ${uniqueTracks.length} unique tracks to ${outPath}`);
   } else {
-    writeToStdout(generateColorizedSingleColumn(uniqueTracks, 'track'));
     console.error(`Exported ${uniqueTracks.length} unique tracks`);
   }
   process.exit(ExitCodes.SUCCESS);
@@ -405,47 +1637,154 @@ async function handleTracks(outPath, options) {
  * Handle playlists extraction
  */
 async function handlePlaylists(outPath, options) {
-  const { playlists, exitCode, error } = await extractPlaylists({ limit: options.limit });
+  const { playlists, exitCode, error } = await extractPlaylists(getExtractOptions(options));
   
   if (exitCode !== ExitCodes.SUCCESS) {
     console.error(getErrorMessage(exitCode, error));
     process.exit(exitCode);
   }
   
-  const uniquePlaylists = normalizePlaylists(playlists, {
-    noTrim: options.noTrim,
-    sort: options.sort
-  });
+  const matching = options.where
+    ? playlists.filter(playlist => options.where.test({ playlist }))
+    : playlists;
+  const normalizeOptions = getNormalizeOptions(options);
+  const uniquePlaylists = normalizePlaylists(matching, normalizeOptions);
+  
+  writeSingleColumn(outPath, uniquePlaylists, 'playlist', options.format);
+  writeMergeReport(options, normalizeOptions.mergeReport);
   
   if (outPath) {
-    writeSingleColumnCSV(outPath, uniquePlaylists, 'playlist');
     console.error(`Exported ${uniquePlaylists.length} playlists to ${outPath}`);
   } else {
-    writeToStdout(generateColorizedSingleColumn(uniquePlaylists, 'playlist'));
     console.error(`Exported ${uniquePlaylists.length} playlists`);
   }
   process.exit(ExitCodes.SUCCESS);
 }
 
 /**
- * Handle playlist-tracks extraction
+ * Handle playlists-detailed extraction
  */
-async function handlePlaylistTracks(outPath, options) {
-  const { playlistTracks, exitCode, error } = await extractPlaylistTracks({ limit: options.limit });
+async function handlePlaylistsDetailed(outPath, options) {
+  const { playlists, exitCode, error } = await extractPlaylistsDetailed(getExtractOptions(options));
   
   if (exitCode !== ExitCodes.SUCCESS) {
     console.error(getErrorMessage(exitCode, error));
     process.exit(exitCode);
   }
   
+  // Filter after building the tree so matching playlists keep their folder path
+  let tree = buildPlaylistTree(playlists);
+  if (options.where) {
+    tree = tree.filter(node => options.where.test({ playlist: node.name }));
+  }
+  const prepared = preparePlaylistsDetailed(tree);
+  
+  writeMultiColumn(outPath, prepared, PLAYLIST_DETAILED_COLUMNS, options.format);
+  
+  if (outPath) {
+    console.error(`Exported ${prepared.length} playlists to ${outPath}`);
+  } else {
+    console.error(`Exported ${prepared.length} playlists`);
+  }
+  process.exit(ExitCodes.SUCCESS);
+}
+
+/**
+ * Resolve --playlist / --exclude-playlist patterns to exact playlist names
+ * Exits with an error listing close matches if a pattern matches nothing.
+ * @param {Object} options - Parsed CLI options
+ * @returns {Promise<string[]>} Selected playlist names
+ */
+async function resolvePlaylistSelection(options) {
+  // Match against every playlist, even with --limit
+  const { playlists, exitCode, error } = await extractPlaylists({ ...getExtractOptions(options), limit: null });
+  
+  if (exitCode !== ExitCodes.SUCCESS) {
+    console.error(getErrorMessage(exitCode, error));
+    process.exit(exitCode);
+  }
+  
+  let selection;
+  try {
+    selection = selectPlaylists(playlists, {
+      include: options.playlists,
+      exclude: options.excludePlaylists
+    });
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+  
+  if (selection.unmatched.length > 0) {
+    for (const pattern of selection.unmatched) {
+      const suggestions = findCloseMatches(pattern, playlists);
+      const hint = suggestions.length > 0
+        ? ` Did you mean: ${suggestions.map(s => `"${s}"`).join(', ')}?`
+        : '';
+      console.error(`Error: No playlist matches "${pattern}".${hint}`);
+    }
+    process.exit(1);
+  }
+  
+  if (selection.selected.length === 0) {
+    console.error('Error: No playlists left to export after --exclude-playlist');
+    process.exit(1);
+  }
+  
+  return selection.selected;
+}
+
+/**
+ * Handle playlist-tracks extraction
+ */
+async function handlePlaylistTracks(outPath, options) {
+  const extractOptions = getExtractOptions(options);
+  if (options.playlists.length > 0 || options.excludePlaylists.length > 0) {
+    extractOptions.playlists = await resolvePlaylistSelection(options);
+  }
+  
+  const result = await extractPlaylistTracks(extractOptions);
+  
+  if (result.exitCode !== ExitCodes.SUCCESS) {
+    console.error(getErrorMessage(result.exitCode, result.error));
+    process.exit(result.exitCode);
+  }
+  
+  const playlistTracks = filterRecords(result.playlistTracks, options.where);
+  
+  if (options.preset) {
+    // Importers recreate playlists in the order they are given
+    if (outPath) {
+      const written = writePreset(outPath, options.preset, playlistTracks);
+      console.error(`Exported ${playlistTracks.length} playlist tracks for ${options.preset} to ${written.length === 1 ? written[0] : `${written.length} files in ${outPath}`}`);
+    } else {
+      writeToStdout(generatePresetCSV(options.preset, playlistTracks));
+      console.error(`Exported ${playlistTracks.length} playlist tracks for ${options.preset}`);
+    }
+    process.exit(ExitCodes.SUCCESS);
+  }
+  
+  if (PLAYLIST_FORMATS.includes(options.format)) {
+    // Keep each playlist's own track order in playlist files
+    const written = writePlaylistFiles(outPath, playlistTracks, options.format);
+    console.error(`Exported ${written.length} playlists (${playlistTracks.length} tracks) to ${outPath}`);
+    const withoutFile = options.format === 'm3u8' ? countTracksWithoutFile(playlistTracks) : 0;
+    if (withoutFile > 0) {
+      console.error(`Skipped ${withoutFile} tracks without a local file (streaming or cloud-only); M3U8 entries need a file path`);
+    }
+    process.exit(ExitCodes.SUCCESS);
+  }
+  
   const prepared = preparePlaylistTracks(playlistTracks, { sort: options.sort });
-  const headers = ['playlist', 'artist', 'album', 'track'];
+  const headers = options.withIds
+    ? [...PLAYLIST_TRACK_COLUMNS, ...PLAYLIST_TRACK_ID_COLUMNS]
+    : PLAYLIST_TRACK_COLUMNS;
+  
+  writeMultiColumn(outPath, prepared, headers, options.format);
   
   if (outPath) {
-    writeMultiColumnCSV(outPath, prepared, headers);
     console.error(`Exported ${prepared.length} playlist tracks to ${outPath}`);
   } else {
-    writeToStdout(generateColorizedMultiColumn(prepared, headers));
     console.error(`Exported ${prepared.length} playlist tracks`);
   }
   process.exit(ExitCodes.SUCCESS);
@@ -455,26 +1794,81 @@ async function handlePlaylistTracks(outPath, options) {
  * Handle detailed extraction
  */
 async function handleDetailed(outPath, options) {
-  const { tracks, exitCode, error } = await extractTracks({ limit: options.limit });
+  const { tracks, exitCode, error } = await extractTracks(getExtractOptions(options));
   
   if (exitCode !== ExitCodes.SUCCESS) {
     console.error(getErrorMessage(exitCode, error));
     process.exit(exitCode);
   }
   
-  const prepared = prepareDetailedTracks(tracks, { sort: options.sort });
-  const headers = ['artist', 'album', 'track'];
+  const prepared = prepareDetailedTracks(filterRecords(tracks, options.where), { sort: options.sort });
+  const headers = options.withIds ? [...DETAILED_COLUMNS, ...DETAILED_ID_COLUMNS] : DETAILED_COLUMNS;
+  
+  writeMultiColumn(outPath, prepared, headers, options.format);
   
   if (outPath) {
-    writeMultiColumnCSV(outPath, prepared, headers);
     console.error(`Exported ${prepared.length} tracks to ${outPath}`);
   } else {
-    writeToStdout(generateColorizedMultiColumn(prepared, headers));
     console.error(`Exported ${prepared.length} tracks`);
   }
   process.exit(ExitCodes.SUCCESS);
 }
 
+/**
+ * Handle the consistency report
+ */
+async function handleConsistency(outPath, options) {
+  const { tracks, exitCode, error } = await extractTracks(getExtractOptions(options));
+  
+  if (exitCode !== ExitCodes.SUCCESS) {
+    console.error(getErrorMessage(exitCode, error));
+    process.exit(exitCode);
+  }
+  
+  const report = buildConsistencyReport(filterRecords(tracks, options.where));
+  const text = options.format === 'json'
+    ? JSON.stringify(report, null, 2) + '\n'
+    : formatConsistencyReport(report);
+  
+  if (outPath) {
+    writeFileSync(outPath, stripVTControlCharacters(text), { encoding: 'utf8' });
+  } else {
+    writeToStdout(text);
+  }
+  
+  const found = `${report.artists.length} artist and ${report.albums.length} album spelling groups, ` +
+    `${report.albumArtistConflicts.length} albums with inconsistent album artists`;
+  console.error(outPath ? `Found ${found}; report written to ${outPath}` : `Found ${found}`);
+  process.exit(ExitCodes.SUCCESS);
+}
+
+/**
+ * Handle duplicates extraction
+ */
+async function handleDuplicates(outPath, options) {
+  const { tracks, exitCode, error } = await extractTracks(getExtractOptions(options));
+  
+  if (exitCode !== ExitCodes.SUCCESS) {
+    console.error(getErrorMessage(exitCode, error));
+    process.exit(exitCode);
+  }
+  
+  const groups = findDuplicates(filterRecords(tracks, options.where), {
+    ignoreVersions: options.ignoreVersions,
+    durationTolerance: options.durationTolerance
+  });
+  const prepared = prepareDuplicates(groups);
+  
+  writeMultiColumn(outPath, prepared, DUPLICATE_COLUMNS, options.format);
+  
+  if (outPath) {
+    console.error(`Exported ${groups.length} duplicate groups (${prepared.length} tracks) to ${outPath}`);
+  } else {
+    console.error(`Exported ${groups.length} duplicate groups (${prepared.length} tracks)`);
+  }
+  process.exit(ExitCodes.SUCCESS);
+}
+
 // Run
 main().catch((err) => {
   // User cancelled with Ctrl+C
@@ -0,0 +1,126 @@
+/**
+ * Split multi-artist credits ("A feat. B", "A & B", "A x B", "A, B")
+ * into individual artists
+ */
+
+// Default separators; letter separators only match as whole words
+export const DEFAULT_SEPARATORS = ['feat.', 'feat', 'ft.', 'ft', 'featuring', 'vs.', '&', 'x', ',', ';'];
+
+// Names containing a separator that must not be split
+export const DEFAULT_EXCEPTIONS = [
+  'Simon & Garfunkel',
+  'Earth, Wind & Fire',
+  'Crosby, Stills & Nash',
+  'Crosby, Stills, Nash & Young',
+  'Peter, Paul and Mary',
+  'Hall & Oates',
+  'Daryl Hall & John Oates',
+  'Mumford & Sons',
+  'Iron & Wine',
+  'Sam & Dave',
+  'Brooks & Dunn',
+  'Belle & Sebastian',
+  'Chloe x Halle',
+  'Tyler, The Creator',
+  'Marina & the Diamonds',
+  'Florence & the Machine',
+  'Kool & the Gang',
+  'Echo & the Bunnymen',
+  'Nick Cave & the Bad Seeds',
+  'Tom Petty & the Heartbreakers',
+  'Bob Marley & the Wailers',
+  'Huey Lewis & the News',
+  'Emerson, Lake & Palmer',
+  'Blood, Sweat & Tears'
+];
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Literal text
+ * @returns {string} Escaped pattern
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Remove brackets left over from "Artist (feat. Other)" style credits
+ * @param {string} piece - One split piece
+ * @returns {string} Piece without unbalanced brackets
+ */
+function stripUnbalancedBrackets(piece) {
+  let result = piece.trim();
+  for (const [open, close] of [['(', ')'], ['[', ']']]) {
+    if (result.endsWith(close) && !result.includes(open)) {
+      result = result.slice(0, -1).trim();
+    }
+    if (result.startsWith(open) && !result.includes(close)) {
+      result = result.slice(1).trim();
+    }
+  }
+  return result;
+}
+
+/**
+ * Create a function that splits an artist credit into individual artists
+ * @param {Object} [options] - Splitter options
+ * @param {string[]} [options.separators=DEFAULT_SEPARATORS] - Separators (replace the defaults)
+ * @param {string[]} [options.exceptions=[]] - Names never split (added to DEFAULT_EXCEPTIONS)
+ * @returns {Function} (credit: string) => string[] of artists, in credit order
+ */
+export function createArtistSplitter(options = {}) {
+  const { separators = DEFAULT_SEPARATORS, exceptions = [] } = options;
+  
+  // Longest first, so "feat." wins over "feat" and longer exceptions over shorter ones
+  const bySize = (a, b) => b.length - a.length;
+  const separatorPattern = [...separators]
+    .filter(sep => sep.trim())
+    .sort(bySize)
+    .map(sep => {
+      const escaped = escapeRegExp(sep.trim());
+      // Words need whitespace (or an opening bracket) before and whitespace after
+      return /^\p{L}/u.test(sep.trim())
+        ? `(?:\\s+|\\s*[(\\[])${escaped}(?=\\s)\\s*`
+        : `\\s*${escaped}\\s*`;
+    })
+    .join('|');
+  const separatorRegex = separatorPattern ? new RegExp(separatorPattern, 'iu') : null;
+  
+  const exceptionRegexes = [...new Set([...DEFAULT_EXCEPTIONS, ...exceptions])]
+    .filter(name => name.trim())
+    .sort(bySize)
+    .map(name => new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(name.trim())}(?![\\p{L}\\p{N}])`, 'giu'));
+  
+  return (credit) => {
+    if (!credit || !credit.trim()) {
+      return [];
+    }
+    if (!separatorRegex) {
+      return [credit.trim()];
+    }
+    
+    // Swap exceptions for placeholders so their separators are left alone
+    const protectedNames = [];
+    let text = credit;
+    for (const regex of exceptionRegexes) {
+      text = text.replace(regex, (match) => {
+        protectedNames.push(match);
+        return `\u0000${protectedNames.length - 1}\u0000`;
+      });
+    }
+    
+    const artists = [];
+    const seen = new Set();
+    for (const piece of text.split(new RegExp(separatorRegex.source, 'giu'))) {
+      const artist = stripUnbalancedBrackets(
+        piece.replace(/\u0000(\d+)\u0000/g, (_, index) => protectedNames[Number(index)])
+      );
+      const key = artist.toLocaleLowerCase();
+      if (artist && !seen.has(key)) {
+        seen.add(key);
+        artists.push(artist);
+      }
+    }
+    return artists;
+  };
+}
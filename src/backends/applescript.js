@@ -0,0 +1,27 @@
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { createOsascriptBackend, runRecordScript } from './osascript.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Script paths
+const SCRIPTS = {
+  artists: path.join(__dirname, '../../scripts/extract-artists.applescript'),
+  tracks: path.join(__dirname, '../../scripts/extract-tracks.applescript'),
+  playlists: path.join(__dirname, '../../scripts/extract-playlists.applescript'),
+  playlistsDetailed: path.join(__dirname, '../../scripts/extract-playlists-detailed.applescript'),
+  playlistTracks: path.join(__dirname, '../../scripts/extract-playlist-tracks.applescript'),
+  probe: path.join(__dirname, '../../scripts/probe-library.applescript')
+};
+
+/**
+ * Create the AppleScript backend (the default)
+ * @returns {Object} Extraction backend
+ */
+export function createAppleScriptBackend() {
+  return createOsascriptBackend({
+    name: 'applescript',
+    scripts: SCRIPTS,
+    runScript: runRecordScript
+  });
+}
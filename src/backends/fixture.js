@@ -0,0 +1,177 @@
+import { readFileSync, writeFileSync } from 'node:fs';
+import path from 'node:path';
+import { ExitCodes } from '../exit-codes.js';
+import { filterPlaylistTracks } from '../playlist-select.js';
+import { detectErrorType } from './osascript.js';
+
+// Fixture file format version
+export const FIXTURE_VERSION = 1;
+
+// Parsed fixtures, keyed by resolved path
+const fixtureCache = new Map();
+
+/**
+ * Load and validate a fixture file
+ * @param {string} filePath - Resolved fixture path
+ * @returns {Object} Fixture data
+ * @throws {Error} If the file cannot be read or is not a fixture
+ */
+function loadFixture(filePath) {
+  const fixture = JSON.parse(readFileSync(filePath, { encoding: 'utf8' }));
+  
+  if (fixture.version !== FIXTURE_VERSION) {
+    throw new Error(`Unsupported fixture version ${fixture.version} (expected ${FIXTURE_VERSION})`);
+  }
+  for (const key of ['tracks', 'playlists', 'playlistTracks']) {
+    if (!Array.isArray(fixture[key])) {
+      throw new Error(`Fixture is missing the "${key}" array`);
+    }
+  }
+  
+  return fixture;
+}
+
+/**
+ * Create a backend that replays recorded library data
+ * A fixture may also simulate a failure by replaying osascript's stderr,
+ * which is mapped to an exit code exactly like a real osascript failure:
+ *
+ *   "failure": { "stderr": "... Not authorized to send Apple events to Music. (-1743)" }
+ *
+ * Add "kinds": ["playlistTracks"] to fail only some extractions.
+ * @param {string} fixturePath - Path to the fixture JSON file
+ * @returns {Object} Extraction backend
+ */
+export function createFixtureBackend(fixturePath) {
+  const resolvedPath = path.resolve(fixturePath);
+  
+  /**
+   * Replay one record list from the fixture
+   * @param {string} kind - tracks, playlists, playlistsDetailed or playlistTracks
+   * @param {Object} options - Options
+   * @returns {{records: Array, exitCode: number, error?: string}}
+   */
+  const replay = (kind, options = {}) => {
+    const { limit } = options;
+    let fixture;
+    
+    try {
+      if (!fixtureCache.has(resolvedPath)) {
+        fixtureCache.set(resolvedPath, loadFixture(resolvedPath));
+      }
+      fixture = fixtureCache.get(resolvedPath);
+    } catch (err) {
+      return { records: [], exitCode: ExitCodes.FIXTURE_ERROR, error: err.message };
+    }
+    
+    const { failure } = fixture;
+    if (failure && (!failure.kinds || failure.kinds.includes(kind))) {
+      const stderr = failure.stderr || '';
+      return { records: [], exitCode: detectErrorType(stderr), error: stderr.trim() };
+    }
+    
+    const records = fixture[kind];
+    if (!records) {
+      // playlistsDetailed is missing from fixtures recorded by older versions
+      return {
+        records: [],
+        exitCode: ExitCodes.FIXTURE_ERROR,
+        error: `Fixture has no "${kind}" records; record it again with --record-fixture`
+      };
+    }
+    return {
+      records: limit ? records.slice(0, limit) : records,
+      exitCode: ExitCodes.SUCCESS
+    };
+  };
+  
+  return {
+    name: 'fixture',
+    label: path.basename(resolvedPath),
+    requiresMusicApp: false,
+    sourceFile: resolvedPath,
+    
+    async extractArtists(options = {}) {
+      // Music reports one artist per library track, so replay them from tracks
+      const result = replay('tracks', options);
+      const artists = result.records.map(track => track.artist);
+      return { artists, exitCode: result.exitCode, error: result.error };
+    },
+    
+    async extractTracks(options = {}) {
+      const result = replay('tracks', options);
+      return { tracks: result.records, exitCode: result.exitCode, error: result.error };
+    },
+    
+    async extractPlaylists(options = {}) {
+      const result = replay('playlists', options);
+      return { playlists: result.records, exitCode: result.exitCode, error: result.error };
+    },
+    
+    async extractPlaylistsDetailed(options = {}) {
+      const result = replay('playlistsDetailed', options);
+      return { playlists: result.records, exitCode: result.exitCode, error: result.error };
+    },
+    
+    async extractPlaylistTracks(options = {}) {
+      const result = replay('playlistTracks', { ...options, limit: null });
+      const playlistTracks = filterPlaylistTracks(result.records, options.playlists);
+      return {
+        playlistTracks: options.limit ? playlistTracks.slice(0, options.limit) : playlistTracks,
+        exitCode: result.exitCode,
+        error: result.error
+      };
+    }
+  };
+}
+
+/**
+ * Record a fixture by running every extraction on a backend
+ * @param {Object} backend - Extraction backend to record from
+ * @param {Object} [options] - Extraction options
+ * @returns {Promise<{fixture?: Object, exitCode: number, error?: string}>}
+ */
+export async function recordFixture(backend, options = {}) {
+  const { tracks, exitCode, error } = await backend.extractTracks(options);
+  if (exitCode !== ExitCodes.SUCCESS) {
+    return { exitCode, error };
+  }
+  
+  const playlistsResult = await backend.extractPlaylists(options);
+  if (playlistsResult.exitCode !== ExitCodes.SUCCESS) {
+    return { exitCode: playlistsResult.exitCode, error: playlistsResult.error };
+  }
+  
+  const playlistsDetailedResult = await backend.extractPlaylistsDetailed(options);
+  if (playlistsDetailedResult.exitCode !== ExitCodes.SUCCESS) {
+    return { exitCode: playlistsDetailedResult.exitCode, error: playlistsDetailedResult.error };
+  }
+  
+  const playlistTracksResult = await backend.extractPlaylistTracks(options);
+  if (playlistTracksResult.exitCode !== ExitCodes.SUCCESS) {
+    return { exitCode: playlistTracksResult.exitCode, error: playlistTracksResult.error };
+  }
+  
+  return {
+    fixture: {
+      version: FIXTURE_VERSION,
+      recordedAt: new Date().toISOString(),
+      recordedWith: backend.name,
+      tracks,
+      playlists: playlistsResult.playlists,
+      playlistsDetailed: playlistsDetailedResult.playlists,
+      playlistTracks: playlistTracksResult.playlistTracks
+    },
+    exitCode: ExitCodes.SUCCESS
+  };
+}
+
+/**
+ * Write a recorded fixture to disk
+ * @param {string} filePath - Path to write the fixture JSON
+ * @param {Object} fixture - Fixture from recordFixture
+ * @throws {Error} If file write fails
+ */
+export function writeFixture(filePath, fixture) {
+  writeFileSync(filePath, JSON.stringify(fixture, null, 2) + '\n', { encoding: 'utf8' });
+}
@@ -0,0 +1,60 @@
+import { createAppleScriptBackend } from './applescript.js';
+import { createJXABackend } from './jxa.js';
+import { createLibraryXmlBackend } from './library-xml.js';
+import { createFixtureBackend } from './fixture.js';
+
+// Backends selectable by name (library-xml is selected with --library-xml)
+export const BACKENDS = ['applescript', 'jxa', 'fixture'];
+
+/**
+ * Resolve backend options, falling back to environment variables
+ * AMLIB_BACKEND and AMLIB_FIXTURE let the TUI (which has no flags) run
+ * against a fixture off macOS.
+ * @param {Object} [options] - Extraction options
+ * @returns {{backend: string, fixture: string|null, libraryXml: string|null}}
+ */
+export function resolveBackendOptions(options = {}) {
+  const fixture = options.fixture || process.env.AMLIB_FIXTURE || null;
+  return {
+    backend: options.backend || process.env.AMLIB_BACKEND || (fixture ? 'fixture' : 'applescript'),
+    fixture,
+    libraryXml: options.libraryXml || null
+  };
+}
+
+/**
+ * Get the extraction backend for a set of options
+ * Every backend implements extractArtists, extractTracks, extractPlaylists,
+ * extractPlaylistsDetailed and extractPlaylistTracks with the same result
+ * shapes, plus:
+ *   name              Backend name
+ *   label             Human-readable data source ("Music.app", a file name)
+ *   requiresMusicApp  Whether macOS/osascript/Music.app checks apply
+ *   sourceFile        Input file path, for file-based backends
+ *   probeLibrary      Music.app backends: a cheap summary of the library
+ *                     that changes when it does (see cache.js)
+ * @param {Object} [options] - Extraction options
+ * @returns {Object} Extraction backend
+ * @throws {Error} If the backend is unknown or missing its input file
+ */
+export function getBackend(options = {}) {
+  const { backend, fixture, libraryXml } = resolveBackendOptions(options);
+  
+  if (libraryXml) {
+    return createLibraryXmlBackend(libraryXml);
+  }
+  
+  switch (backend) {
+    case 'applescript':
+      return createAppleScriptBackend();
+    case 'jxa':
+      return createJXABackend();
+    case 'fixture':
+      if (!fixture) {
+        throw new Error('The fixture backend requires a fixture file (--fixture or AMLIB_FIXTURE)');
+      }
+      return createFixtureBackend(fixture);
+    default:
+      throw new Error(`Unknown backend: ${backend}`);
+  }
+}
@@ -0,0 +1,29 @@
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { createOsascriptBackend, runJXAScript } from './osascript.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// JavaScript for Automation scripts (bulk property fetching, JSON output)
+const SCRIPTS = {
+  artists: path.join(__dirname, '../../scripts/jxa/extract-artists.js'),
+  tracks: path.join(__dirname, '../../scripts/jxa/extract-tracks.js'),
+  playlists: path.join(__dirname, '../../scripts/jxa/extract-playlists.js'),
+  playlistsDetailed: path.join(__dirname, '../../scripts/jxa/extract-playlists-detailed.js'),
+  playlistTracks: path.join(__dirname, '../../scripts/jxa/extract-playlist-tracks.js'),
+  probe: path.join(__dirname, '../../scripts/jxa/probe-library.js')
+};
+
+/**
+ * Create the JXA backend
+ * Produces the same records as the AppleScript backend, much faster on
+ * large libraries.
+ * @returns {Object} Extraction backend
+ */
+export function createJXABackend() {
+  return createOsascriptBackend({
+    name: 'jxa',
+    scripts: SCRIPTS,
+    runScript: runJXAScript
+  });
+}
@@ -0,0 +1,78 @@
+import path from 'node:path';
+import { ExitCodes } from '../exit-codes.js';
+import { filterPlaylistTracks } from '../playlist-select.js';
+import { loadLibraryXml } from '../library-xml.js';
+
+// Parsed Library.xml files, keyed by resolved path (the TUI extracts repeatedly)
+const libraryXmlCache = new Map();
+
+/**
+ * Create a backend that reads an exported Library.xml instead of Music.app
+ * @param {string} xmlPath - Path to the Library.xml file
+ * @returns {Object} Extraction backend
+ */
+export function createLibraryXmlBackend(xmlPath) {
+  const resolvedPath = path.resolve(xmlPath);
+  
+  /**
+   * Read one record list from the (cached) parsed library
+   * @param {string} key - tracks, playlists, playlistsDetailed or playlistTracks
+   * @param {Object} options - Options
+   * @returns {{records: Array, exitCode: number, error?: string}}
+   */
+  const read = (key, options = {}) => {
+    const { limit } = options;
+    
+    try {
+      if (!libraryXmlCache.has(resolvedPath)) {
+        libraryXmlCache.set(resolvedPath, loadLibraryXml(resolvedPath));
+      }
+    } catch (err) {
+      return { records: [], exitCode: ExitCodes.LIBRARY_XML_ERROR, error: err.message };
+    }
+    
+    const records = libraryXmlCache.get(resolvedPath)[key];
+    return {
+      records: limit ? records.slice(0, limit) : records,
+      exitCode: ExitCodes.SUCCESS
+    };
+  };
+  
+  return {
+    name: 'library-xml',
+    label: path.basename(resolvedPath),
+    requiresMusicApp: false,
+    sourceFile: resolvedPath,
+    
+    async extractArtists(options = {}) {
+      const result = read('tracks', options);
+      const artists = result.records.map(track => track.artist);
+      return { artists, exitCode: result.exitCode, error: result.error };
+    },
+    
+    async extractTracks(options = {}) {
+      const result = read('tracks', options);
+      return { tracks: result.records, exitCode: result.exitCode, error: result.error };
+    },
+    
+    async extractPlaylists(options = {}) {
+      const result = read('playlists', options);
+      return { playlists: result.records, exitCode: result.exitCode, error: result.error };
+    },
+    
+    async extractPlaylistsDetailed(options = {}) {
+      const result = read('playlistsDetailed', options);
+      return { playlists: result.records, exitCode: result.exitCode, error: result.error };
+    },
+    
+    async extractPlaylistTracks(options = {}) {
+      const result = read('playlistTracks', { ...options, limit: null });
+      const playlistTracks = filterPlaylistTracks(result.records, options.playlists);
+      return {
+        playlistTracks: options.limit ? playlistTracks.slice(0, options.limit) : playlistTracks,
+        exitCode: result.exitCode,
+        error: result.error
+      };
+    }
+  };
+}
@@ -0,0 +1,409 @@
+import { spawn } from 'node:child_process';
+import { createHash } from 'node:crypto';
+import { createInterface } from 'node:readline';
+import { ExitCodes } from '../exit-codes.js';
+import { decodeRecords, decodeJSONRecords, parseTotal, parseProgress, RecordFormatError } from '../record-codec.js';
+
+/**
+ * Detect the type of error from osascript stderr output
+ * @param {string} stderr - The stderr output from osascript
+ * @returns {number} The appropriate exit code
+ */
+export function detectErrorType(stderr) {
+  // Newer macOS versions use typographic apostrophes ("isn’t running")
+  const lowerStderr = stderr.toLowerCase().replace(/[\u2018\u2019]/g, '\'');
+  
+  // Permission/authorization errors
+  if (
+    lowerStderr.includes('not authorized') ||
+    lowerStderr.includes('assistive access') ||
+    lowerStderr.includes('user canceled') ||
+    lowerStderr.includes('erraeventnotpermitted') ||
+    lowerStderr.includes('-1743') // AppleEvent permission denied
+  ) {
+    return ExitCodes.PERMISSION_DENIED;
+  }
+  
+  // Music.app not available
+  if (
+    lowerStderr.includes('application isn\'t running') ||
+    lowerStderr.includes('(-600)') || // procNotFound
+    lowerStderr.includes('application "music" can\'t be found') ||
+    lowerStderr.includes('connection is invalid') ||
+    lowerStderr.includes('couldn\'t launch')
+  ) {
+    return ExitCodes.MUSIC_UNAVAILABLE;
+  }
+  
+  return ExitCodes.APPLESCRIPT_ERROR;
+}
+
+/**
+ * Parse a numeric field from script output
+ * @param {string} [text] - Field text
+ * @returns {number|null} The number, or null if empty or not numeric
+ */
+function parseNumber(text) {
+  if (!text) return null;
+  const value = Number(text);
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Convert a local "YYYY-MM-DDTHH:MM:SS" date from AppleScript to ISO 8601 (UTC)
+ * @param {string} [text] - Local date text
+ * @returns {string|null} ISO date string, or null if empty or invalid
+ */
+function parseLocalDate(text) {
+  if (!text) return null;
+  // Without an offset, Date parses date-time strings as local time
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Run an AppleScript and collect output lines
+ * The first line is the record header and the second may be #total (see
+ * record-codec.js); the limit counts record lines only.
+ * @param {string} scriptPath - Path to the AppleScript file
+ * @param {Object} options - Options
+ * @param {number} [options.limit] - Stop the script after this many records
+ * @param {Function} [options.onLine] - Called with (line, lineNumber) as lines arrive
+ * @param {string} [options.language] - OSA language (e.g. 'JavaScript'), default AppleScript
+ * @param {string[]} [options.args] - Arguments passed to the script's run handler
+ * @returns {Promise<{lines: string[], exitCode: number, error?: string}>}
+ */
+function runAppleScript(scriptPath, options = {}) {
+  return new Promise((resolve) => {
+    const { limit, onLine, language, args: scriptArgs = [] } = options;
+    const lines = [];
+    let stderr = '';
+    let lineCount = 0;
+    let recordCount = 0;
+    let limitReached = false;
+    
+    const args = [...(language ? ['-l', language] : []), scriptPath, ...scriptArgs];
+    const proc = spawn('osascript', args, {
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    
+    const rl = createInterface({
+      input: proc.stdout,
+      crlfDelay: Infinity
+    });
+    
+    rl.on('line', (line) => {
+      if (limitReached) return;
+      
+      lineCount++;
+      lines.push(line);
+      
+      if (onLine) {
+        onLine(line, lineCount);
+      }
+      
+      if (lineCount > 1 && !(lineCount === 2 && parseTotal(line) !== null)) {
+        recordCount++;
+      }
+      if (limit && recordCount >= limit) {
+        limitReached = true;
+        proc.kill('SIGTERM');
+        rl.close();
+      }
+    });
+    
+    proc.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+    
+    proc.on('close', (code) => {
+      if (limitReached) {
+        resolve({ lines, exitCode: ExitCodes.SUCCESS });
+        return;
+      }
+      
+      if (code === 0) {
+        resolve({ lines, exitCode: ExitCodes.SUCCESS });
+        return;
+      }
+      
+      const exitCode = detectErrorType(stderr);
+      resolve({ lines, exitCode, error: stderr.trim() });
+    });
+    
+    proc.on('error', (err) => {
+      resolve({
+        lines,
+        exitCode: ExitCodes.APPLESCRIPT_ERROR,
+        error: err.message
+      });
+    });
+  });
+}
+
+/**
+ * Run an extraction script and decode its records
+ * Scripts that write a #total line report progress as records arrive.
+ * @param {string} scriptPath - Path to the AppleScript file
+ * @param {Object} options - Options (passed to runAppleScript)
+ * @param {Function} [options.onProgress] - Called with { done, total } after the
+ *   #total line and each record, and with { done, total, finished: true } when
+ *   the script ends (also on failure or at the limit)
+ * @returns {Promise<{records: Object[], exitCode: number, error?: string}>}
+ */
+export async function runRecordScript(scriptPath, options = {}) {
+  const { onProgress } = options;
+  let total = null;
+  let done = 0;
+  const onLine = onProgress && ((line, lineNumber) => {
+    if (lineNumber === 2) {
+      total = parseTotal(line);
+      if (total !== null) {
+        onProgress({ done, total });
+      }
+    } else if (lineNumber > 2 && total !== null && line !== '') {
+      done++;
+      onProgress({ done, total });
+    }
+  });
+  
+  const result = await runAppleScript(scriptPath, { ...options, onLine });
+  if (total !== null) {
+    onProgress({ done, total, finished: true });
+  }
+  
+  if (result.exitCode !== ExitCodes.SUCCESS) {
+    return { records: [], exitCode: result.exitCode, error: result.error };
+  }
+  
+  try {
+    return { records: decodeRecords(result.lines), exitCode: ExitCodes.SUCCESS };
+  } catch (err) {
+    if (err instanceof RecordFormatError) {
+      return { records: [], exitCode: ExitCodes.MALFORMED_OUTPUT, error: err.message };
+    }
+    throw err;
+  }
+}
+
+/**
+ * Run a JXA extraction script and decode its JSON records
+ * The script always fetches whole columns, so the limit is applied afterwards.
+ * Progress comes from the #total line and the #progress lines the script
+ * writes while it fetches (see runRecordScript).
+ * @param {string} scriptPath - Path to the JXA script
+ * @param {Object} options - Options
+ * @returns {Promise<{records: Object[], exitCode: number, error?: string}>}
+ */
+export async function runJXAScript(scriptPath, options = {}) {
+  const { limit, args, onProgress } = options;
+  let total = null;
+  let done = 0;
+  const onLine = (line, lineNumber) => {
+    if (lineNumber === 1) {
+      total = parseTotal(line);
+      if (total !== null && onProgress) {
+        onProgress({ done, total });
+      }
+      return;
+    }
+    
+    const fetched = parseProgress(line);
+    if (fetched !== null && total !== null && onProgress) {
+      done = Math.min(fetched, total);
+      onProgress({ done, total });
+    }
+  };
+  
+  const result = await runAppleScript(scriptPath, { language: 'JavaScript', args, onLine });
+  if (total !== null && onProgress) {
+    onProgress({ done: result.exitCode === ExitCodes.SUCCESS ? total : done, total, finished: true });
+  }
+  
+  if (result.exitCode !== ExitCodes.SUCCESS) {
+    return { records: [], exitCode: result.exitCode, error: result.error };
+  }
+  
+  try {
+    const records = decodeJSONRecords(stripCountLines(result.lines).join('\n'));
+    return { records: limit ? records.slice(0, limit) : records, exitCode: ExitCodes.SUCCESS };
+  } catch (err) {
+    if (err instanceof RecordFormatError) {
+      return { records: [], exitCode: ExitCodes.MALFORMED_OUTPUT, error: err.message };
+    }
+    throw err;
+  }
+}
+
+/**
+ * Drop the #total and #progress lines from JXA script output
+ * @param {string[]} lines - Output lines
+ * @returns {string[]} The JSON result lines
+ */
+export function stripCountLines(lines) {
+  return lines.filter(line => parseTotal(line) === null && parseProgress(line) === null);
+}
+
+/**
+ * Convert a decoded tracks record to a track object
+ * Fields: see scripts/extract-tracks.applescript
+ * @param {Object} record - Decoded record (string or null values)
+ * @returns {Object} Track object
+ */
+export function toTrack(record) {
+  const duration = parseNumber(record.duration_ms);
+  return {
+    title: record.title || '',
+    artist: record.artist || '',
+    albumArtist: record.album_artist || '',
+    album: record.album || '',
+    genre: record.genre || '',
+    year: parseNumber(record.year) || null,
+    duration: duration === null ? null : duration / 1000,
+    trackNumber: parseNumber(record.track_number) || null,
+    discNumber: parseNumber(record.disc_number) || null,
+    composer: record.composer || '',
+    playCount: parseNumber(record.play_count),
+    rating: parseNumber(record.rating),
+    loved: record.loved === 'true' ? true : (record.loved === 'false' ? false : null),
+    dateAdded: parseLocalDate(record.date_added),
+    lastPlayed: parseLocalDate(record.last_played),
+    persistentId: record.persistent_id || null
+  };
+}
+
+/**
+ * Convert a decoded playlist-tracks record to a playlist track object
+ * Fields: see scripts/extract-playlist-tracks.applescript
+ * @param {Object} record - Decoded record (string or null values)
+ * @returns {Object} Playlist track object
+ */
+export function toPlaylistTrack(record) {
+  const duration = parseNumber(record.duration_ms);
+  return {
+    playlist: record.playlist || '',
+    track: record.track || '',
+    artist: record.artist || '',
+    album: record.album || '',
+    duration: duration === null ? null : duration / 1000,
+    location: record.location || '',
+    playlistPersistentId: record.playlist_persistent_id || null,
+    trackPersistentId: record.track_persistent_id || null
+  };
+}
+
+/**
+ * Convert a decoded playlists-detailed record to a playlist object
+ * Fields: see scripts/extract-playlists-detailed.applescript
+ * @param {Object} record - Decoded record (string or null values)
+ * @returns {Object} Playlist object
+ */
+export function toPlaylistDetail(record) {
+  return {
+    name: record.name || '',
+    persistentId: record.persistent_id || null,
+    parentPersistentId: record.parent_persistent_id || null,
+    kind: record.kind || 'regular',
+    smart: record.smart === 'true' ? true : (record.smart === 'false' ? false : null),
+    trackCount: parseNumber(record.track_count) ?? 0,
+    duration: parseNumber(record.duration_s)
+  };
+}
+
+/**
+ * Convert the decoded probe record to a library signature
+ * Fields: see scripts/probe-library.applescript. The playlists field lists
+ * every playlist's ID, name and tracks, and is kept as a hash.
+ * @param {Object} record - Decoded record (string or null values)
+ * @returns {Object} Library signature
+ */
+export function toLibrarySignature(record) {
+  return {
+    trackCount: parseNumber(record.track_count),
+    playlistCount: parseNumber(record.playlist_count),
+    playlistTrackCount: parseNumber(record.playlist_track_count),
+    lastModified: parseLocalDate(record.last_modified),
+    lastPlayed: parseLocalDate(record.last_played),
+    playlists: typeof record.playlists === 'string' ? createHash('sha256').update(record.playlists).digest('hex') : null
+  };
+}
+
+/**
+ * Add the kind of records being read to progress events
+ * @param {Object} options - Extraction options
+ * @param {string} kind - tracks or playlistTracks
+ * @returns {Object} Options whose onProgress also receives kind
+ */
+function withProgressKind(options, kind) {
+  const { onProgress } = options;
+  return onProgress ? { ...options, onProgress: event => onProgress({ ...event, kind }) } : options;
+}
+
+/**
+ * Create a backend that runs extraction scripts through osascript
+ * @param {Object} config - Backend configuration
+ * @param {string} config.name - Backend name
+ * @param {Object} config.scripts - Script paths keyed by kind (artists, tracks, playlists,
+ *   playlistsDetailed, playlistTracks, probe)
+ * @param {Function} config.runScript - (scriptPath, options) => Promise<{records, exitCode, error?}>
+ * @returns {Object} Extraction backend
+ */
+export function createOsascriptBackend({ name, scripts, runScript }) {
+  return {
+    name,
+    label: 'Music.app',
+    requiresMusicApp: true,
+    
+    async extractArtists(options = {}) {
+      // The artists script reads every track
+      const result = await runScript(scripts.artists, withProgressKind(options, 'tracks'));
+      const artists = result.records.map(record => record.artist || '');
+      return { artists, exitCode: result.exitCode, error: result.error };
+    },
+    
+    async extractTracks(options = {}) {
+      const result = await runScript(scripts.tracks, withProgressKind(options, 'tracks'));
+      return { tracks: result.records.map(toTrack), exitCode: result.exitCode, error: result.error };
+    },
+    
+    async extractPlaylists(options = {}) {
+      const result = await runScript(scripts.playlists, options);
+      const playlists = result.records.map(record => record.name || '');
+      return { playlists, exitCode: result.exitCode, error: result.error };
+    },
+    
+    async extractPlaylistsDetailed(options = {}) {
+      const result = await runScript(scripts.playlistsDetailed, options);
+      return {
+        playlists: result.records.map(toPlaylistDetail),
+        exitCode: result.exitCode,
+        error: result.error
+      };
+    },
+    
+    async extractPlaylistTracks(options = {}) {
+      // Selected playlist names go to the script, which skips all others
+      const result = await runScript(scripts.playlistTracks, {
+        ...withProgressKind(options, 'playlistTracks'),
+        args: options.playlists || []
+      });
+      return {
+        playlistTracks: result.records.map(toPlaylistTrack),
+        exitCode: result.exitCode,
+        error: result.error
+      };
+    },
+    
+    async probeLibrary() {
+      const result = await runScript(scripts.probe, {});
+      if (result.exitCode === ExitCodes.SUCCESS && result.records.length !== 1) {
+        return { signature: null, exitCode: ExitCodes.MALFORMED_OUTPUT, error: 'Probe script returned no record' };
+      }
+      return {
+        signature: result.records.length === 1 ? toLibrarySignature(result.records[0]) : null,
+        exitCode: result.exitCode,
+        error: result.error
+      };
+    }
+  };
+}
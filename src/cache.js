@@ -0,0 +1,123 @@
+import { existsSync, mkdirSync, readFileSync, renameSync, rmSync, writeFileSync } from 'node:fs';
+import { homedir } from 'node:os';
+import path from 'node:path';
+
+/**
+ * On-disk cache of extracted library data
+ *
+ * Reading tracks and playlist tracks from Music.app takes minutes on large
+ * libraries. The decoded records are kept in one JSON file per kind, with
+ * the library signature from the backend's probe script:
+ *
+ *   { "version": 1, "kind": "tracks", "backend": "jxa",
+ *     "signature": { "trackCount": 12034, ... }, "createdAt": "...", "records": [...] }
+ *
+ * A cache file is only used while the probe returns the same signature.
+ * The AppleScript and JXA backends produce the same records, so they share
+ * the cache.
+ */
+
+// Cache file format version (bump when records change shape)
+export const CACHE_VERSION = 1;
+
+// Files read in this process, so the TUI doesn't parse them for every export
+const memoryCache = new Map();
+
+/**
+ * Get the cache directory
+ * AMLIB_CACHE_DIR overrides the default, ~/Library/Caches/amlib-export on
+ * macOS and $XDG_CACHE_HOME/amlib-export (or ~/.cache) elsewhere.
+ * @returns {string} Cache directory path
+ */
+export function getCacheDir() {
+  if (process.env.AMLIB_CACHE_DIR) {
+    return path.resolve(process.env.AMLIB_CACHE_DIR);
+  }
+  if (process.platform === 'darwin') {
+    return path.join(homedir(), 'Library', 'Caches', 'amlib-export');
+  }
+  return path.join(process.env.XDG_CACHE_HOME || path.join(homedir(), '.cache'), 'amlib-export');
+}
+
+/**
+ * Get the cache file path for a kind of records
+ * @param {string} kind - tracks or playlistTracks
+ * @returns {string} Cache file path
+ */
+function getCachePath(kind) {
+  return path.join(getCacheDir(), `${kind}.json`);
+}
+
+/**
+ * Check whether two library signatures are the same
+ * @param {Object} a - Signature
+ * @param {Object} b - Signature
+ * @returns {boolean} Whether every field is equal
+ */
+export function isSameSignature(a, b) {
+  if (!a || !b) return false;
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].every(key => a[key] === b[key]);
+}
+
+/**
+ * Read cached records, if they match the library signature
+ * An unreadable or outdated cache file counts as a miss.
+ * @param {string} kind - tracks or playlistTracks
+ * @param {Object} signature - Current library signature
+ * @returns {{records: Object[], createdAt: string}|null} Cached records, or null
+ */
+export function readCache(kind, signature) {
+  const filePath = getCachePath(kind);
+  let entry = memoryCache.get(filePath);
+  
+  if (!entry || !isSameSignature(entry.signature, signature)) {
+    if (!existsSync(filePath)) return null;
+    try {
+      entry = JSON.parse(readFileSync(filePath, { encoding: 'utf8' }));
+    } catch {
+      return null;
+    }
+    if (entry.version !== CACHE_VERSION || entry.kind !== kind || !Array.isArray(entry.records)) {
+      return null;
+    }
+    memoryCache.set(filePath, entry);
+  }
+  
+  return isSameSignature(entry.signature, signature)
+    ? { records: entry.records, createdAt: entry.createdAt }
+    : null;
+}
+
+/**
+ * Write records to the cache, replacing the previous file
+ * The file is written next to the target and renamed into place, so an
+ * interrupted write never leaves a truncated cache behind.
+ * @param {string} kind - tracks or playlistTracks
+ * @param {Object} signature - Library signature the records belong to
+ * @param {Object[]} records - Extracted records
+ * @param {string} backend - Name of the backend that extracted them
+ * @throws {Error} If the cache directory or file cannot be written
+ */
+export function writeCache(kind, signature, records, backend) {
+  const filePath = getCachePath(kind);
+  const tempPath = `${filePath}.tmp`;
+  const entry = {
+    version: CACHE_VERSION,
+    kind,
+    backend,
+    signature,
+    createdAt: new Date().toISOString(),
+    records
+  };
+  
+  mkdirSync(path.dirname(filePath), { recursive: true });
+  try {
+    writeFileSync(tempPath, JSON.stringify(entry), { encoding: 'utf8' });
+    renameSync(tempPath, filePath);
+  } catch (err) {
+    rmSync(tempPath, { force: true });
+    throw err;
+  }
+  memoryCache.set(filePath, entry);
+}
@@ -0,0 +1,310 @@
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+import { homedir } from 'node:os';
+import path from 'node:path';
+
+/**
+ * Config file with default options and named export profiles
+ *
+ * .amlib-export.json in the home directory and in the current directory
+ * (which wins where both set the same option or profile):
+ *
+ *   {
+ *     "defaults": { "backend": "jxa", "dedup": ["nfc", "diacritics"] },
+ *     "profiles": {
+ *       "weekly-backup": {
+ *         "description": "Full metadata, one file per day",
+ *         "type": "detailed",
+ *         "out": "~/Backups/library-{date}.csv",
+ *         "where": "play_count > 0"
+ *       }
+ *     }
+ *   }
+ *
+ * Option names are the long command-line flags without the dashes.
+ */
+
+export const CONFIG_FILENAME = '.amlib-export.json';
+
+// Option -> how it becomes command-line arguments
+//   value    --name <value>
+//   list     --name <value> for each item (a single string also works)
+//   flag     --name when true
+//   negated  --no-name when false
+const CONFIG_OPTIONS = {
+  type: 'value',
+  out: 'value',
+  all: 'flag',
+  'out-dir': 'value',
+  format: 'value',
+  where: 'value',
+  sort: 'negated',
+  trim: 'negated',
+  cache: 'negated',
+  refresh: 'flag',
+  strict: 'flag',
+  'split-artists': 'flag',
+  'split-separator': 'list',
+  'split-exception': 'list',
+  'with-credit': 'flag',
+  'with-ids': 'flag',
+  'ignore-versions': 'flag',
+  'duration-tolerance': 'value',
+  dedup: 'list',
+  'dedup-report': 'value',
+  playlist: 'list',
+  'exclude-playlist': 'list',
+  preset: 'value',
+  'library-xml': 'value',
+  backend: 'value',
+  fixture: 'value',
+  limit: 'value'
+};
+
+// Short flags -> option
+const SHORT_FLAGS = {
+  '-t': 'type',
+  '-o': 'out',
+  '-f': 'format',
+  '-w': 'where',
+  '-l': 'limit'
+};
+
+// Options holding file paths, where a leading ~/ is the home directory
+const PATH_OPTIONS = ['out', 'out-dir', 'dedup-report', 'library-xml', 'fixture'];
+
+// Subcommands a profile can run (diff needs two files, so it can't)
+export const PROFILE_COMMANDS = ['snapshot', 'stats', 'report'];
+
+// Profile names are typed after --profile, so keep them shell-friendly
+const PROFILE_NAME = /^[\w.-]+$/;
+
+/**
+ * Get the config file paths, lowest precedence first
+ * @param {Object} [locations] - Directories to look in
+ * @param {string} [locations.cwd=process.cwd()] - Project directory
+ * @param {string} [locations.home=os.homedir()] - Home directory
+ * @returns {string[]} Home config path, then project config path (once if the same)
+ */
+export function getConfigPaths({ cwd = process.cwd(), home = homedir() } = {}) {
+  const paths = [path.join(home, CONFIG_FILENAME), path.join(path.resolve(cwd), CONFIG_FILENAME)];
+  return [...new Set(paths)];
+}
+
+/**
+ * Check a profile name
+ * @param {string} name - Profile name
+ * @returns {boolean} Whether the name can be used with --profile
+ */
+export function isValidProfileName(name) {
+  return PROFILE_NAME.test(name);
+}
+
+/**
+ * Check the options of a defaults or profile object
+ * @param {Object} options - Options from the config file
+ * @param {string} where - Description for error messages
+ * @param {boolean} isProfile - Whether command and description are allowed
+ * @throws {Error} If an option is unknown or has the wrong type
+ */
+function validateOptions(options, where, isProfile) {
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error(`${where} must be an object`);
+  }
+  
+  for (const [key, value] of Object.entries(options)) {
+    if (isProfile && key === 'description') {
+      if (typeof value !== 'string') {
+        throw new Error(`${where}: "description" must be a string`);
+      }
+      continue;
+    }
+    if (isProfile && key === 'command') {
+      if (!PROFILE_COMMANDS.includes(value)) {
+        throw new Error(`${where}: "command" must be one of ${PROFILE_COMMANDS.join(', ')}`);
+      }
+      continue;
+    }
+    
+    const kind = CONFIG_OPTIONS[key];
+    if (!kind) {
+      throw new Error(`${where}: unknown option "${key}". Options: ${Object.keys(CONFIG_OPTIONS).join(', ')}`);
+    }
+    const valid = kind === 'value'
+      ? typeof value === 'string' || typeof value === 'number'
+      : kind === 'list'
+        ? typeof value === 'string' || (Array.isArray(value) && value.every(item => typeof item === 'string'))
+        : typeof value === 'boolean';
+    if (!valid) {
+      const expected = { value: 'a string or number', list: 'a string or an array of strings' }[kind] || 'true or false';
+      throw new Error(`${where}: "${key}" must be ${expected}`);
+    }
+  }
+}
+
+/**
+ * Read and check one config file
+ * @param {string} filePath - Path of the config file
+ * @returns {{defaults: Object, profiles: Object}} Parsed config
+ * @throws {Error} If the file is not valid JSON or has invalid options
+ */
+export function readConfigFile(filePath) {
+  let config;
+  try {
+    config = JSON.parse(readFileSync(filePath, { encoding: 'utf8' }));
+  } catch (err) {
+    throw new Error(`Cannot read config file ${filePath}: ${err.message}`);
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Config file ${filePath} must contain a JSON object`);
+  }
+  
+  const { defaults = {}, profiles = {}, ...unknown } = config;
+  const unknownKeys = Object.keys(unknown);
+  if (unknownKeys.length > 0) {
+    throw new Error(`Config file ${filePath}: unknown key "${unknownKeys[0]}" (expected "defaults" and "profiles")`);
+  }
+  
+  validateOptions(defaults, `${filePath}: "defaults"`, false);
+  if (!profiles || typeof profiles !== 'object' || Array.isArray(profiles)) {
+    throw new Error(`${filePath}: "profiles" must be an object`);
+  }
+  for (const [name, profile] of Object.entries(profiles)) {
+    if (!isValidProfileName(name)) {
+      throw new Error(`${filePath}: profile name "${name}" may only contain letters, digits, ".", "_" and "-"`);
+    }
+    validateOptions(profile, `${filePath}: profile "${name}"`, true);
+  }
+  
+  return { defaults, profiles };
+}
+
+/**
+ * Load the home and project config files
+ * The project file's defaults and profiles override the home file's.
+ * @param {Object} [locations] - Directories to look in (see getConfigPaths)
+ * @returns {{defaults: Object, profiles: Object, profileFiles: Object, files: string[]}}
+ *   Merged defaults and profiles, the file each profile came from, and the
+ *   files that were read
+ * @throws {Error} If a config file is invalid
+ */
+export function loadConfig(locations = {}) {
+  const result = { defaults: {}, profiles: {}, profileFiles: {}, files: [] };
+  
+  for (const filePath of getConfigPaths(locations)) {
+    if (!existsSync(filePath)) continue;
+    const { defaults, profiles } = readConfigFile(filePath);
+    Object.assign(result.defaults, defaults);
+    for (const [name, profile] of Object.entries(profiles)) {
+      result.profiles[name] = profile;
+      result.profileFiles[name] = filePath;
+    }
+    result.files.push(filePath);
+  }
+  
+  return result;
+}
+
+/**
+ * Find the config options that command-line arguments set
+ * @param {string[]} args - Command-line arguments
+ * @returns {Set<string>} Option names (as in the config file)
+ */
+export function findGivenOptions(args) {
+  const given = new Set();
+  
+  for (const arg of args) {
+    const name = SHORT_FLAGS[arg] || (arg.startsWith('--no-') ? arg.slice(5) : arg.startsWith('--') ? arg.slice(2) : null);
+    if (name && CONFIG_OPTIONS[name]) {
+      given.add(name);
+    }
+  }
+  
+  return given;
+}
+
+/**
+ * Convert config options to command-line arguments
+ * @param {Object} options - Defaults and/or profile options
+ * @returns {string[]} Arguments for parseArgs (command and description are skipped)
+ */
+export function configToArgs(options) {
+  const args = [];
+  
+  for (const [key, value] of Object.entries(options)) {
+    const kind = CONFIG_OPTIONS[key];
+    if (!kind) continue;
+    
+    if (kind === 'flag') {
+      if (value) args.push(`--${key}`);
+    } else if (kind === 'negated') {
+      if (!value) args.push(`--no-${key}`);
+    } else if (key === 'dedup') {
+      // --dedup takes one comma-separated list
+      args.push('--dedup', [].concat(value).join(','));
+    } else {
+      for (const item of [].concat(value)) {
+        let text = String(item);
+        if (PATH_OPTIONS.includes(key) && text.startsWith('~/')) {
+          text = path.join(homedir(), text.slice(2));
+        }
+        args.push(`--${key}`, text);
+      }
+    }
+  }
+  
+  return args;
+}
+
+/**
+ * Pad a number to two digits
+ * @param {number} n - Number
+ * @returns {string} Padded number
+ */
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+/**
+ * Fill in the placeholders of an output path
+ * {date} 2024-05-01, {time} 08-15-00, {year}, {month}, {day} (local time)
+ * and {type}, the export type or command.
+ * @param {string} pattern - Output path, possibly with placeholders
+ * @param {Object} values - Values
+ * @param {string} values.type - Export type or command
+ * @param {Date} [values.now=new Date()] - Date to use
+ * @returns {string} Output path
+ * @throws {Error} If the path has an unknown placeholder
+ */
+export function expandOutputPath(pattern, { type, now = new Date() }) {
+  const values = {
+    date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+    time: `${pad(now.getHours())}-${pad(now.getMinutes())}-${pad(now.getSeconds())}`,
+    year: String(now.getFullYear()),
+    month: pad(now.getMonth() + 1),
+    day: pad(now.getDate()),
+    type
+  };
+  
+  return pattern.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (!(name in values)) {
+      throw new Error(`Unknown placeholder ${placeholder} in output path. Placeholders: ${Object.keys(values).map(key => `{${key}}`).join(', ')}`);
+    }
+    return values[name];
+  });
+}
+
+/**
+ * Add or replace a profile in a config file
+ * The file is created if it doesn't exist; other settings are kept.
+ * @param {string} filePath - Path of the config file
+ * @param {string} name - Profile name
+ * @param {Object} profile - Profile options
+ * @throws {Error} If the existing file is invalid or cannot be written
+ */
+export function saveProfile(filePath, name, profile) {
+  const config = existsSync(filePath)
+    ? JSON.parse(readFileSync(filePath, { encoding: 'utf8' }))
+    : {};
+  config.profiles = { ...config.profiles, [name]: profile };
+  writeFileSync(filePath, JSON.stringify(config, null, 2) + '\n', { encoding: 'utf8' });
+}
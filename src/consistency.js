@@ -0,0 +1,273 @@
+import chalk from 'chalk';
+import { createKeyFunction } from './dedup-keys.js';
+
+/**
+ * Metadata consistency report
+ * Finds artist and album names spelled more than one way, and albums whose
+ * tracks disagree on the album artist.
+ */
+
+// Key that ignores case, whitespace, accents and punctuation
+const looseKey = createKeyFunction(['nfkc', 'diacritics', 'punctuation']);
+
+// Shortest key compared by edit distance (avoids "Low" ~ "Lou")
+const MIN_FUZZY_LENGTH = 5;
+
+/**
+ * Describe how a spelling differs from the most used one
+ * @param {string} value - Variant spelling
+ * @param {string} reference - Most used spelling
+ * @returns {string} case, whitespace, diacritics, punctuation or spelling
+ */
+function describeDifference(value, reference) {
+  const fold = (text, strategies) => createKeyFunction(strategies)(text.replace(/\s+/g, ' ').trim());
+  if (value.toLocaleLowerCase() === reference.toLocaleLowerCase()) return 'case';
+  if (fold(value, []) === fold(reference, [])) return 'whitespace';
+  if (fold(value, ['nfkc', 'diacritics']) === fold(reference, ['nfkc', 'diacritics'])) return 'diacritics';
+  if (looseKey(value) === looseKey(reference)) return 'punctuation';
+  return 'spelling';
+}
+
+/**
+ * Get the keys one deletion away from a key
+ * Two keys within edit distance 1 are equal, or one is a deletion of the
+ * other, or they share a deletion.
+ * @param {string} key - Key
+ * @returns {string[]} Keys with one character removed
+ */
+function deletions(key) {
+  const result = [];
+  for (let i = 0; i < key.length; i++) {
+    result.push(key.slice(0, i) + key.slice(i + 1));
+  }
+  return result;
+}
+
+/**
+ * Group spellings that are near-identical
+ * @param {Map<string, number>} counts - Raw spelling -> number of tracks
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.fuzzy=true] - Also group keys one edit apart
+ * @returns {Object[]} Groups with more than one spelling:
+ *   { variants: [{ value, tracks, difference }] }, most used spelling first
+ */
+export function groupSpellings(counts, options = {}) {
+  const { fuzzy = true } = options;
+  
+  // Loose key -> spellings
+  const byKey = new Map();
+  for (const [value, tracks] of counts) {
+    if (!value.trim()) continue;
+    const key = looseKey(value);
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push({ value, tracks });
+  }
+  
+  // Union keys one edit apart
+  const parent = new Map([...byKey.keys()].map(key => [key, key]));
+  const find = (key) => {
+    while (parent.get(key) !== key) {
+      parent.set(key, parent.get(parent.get(key)));
+      key = parent.get(key);
+    }
+    return key;
+  };
+  
+  if (fuzzy) {
+    const neighbours = new Map();
+    const link = (token, key) => {
+      if (neighbours.has(token)) {
+        parent.set(find(key), find(neighbours.get(token)));
+      } else {
+        neighbours.set(token, key);
+      }
+    };
+    for (const key of byKey.keys()) {
+      if (key.length < MIN_FUZZY_LENGTH) continue;
+      link(key, key);
+      for (const deleted of deletions(key)) {
+        link(deleted, key);
+      }
+    }
+  }
+  
+  const groups = new Map();
+  for (const [key, spellings] of byKey) {
+    const root = find(key);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(...spellings);
+  }
+  
+  const result = [];
+  for (const spellings of groups.values()) {
+    if (spellings.length < 2) continue;
+    spellings.sort((a, b) => b.tracks - a.tracks || a.value.localeCompare(b.value));
+    const reference = spellings[0].value;
+    result.push({
+      variants: spellings.map((spelling, index) => ({
+        ...spelling,
+        difference: index === 0 ? null : describeDifference(spelling.value, reference)
+      }))
+    });
+  }
+  
+  return result.sort((a, b) => a.variants[0].value.localeCompare(b.variants[0].value));
+}
+
+/**
+ * Count how many tracks use each spelling of a field
+ * @param {Object[]} tracks - Track records
+ * @param {Function} getValues - track => string[] of spellings used by the track
+ * @returns {Map<string, number>} Spelling -> track count
+ */
+function countSpellings(tracks, getValues) {
+  const counts = new Map();
+  for (const track of tracks) {
+    for (const value of new Set(getValues(track).filter(Boolean))) {
+      counts.set(value, (counts.get(value) || 0) + 1);
+    }
+  }
+  return counts;
+}
+
+/**
+ * Find albums whose tracks disagree on the album artist
+ * Tracks are grouped by album name, then album artists are linked when
+ * their tracks share a track artist, so different albums that happen to
+ * share a name ("Greatest Hits") are not reported.
+ * @param {Object[]} tracks - Track records
+ * @returns {Object[]} { album, albumArtists: [{ value, tracks }] }
+ */
+export function findAlbumArtistConflicts(tracks) {
+  const albums = new Map();
+  for (const track of tracks) {
+    if (!track.album || !track.album.trim()) continue;
+    const key = looseKey(track.album);
+    if (!albums.has(key)) albums.set(key, { album: track.album.trim(), tracks: [] });
+    albums.get(key).tracks.push(track);
+  }
+  
+  const conflicts = [];
+  for (const { album, tracks: albumTracks } of albums.values()) {
+    // Album artist -> { tracks, artists }
+    const byAlbumArtist = new Map();
+    for (const track of albumTracks) {
+      const albumArtist = (track.albumArtist || '').trim();
+      if (!byAlbumArtist.has(albumArtist)) {
+        byAlbumArtist.set(albumArtist, { tracks: 0, artists: new Set() });
+      }
+      const entry = byAlbumArtist.get(albumArtist);
+      entry.tracks++;
+      entry.artists.add(looseKey(track.artist || ''));
+      if (albumArtist) entry.artists.add(looseKey(albumArtist));
+    }
+    if (byAlbumArtist.size < 2) continue;
+    
+    // Link album artists whose tracks share an artist
+    const values = [...byAlbumArtist.keys()];
+    const component = new Map(values.map(value => [value, value]));
+    const find = (value) => component.get(value) === value ? value : find(component.get(value));
+    for (let i = 0; i < values.length; i++) {
+      for (let j = i + 1; j < values.length; j++) {
+        const a = byAlbumArtist.get(values[i]).artists;
+        const b = byAlbumArtist.get(values[j]).artists;
+        if ([...a].some(artist => artist && b.has(artist))) {
+          component.set(find(values[i]), find(values[j]));
+        }
+      }
+    }
+    
+    const components = new Map();
+    for (const value of values) {
+      const root = find(value);
+      if (!components.has(root)) components.set(root, []);
+      components.get(root).push({ value, tracks: byAlbumArtist.get(value).tracks });
+    }
+    for (const albumArtists of components.values()) {
+      if (albumArtists.length < 2) continue;
+      albumArtists.sort((a, b) => b.tracks - a.tracks || a.value.localeCompare(b.value));
+      conflicts.push({ album, albumArtists });
+    }
+  }
+  
+  return conflicts.sort((a, b) => a.album.localeCompare(b.album));
+}
+
+/**
+ * Build the consistency report for a set of tracks
+ * @param {Object[]} tracks - Track records from extractTracks
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.fuzzy=true] - Also group names one edit apart
+ * @returns {{artists: Object[], albums: Object[], albumArtistConflicts: Object[]}}
+ */
+export function buildConsistencyReport(tracks, options = {}) {
+  const artists = groupSpellings(
+    countSpellings(tracks, track => [track.artist, track.albumArtist]),
+    options
+  );
+  
+  // Album spellings are only compared within the same (loosely matched) artist
+  const albumsByArtist = new Map();
+  for (const track of tracks) {
+    if (!track.album) continue;
+    const artistKey = looseKey(track.albumArtist || track.artist || '');
+    if (!albumsByArtist.has(artistKey)) albumsByArtist.set(artistKey, []);
+    albumsByArtist.get(artistKey).push(track);
+  }
+  const albums = [];
+  for (const artistTracks of albumsByArtist.values()) {
+    const artist = (artistTracks[0].albumArtist || artistTracks[0].artist || '').trim();
+    for (const group of groupSpellings(countSpellings(artistTracks, track => [track.album]), options)) {
+      albums.push({ artist, ...group });
+    }
+  }
+  albums.sort((a, b) => a.artist.localeCompare(b.artist) || a.variants[0].value.localeCompare(b.variants[0].value));
+  
+  return { artists, albums, albumArtistConflicts: findAlbumArtistConflicts(tracks) };
+}
+
+/**
+ * Format a spelling group's variant lines
+ * @param {Object} group - Group from groupSpellings
+ * @returns {string[]} Indented lines
+ */
+function formatVariants(group) {
+  return group.variants.map(({ value, tracks, difference }) => {
+    const label = `${JSON.stringify(value)} ${chalk.dim(`${tracks} ${tracks === 1 ? 'track' : 'tracks'}`)}`;
+    return difference ? `    ${label} ${chalk.yellow(`(${difference})`)}` : `    ${label}`;
+  });
+}
+
+/**
+ * Format a consistency report for the terminal
+ * @param {Object} report - Report from buildConsistencyReport
+ * @returns {string} Readable report
+ */
+export function formatConsistencyReport(report) {
+  const lines = [];
+  const { artists, albums, albumArtistConflicts } = report;
+  
+  lines.push(chalk.bold(`Artists spelled more than one way: ${artists.length}`));
+  for (const group of artists) {
+    lines.push(`  ${group.variants[0].value}`);
+    lines.push(...formatVariants(group));
+  }
+  
+  lines.push('');
+  lines.push(chalk.bold(`Albums spelled more than one way: ${albums.length}`));
+  for (const group of albums) {
+    lines.push(`  ${group.variants[0].value} ${chalk.dim(`— ${group.artist || 'no artist'}`)}`);
+    lines.push(...formatVariants(group));
+  }
+  
+  lines.push('');
+  lines.push(chalk.bold(`Albums with inconsistent album artists: ${albumArtistConflicts.length}`));
+  for (const conflict of albumArtistConflicts) {
+    lines.push(`  ${conflict.album}`);
+    for (const { value, tracks } of conflict.albumArtists) {
+      lines.push(`    ${value ? JSON.stringify(value) : chalk.italic('(empty)')} ${chalk.dim(`${tracks} ${tracks === 1 ? 'track' : 'tracks'}`)}`);
+    }
+  }
+  
+  return lines.join('\n') + '\n';
+}
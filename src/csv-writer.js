@@ -9,6 +9,29 @@ const COLUMN_COLORS = {
   track: chalk.hex('#56B6C2'),    // medium teal
   playlist: chalk.hex('#61AFEF'), // medium blue
   title: chalk.hex('#56B6C2'),    // alias for track
+  album_artist: chalk.hex('#C678DD'), // lighter purple (artist family)
+  credit: chalk.hex('#C678DD'),
+  composer: chalk.hex('#C678DD'),
+  genre: chalk.hex('#98C379'),    // soft green
+  year: chalk.hex('#E5C07B'),     // muted yellow
+  duration: chalk.hex('#E5C07B'),
+  track_number: chalk.hex('#7F848E'), // gray for positional numbers
+  disc_number: chalk.hex('#7F848E'),
+  play_count: chalk.hex('#E06C75'), // soft red for listening stats
+  rating: chalk.hex('#E06C75'),
+  loved: chalk.hex('#E06C75'),
+  date_added: chalk.hex('#7F848E'),
+  last_played: chalk.hex('#7F848E'),
+  group: chalk.hex('#7F848E'),
+  persistent_id: chalk.hex('#7F848E'), // gray for identifiers
+  playlist_persistent_id: chalk.hex('#7F848E'),
+  track_persistent_id: chalk.hex('#7F848E'),
+  path: chalk.hex('#61AFEF'),     // playlist family
+  name: chalk.hex('#61AFEF'),
+  folder: chalk.hex('#7F848E'),
+  kind: chalk.hex('#98C379'),
+  smart: chalk.hex('#98C379'),
+  track_count: chalk.hex('#E5C07B'),
   // Separator color
   separator: chalk.dim
 };
@@ -27,17 +50,18 @@ function getColumnColor(columnName) {
  * - Wrap in quotes if field contains comma, quote, or newline
  * - Escape quotes by doubling them
  * @param {string} value - The field value to escape
+ * @param {boolean} [quoteAll=false] - Quote every field, even when not needed
  * @returns {string} The escaped field
  */
-export function escapeField(value) {
+export function escapeField(value, quoteAll = false) {
   if (value === null || value === undefined) {
-    return '';
+    return quoteAll ? '""' : '';
   }
   
   const str = String(value);
   
   // Check if escaping is needed
-  if (/[",\n\r]/.test(str)) {
+  if (quoteAll || /[",\n\r]/.test(str)) {
     // Double any existing quotes and wrap in quotes
     return '"' + str.replace(/"/g, '""') + '"';
   }
@@ -59,11 +83,11 @@ function capitalize(str) {
  * @param {string} header - Raw header name
  * @returns {string} Formatted header
  */
-function formatHeader(header) {
-  // Replace underscores with spaces, then capitalize each word
+export function formatHeader(header) {
+  // Replace underscores with spaces, then capitalize each word ("id" as "ID")
   return header
     .split('_')
-    .map(word => capitalize(word))
+    .map(word => word === 'id' ? 'ID' : capitalize(word))
     .join(' ');
 }
 
@@ -95,16 +119,22 @@ export function generateSingleColumnData(values) {
  * Generate multi-column CSV content from an array of objects
  * @param {Object[]} rows - Array of row objects
  * @param {string[]} headers - Array of column header names (also used as object keys)
+ * @param {Object} [options] - Options (for importers with strict requirements)
+ * @param {string[]} [options.labels] - Exact header line text, instead of formatted headers
+ * @param {boolean} [options.quoteAll=false] - Quote every field
+ * @param {string} [options.lineEnding='\n'] - Line ending ('\r\n' for CRLF)
+ * @param {boolean} [options.bom=false] - Start with a UTF-8 byte order mark
  * @returns {string} RFC4180-compliant CSV content with header
  */
-export function generateMultiColumnCSV(rows, headers) {
-  const headerLine = headers.map(h => escapeField(formatHeader(h))).join(',');
+export function generateMultiColumnCSV(rows, headers, options = {}) {
+  const { labels = headers.map(formatHeader), quoteAll = false, lineEnding = '\n', bom = false } = options;
+  const headerLine = labels.map(label => escapeField(label, quoteAll)).join(',');
   
   const dataLines = rows.map(row => {
-    return headers.map(header => escapeField(row[header])).join(',');
+    return headers.map(header => escapeField(row[header], quoteAll)).join(',');
   });
   
-  return [headerLine, ...dataLines].join('\n') + '\n';
+  return (bom ? '\uFEFF' : '') + [headerLine, ...dataLines].join(lineEnding) + lineEnding;
 }
 
 /**
@@ -220,8 +250,8 @@ export function generateColorizedMultiColumn(rows, headers) {
   const dataLines = rows.map(row => {
     const coloredFields = headers.map(header => {
       const colorFn = getColumnColor(header);
-      const value = row[header] || '';
-      return colorFn(value);
+      const value = row[header] ?? '';
+      return colorFn(String(value));
     });
     return coloredFields.join(separator);
   });
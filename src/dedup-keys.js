@@ -0,0 +1,88 @@
+/**
+ * Key strategies for de-duplication
+ * The normalizer treats two values as the same when their keys are equal.
+ * Keys are always case-insensitive; each strategy loosens them further.
+ */
+
+// Strategy name -> description (in the order they are applied)
+export const KEY_STRATEGIES = {
+  nfc: 'Unicode NFC: composed and decomposed accents are equal (é = e + ◌́)',
+  nfkc: 'Unicode NFKC: also compatibility forms (ﬁ = fi, full-width letters, ²)',
+  diacritics: 'Ignore accents and diacritics (Sigur Rós = Sigur Ros)',
+  articles: 'Ignore a leading "The", "A" or "An" (The Beatles = Beatles, "Beatles, The")',
+  punctuation: 'Ignore punctuation and collapse whitespace (AC/DC = AC DC, "Guns N\' Roses" = "Guns N Roses")'
+};
+
+// Shorthand for every strategy
+export const ALL_STRATEGIES = 'all';
+
+const TRANSFORMS = {
+  nfc: (text) => text.normalize('NFC'),
+  nfkc: (text) => text.normalize('NFKC'),
+  diacritics: (text) => text.normalize('NFD').replace(/\p{M}+/gu, '').normalize('NFC'),
+  articles: (text) => text.trim().replace(/^(the|an|a)\s+(?=\S)/i, '').replace(/,\s*(the|an|a)$/i, ''),
+  punctuation: (text) => text.replace(/[\p{P}\p{S}]+/gu, ' ').replace(/\s+/g, ' ').trim()
+};
+
+/**
+ * Parse a comma-separated strategy list ("diacritics,articles" or "all")
+ * @param {string} text - Strategy list
+ * @returns {string[]} Strategy names
+ * @throws {Error} If a strategy is unknown
+ */
+export function parseKeyStrategies(text) {
+  const names = text.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+  if (names.includes(ALL_STRATEGIES)) {
+    return Object.keys(KEY_STRATEGIES);
+  }
+  
+  const unknown = names.filter(name => !(name in KEY_STRATEGIES));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown dedup key "${unknown[0]}". Valid keys: ${Object.keys(KEY_STRATEGIES).join(', ')}, ${ALL_STRATEGIES}`);
+  }
+  return names;
+}
+
+/**
+ * Create a key function from a list of strategies
+ * Strategies are applied in KEY_STRATEGIES order whatever order they are given in.
+ * @param {string[]} [strategies=[]] - Strategy names
+ * @returns {Function} (value: string) => string dedup key
+ */
+export function createKeyFunction(strategies = []) {
+  const transforms = Object.keys(KEY_STRATEGIES)
+    .filter(name => strategies.includes(name))
+    .map(name => TRANSFORMS[name]);
+  
+  return (value) => {
+    let key = value;
+    for (const transform of transforms) {
+      key = transform(key);
+    }
+    // Never let a strategy reduce a value to nothing ("The", "!!!")
+    return (key || value).toLocaleLowerCase();
+  };
+}
+
+/**
+ * Format a merge report as readable text
+ * @param {Object[]} report - Groups from a normalizer's getMergeReport()
+ * @returns {string} One block per merged value, listing each raw spelling
+ */
+export function formatMergeReport(report) {
+  if (report.length === 0) {
+    return 'No spellings were merged.\n';
+  }
+  
+  const lines = [`Merged spellings (${report.length} ${report.length === 1 ? 'value' : 'values'}):`, ''];
+  for (const group of report) {
+    lines.push(`${group.value}  [key: ${group.key}]`);
+    for (const variant of group.variants) {
+      // Otherwise NFC/NFD variants look identical
+      const form = variant.value === variant.value.normalize('NFC') ? '' : ' (decomposed Unicode)';
+      lines.push(`  ${JSON.stringify(variant.value)} ×${variant.count}${form}`);
+    }
+    lines.push('');
+  }
+  return lines.join('\n');
+}
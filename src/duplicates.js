@@ -0,0 +1,105 @@
+import { createKeyFunction } from './dedup-keys.js';
+
+/**
+ * Duplicate track detection
+ * Tracks are the same recording when their artist and title match after
+ * ignoring case, accents, punctuation and whitespace.
+ */
+
+// Key that ignores case, whitespace, accents and punctuation
+const looseKey = createKeyFunction(['nfkc', 'diacritics', 'punctuation']);
+
+// Suffixes starting with these (after an optional year) are version descriptions
+const VERSION_PREFIX = /^(\d{4}\s+)?(digital(ly)?\s+)?(remaster(ed)?|live|mono|stereo|single version|single edit|radio edit|album version|deluxe( edition)?|bonus track|explicit|clean)\b/i;
+
+/**
+ * Strip version suffixes such as "(Remastered 2011)", "[Live]" or "- Live"
+ * @param {string} title - Track title
+ * @returns {string} Title without trailing version descriptions
+ */
+export function stripVersionSuffixes(title) {
+  let result = title.trim();
+  
+  for (;;) {
+    const bracketed = /\s*[([]([^()[\]]*)[)\]]$/.exec(result);
+    const dashed = /\s+[-–—]\s+([^-–—]+)$/.exec(result);
+    const suffix = [bracketed, dashed].find(match => match && VERSION_PREFIX.test(match[1].trim()));
+    // Keep at least some title ("Live" on its own is a title)
+    if (!suffix || suffix.index === 0) {
+      return result;
+    }
+    result = result.slice(0, suffix.index).trim();
+  }
+}
+
+/**
+ * Split tracks into clusters whose durations are within a tolerance
+ * Tracks without a duration form their own cluster.
+ * @param {Object[]} tracks - Tracks with the same artist and title
+ * @param {number} tolerance - Maximum gap in seconds between neighbouring durations
+ * @returns {Object[][]} Clusters
+ */
+function clusterByDuration(tracks, tolerance) {
+  const unknown = tracks.filter(track => track.duration === null || track.duration === undefined);
+  const known = tracks
+    .filter(track => track.duration !== null && track.duration !== undefined)
+    .sort((a, b) => a.duration - b.duration);
+  
+  const clusters = [];
+  let current = [];
+  for (const track of known) {
+    if (current.length > 0 && track.duration - current[current.length - 1].duration > tolerance) {
+      clusters.push(current);
+      current = [];
+    }
+    current.push(track);
+  }
+  if (current.length > 0) clusters.push(current);
+  if (unknown.length > 0) clusters.push(unknown);
+  
+  return clusters;
+}
+
+/**
+ * Find groups of tracks that appear to be the same recording
+ * @param {Object[]} tracks - Track records from extractTracks
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.ignoreVersions=false] - Ignore "(Remastered)", "- Live", ... suffixes
+ * @param {number|null} [options.durationTolerance=null] - Also require durations within N seconds
+ * @returns {Object[][]} Groups of two or more tracks, sorted by artist and title;
+ *   tracks within a group are ordered by date added
+ */
+export function findDuplicates(tracks, options = {}) {
+  const { ignoreVersions = false, durationTolerance = null } = options;
+  const byKey = new Map();
+  
+  for (const track of tracks) {
+    const artist = (track.artist || track.albumArtist || '').trim();
+    let title = (track.title || '').trim();
+    if (!title) continue;
+    if (ignoreVersions) {
+      title = stripVersionSuffixes(title);
+    }
+    
+    const key = `${looseKey(artist)}\u0000${looseKey(title)}`;
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(track);
+  }
+  
+  const groups = [];
+  for (const candidates of byKey.values()) {
+    if (candidates.length < 2) continue;
+    const clusters = durationTolerance === null
+      ? [candidates]
+      : clusterByDuration(candidates, durationTolerance);
+    for (const cluster of clusters) {
+      if (cluster.length < 2) continue;
+      // Oldest copy first; tracks without a date last
+      groups.push([...cluster].sort((a, b) =>
+        (a.dateAdded || '￿').localeCompare(b.dateAdded || '￿')));
+    }
+  }
+  
+  const label = (group) => `${group[0].artist || group[0].albumArtist || ''}\u0000${group[0].title}`;
+  return groups.sort((a, b) => label(a).localeCompare(label(b)));
+}
@@ -0,0 +1,59 @@
+/**
+ * Error codes for extraction failures
+ */
+export const ExitCodes = {
+  SUCCESS: 0,
+  MUSIC_UNAVAILABLE: 2,
+  PERMISSION_DENIED: 3,
+  APPLESCRIPT_ERROR: 4,
+  FILE_WRITE_ERROR: 5,
+  LIBRARY_XML_ERROR: 6,
+  MALFORMED_OUTPUT: 7,
+  FIXTURE_ERROR: 8
+};
+
+/**
+ * Get a user-friendly error message based on exit code
+ * @param {number} exitCode - The exit code
+ * @param {string} stderr - The original stderr message
+ * @returns {string} User-friendly error message
+ */
+export function getErrorMessage(exitCode, stderr = '') {
+  switch (exitCode) {
+    case ExitCodes.MUSIC_UNAVAILABLE:
+      return 'Error: Music.app is not available or cannot be launched.\n\nMake sure Music.app is installed and try running it manually first.';
+    
+    case ExitCodes.PERMISSION_DENIED:
+      return `Error: Automation permission denied.
+
+To fix this:
+1. Open System Settings → Privacy & Security → Automation
+2. Find "Terminal" (or your terminal app) in the list
+3. Enable the toggle for "Music"
+4. Re-run this command
+
+If you don't see Terminal listed, run the command once to trigger the prompt.`;
+    
+    case ExitCodes.APPLESCRIPT_ERROR:
+      return `Error: Unexpected extraction error.\n\nDetails: ${stderr}`;
+    
+    case ExitCodes.FILE_WRITE_ERROR:
+      return `Error: Failed to write the output file.\n\nDetails: ${stderr}`;
+    
+    case ExitCodes.MALFORMED_OUTPUT:
+      return `Error: Music.app returned data that could not be parsed.\n\nDetails: ${stderr}`;
+    
+    case ExitCodes.FIXTURE_ERROR:
+      return `Error: Could not read the fixture file.\n\nDetails: ${stderr}`;
+    
+    case ExitCodes.LIBRARY_XML_ERROR:
+      return `Error: Could not read the library XML file.
+
+Export it from Music.app with File → Library → Export Library…
+
+Details: ${stderr}`;
+    
+    default:
+      return `Error: Unknown error (code ${exitCode}).\n\nDetails: ${stderr}`;
+  }
+}
@@ -0,0 +1,188 @@
+import { mkdirSync, writeFileSync } from 'node:fs';
+import path from 'node:path';
+import { stripVTControlCharacters } from 'node:util';
+import {
+  normalizeArtists,
+  normalizeArtistCredits,
+  getArtistCredits,
+  normalizeAlbums,
+  normalizeTracks,
+  normalizePlaylists,
+  prepareDetailedTracks,
+  preparePlaylistTracks,
+  preparePlaylistsDetailed,
+  prepareDuplicates,
+  DETAILED_COLUMNS,
+  DETAILED_ID_COLUMNS,
+  PLAYLIST_TRACK_COLUMNS,
+  PLAYLIST_TRACK_ID_COLUMNS,
+  PLAYLIST_DETAILED_COLUMNS,
+  DUPLICATE_COLUMNS
+} from './normalizer.js';
+import { buildPlaylistTree } from './playlist-tree.js';
+import { buildConsistencyReport, formatConsistencyReport } from './consistency.js';
+import { findDuplicates } from './duplicates.js';
+import { FORMAT_EXTENSIONS, writeSingleColumn, writeMultiColumn } from './output.js';
+
+/**
+ * Export every type at once (--all)
+ * All types are derived from one extraction of tracks, playlists and
+ * playlist tracks, so Music.app is walked once instead of once per type.
+ */
+
+export const MANIFEST_FILENAME = 'manifest.json';
+
+/**
+ * Derive every export type from one extraction
+ * @param {Object} library - Extracted data
+ * @param {Object[]} library.tracks - Records from extractTracks
+ * @param {Object[]} library.playlists - Records from extractPlaylistsDetailed
+ * @param {Object[]} library.playlistTracks - Records from extractPlaylistTracks
+ * @param {Object} [options] - Options, as for the single-type exports
+ * @param {boolean} [options.sort=true] - Sort rows
+ * @param {boolean} [options.noTrim=false] - Keep leading/trailing whitespace
+ * @param {string[]} [options.keys=[]] - Dedup key strategies (see dedup-keys.js)
+ * @param {boolean} [options.strict=false] - No album artist fallback for artists
+ * @param {Function} [options.split] - Artist splitter (see artist-split.js)
+ * @param {boolean} [options.withCredit=false] - Add the credit column to artists
+ * @param {boolean} [options.withIds=false] - Add persistent ID columns
+ * @param {boolean} [options.ignoreVersions=false] - See findDuplicates
+ * @param {number|null} [options.durationTolerance=null] - See findDuplicates
+ * @returns {Object[]} Exports in type order: { type, count } plus
+ *   { header, values } (single column), { headers, rows } (multi-column)
+ *   or { report } (consistency)
+ */
+export function buildAllExports({ tracks, playlists, playlistTracks }, options = {}) {
+  const {
+    sort = true,
+    noTrim = false,
+    keys = [],
+    strict = false,
+    split = null,
+    withCredit = false,
+    withIds = false,
+    ignoreVersions = false,
+    durationTolerance = null
+  } = options;
+  const normalizeOptions = { sort, noTrim, keys };
+  const exports = [];
+  
+  // Music reports one artist per track, so --strict artists come from tracks too
+  const credits = getArtistCredits(tracks, { fallbackAlbumArtist: !strict });
+  if (withCredit) {
+    const rows = normalizeArtistCredits(credits, { ...normalizeOptions, split });
+    const count = new Set(rows.map(row => row.artist.toLocaleLowerCase())).size;
+    exports.push({ type: 'artists', headers: ['artist', 'credit'], rows, count });
+  } else {
+    const values = normalizeArtists(credits, { ...normalizeOptions, split });
+    exports.push({ type: 'artists', header: 'artist', values, count: values.length });
+  }
+  
+  const albums = normalizeAlbums(tracks, normalizeOptions);
+  exports.push({ type: 'albums', header: 'album', values: albums, count: albums.length });
+  
+  const trackNames = normalizeTracks(tracks, normalizeOptions);
+  exports.push({ type: 'tracks', header: 'track', values: trackNames, count: trackNames.length });
+  
+  const playlistNames = normalizePlaylists(playlists.map(playlist => playlist.name), normalizeOptions);
+  exports.push({ type: 'playlists', header: 'playlist', values: playlistNames, count: playlistNames.length });
+  
+  const playlistRows = preparePlaylistsDetailed(buildPlaylistTree(playlists));
+  exports.push({
+    type: 'playlists-detailed',
+    headers: PLAYLIST_DETAILED_COLUMNS,
+    rows: playlistRows,
+    count: playlistRows.length
+  });
+  
+  const playlistTrackRows = preparePlaylistTracks(playlistTracks, { sort });
+  exports.push({
+    type: 'playlist-tracks',
+    headers: withIds ? [...PLAYLIST_TRACK_COLUMNS, ...PLAYLIST_TRACK_ID_COLUMNS] : PLAYLIST_TRACK_COLUMNS,
+    rows: playlistTrackRows,
+    count: playlistTrackRows.length
+  });
+  
+  const detailedRows = prepareDetailedTracks(tracks, { sort });
+  exports.push({
+    type: 'detailed',
+    headers: withIds ? [...DETAILED_COLUMNS, ...DETAILED_ID_COLUMNS] : DETAILED_COLUMNS,
+    rows: detailedRows,
+    count: detailedRows.length
+  });
+  
+  const report = buildConsistencyReport(tracks);
+  exports.push({
+    type: 'consistency',
+    report,
+    count: report.artists.length + report.albums.length + report.albumArtistConflicts.length
+  });
+  
+  const duplicateRows = prepareDuplicates(findDuplicates(tracks, { ignoreVersions, durationTolerance }));
+  exports.push({ type: 'duplicates', headers: DUPLICATE_COLUMNS, rows: duplicateRows, count: duplicateRows.length });
+  
+  return exports;
+}
+
+/**
+ * Write every export and a manifest into a directory
+ * Files are named after their type. The consistency report is text with
+ * csv and JSON otherwise, as with --type consistency.
+ * @param {string} dirPath - Output directory (created if missing)
+ * @param {Object[]} exports - Result of buildAllExports
+ * @param {Object} info - Manifest details
+ * @param {string} [info.format='csv'] - Output format (csv, json or ndjson)
+ * @param {string} info.source - Backend name
+ * @param {Object} info.library - Record counts: { tracks, playlists, playlistTracks }
+ * @param {Date} [info.generatedAt=new Date()] - Export time
+ * @returns {Object} The manifest: { generatedAt, source, format, library, files }
+ * @throws {Error} If the directory or a file cannot be written
+ */
+export function writeAllExports(dirPath, exports, info) {
+  const { format = 'csv', source, library, generatedAt = new Date() } = info;
+  mkdirSync(dirPath, { recursive: true });
+  const files = [];
+  
+  for (const item of exports) {
+    if (item.report) {
+      const file = `${item.type}.${format === 'csv' ? 'txt' : 'json'}`;
+      const text = format === 'csv'
+        ? stripVTControlCharacters(formatConsistencyReport(item.report))
+        : JSON.stringify(item.report, null, 2) + '\n';
+      writeFileSync(path.join(dirPath, file), text, { encoding: 'utf8' });
+      files.push({ type: item.type, file, count: item.count });
+      continue;
+    }
+    
+    const file = `${item.type}.${FORMAT_EXTENSIONS[format]}`;
+    if (item.values) {
+      writeSingleColumn(path.join(dirPath, file), item.values, item.header, format);
+    } else {
+      writeMultiColumn(path.join(dirPath, file), item.rows, item.headers, format);
+    }
+    files.push({ type: item.type, file, count: item.count });
+  }
+  
+  const manifest = {
+    generatedAt: generatedAt.toISOString(),
+    source,
+    format,
+    library,
+    files
+  };
+  writeFileSync(path.join(dirPath, MANIFEST_FILENAME), JSON.stringify(manifest, null, 2) + '\n', { encoding: 'utf8' });
+  return manifest;
+}
+
+/**
+ * Format the files of a manifest as aligned summary lines
+ * @param {Object} manifest - Result of writeAllExports
+ * @returns {string[]} One line per file: type, count and file name
+ */
+export function formatExportSummary(manifest) {
+  const typeWidth = Math.max(...manifest.files.map(entry => entry.type.length));
+  const countWidth = Math.max(...manifest.files.map(entry => entry.count.toLocaleString('en-US').length));
+  return manifest.files.map(entry =>
+    `  ${entry.type.padEnd(typeWidth)}  ${entry.count.toLocaleString('en-US').padStart(countWidth)}  ${entry.file}`
+  );
+}
@@ -0,0 +1,391 @@
+/**
+ * A small filter expression language for --where
+ *
+ *   artist ~ "Beatles" and album != ""
+ *   (genre = "Jazz" or genre = "Blues") and year < 1970
+ *   not loved = true and play_count >= 10
+ *   title ~ /remaster(ed)?/i
+ *
+ * Operators:
+ *   =  !=       equal / not equal (strings: case-insensitive, trimmed)
+ *   ~  !~       contains / doesn't contain (case-insensitive), or matches a /regex/
+ *   < <= > >=   numeric comparison, or string comparison (ISO dates)
+ * Values: "string" or 'string', numbers, true, false, empty ("" or missing)
+ * Combine with and, or, not and parentheses.
+ */
+
+// Filterable fields -> record property (names match the CSV columns)
+export const FILTER_FIELDS = {
+  artist: 'artist',
+  album: 'album',
+  title: 'title',
+  track: 'title',
+  album_artist: 'albumArtist',
+  genre: 'genre',
+  year: 'year',
+  duration: 'duration',
+  track_number: 'trackNumber',
+  disc_number: 'discNumber',
+  composer: 'composer',
+  play_count: 'playCount',
+  rating: 'rating',
+  loved: 'loved',
+  date_added: 'dateAdded',
+  last_played: 'lastPlayed',
+  playlist: 'playlist'
+};
+
+// Fields available on each kind of extracted record
+export const RECORD_FIELDS = {
+  tracks: Object.keys(FILTER_FIELDS).filter(f => f !== 'playlist'),
+  'playlist-tracks': ['playlist', 'title', 'track', 'artist', 'album', 'duration'],
+  playlists: ['playlist'],
+  artists: ['artist']
+};
+
+const OPERATORS = ['!=', '!~', '<=', '>=', '==', '=', '~', '<', '>'];
+const KEYWORDS = new Set(['and', 'or', 'not', 'true', 'false', 'empty']);
+
+/**
+ * Error thrown for invalid filter expressions
+ */
+export class FilterSyntaxError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   * @param {number} position - 0-based character offset in the expression
+   */
+  constructor(message, position) {
+    super(message);
+    this.name = 'FilterSyntaxError';
+    this.position = position;
+  }
+}
+
+/**
+ * Split an expression into tokens
+ * @param {string} expression - Filter expression
+ * @returns {Object[]} Tokens: { type, value, position }
+ * @throws {FilterSyntaxError} On unterminated strings or unknown characters
+ */
+function tokenize(expression) {
+  const tokens = [];
+  let i = 0;
+  
+  while (i < expression.length) {
+    const ch = expression[i];
+    
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+    
+    if (ch === '(' || ch === ')') {
+      tokens.push({ type: ch, value: ch, position: i });
+      i++;
+      continue;
+    }
+    
+    const operator = OPERATORS.find(op => expression.startsWith(op, i));
+    if (operator) {
+      tokens.push({ type: 'op', value: operator === '==' ? '=' : operator, position: i });
+      i += operator.length;
+      continue;
+    }
+    
+    if (ch === '"' || ch === '\'' || ch === '/') {
+      const start = i;
+      let value = '';
+      i++;
+      while (i < expression.length && expression[i] !== ch) {
+        // Backslash escapes the delimiter (and itself) in strings; regexes keep it
+        if (expression[i] === '\\' && i + 1 < expression.length) {
+          value += ch === '/' && expression[i + 1] !== '/' ? expression[i] + expression[i + 1] : expression[i + 1];
+          i += 2;
+          continue;
+        }
+        value += expression[i++];
+      }
+      if (i >= expression.length) {
+        throw new FilterSyntaxError(ch === '/' ? 'Unterminated regular expression' : 'Unterminated string', start);
+      }
+      i++;
+      
+      if (ch === '/') {
+        const flags = /^[a-z]*/.exec(expression.slice(i))[0];
+        i += flags.length;
+        try {
+          tokens.push({ type: 'value', value: new RegExp(value, flags), position: start });
+        } catch (err) {
+          throw new FilterSyntaxError(`Invalid regular expression: ${err.message}`, start);
+        }
+      } else {
+        tokens.push({ type: 'value', value, position: start });
+      }
+      continue;
+    }
+    
+    const number = /^-?\d+(\.\d+)?/.exec(expression.slice(i));
+    if (number) {
+      tokens.push({ type: 'value', value: Number(number[0]), position: i });
+      i += number[0].length;
+      continue;
+    }
+    
+    const word = /^[A-Za-z_][A-Za-z0-9_]*/.exec(expression.slice(i));
+    if (word) {
+      const lower = word[0].toLowerCase();
+      if (KEYWORDS.has(lower)) {
+        tokens.push({ type: lower, value: lower, position: i });
+      } else {
+        tokens.push({ type: 'field', value: word[0], position: i });
+      }
+      i += word[0].length;
+      continue;
+    }
+    
+    throw new FilterSyntaxError(`Unexpected character "${ch}"`, i);
+  }
+  
+  tokens.push({ type: 'end', value: null, position: expression.length });
+  return tokens;
+}
+
+/**
+ * Recursive-descent parser producing an expression tree
+ * @param {Object[]} tokens - Tokens from tokenize
+ * @returns {Object} Expression tree
+ */
+function parseTokens(tokens) {
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  
+  const expect = (type, description) => {
+    const token = next();
+    if (token.type !== type) {
+      const found = token.type === 'end' ? 'end of expression' : `"${token.value}"`;
+      throw new FilterSyntaxError(`Expected ${description}, found ${found}`, token.position);
+    }
+    return token;
+  };
+  
+  function parseOr() {
+    let left = parseAnd();
+    while (peek().type === 'or') {
+      next();
+      left = { type: 'or', left, right: parseAnd() };
+    }
+    return left;
+  }
+  
+  function parseAnd() {
+    let left = parseNot();
+    while (peek().type === 'and') {
+      next();
+      left = { type: 'and', left, right: parseNot() };
+    }
+    return left;
+  }
+  
+  function parseNot() {
+    if (peek().type === 'not') {
+      next();
+      return { type: 'not', operand: parseNot() };
+    }
+    return parsePrimary();
+  }
+  
+  function parsePrimary() {
+    if (peek().type === '(') {
+      next();
+      const inner = parseOr();
+      expect(')', '")"');
+      return inner;
+    }
+    
+    const fieldToken = expect('field', 'a field name');
+    const field = fieldToken.value.toLowerCase();
+    if (!(field in FILTER_FIELDS)) {
+      throw new FilterSyntaxError(
+        `Unknown field "${fieldToken.value}". Fields: ${Object.keys(FILTER_FIELDS).join(', ')}`,
+        fieldToken.position
+      );
+    }
+    
+    const opToken = expect('op', 'an operator (=, !=, ~, !~, <, <=, >, >=)');
+    const valueToken = next();
+    let value;
+    
+    switch (valueToken.type) {
+      case 'value':
+        value = valueToken.value;
+        break;
+      case 'true':
+      case 'false':
+        value = valueToken.type === 'true';
+        break;
+      case 'empty':
+        value = '';
+        break;
+      default: {
+        const found = valueToken.type === 'end' ? 'end of expression' : `"${valueToken.value}"`;
+        throw new FilterSyntaxError(`Expected a value, found ${found}`, valueToken.position);
+      }
+    }
+    
+    const op = opToken.value;
+    if (value instanceof RegExp && op !== '~' && op !== '!~') {
+      throw new FilterSyntaxError(`Regular expressions only work with ~ and !~`, valueToken.position);
+    }
+    if (typeof value === 'boolean' && op !== '=' && op !== '!=') {
+      throw new FilterSyntaxError(`true/false only work with = and !=`, valueToken.position);
+    }
+    
+    return { type: 'compare', field, op, value, position: fieldToken.position };
+  }
+  
+  const tree = parseOr();
+  if (peek().type !== 'end') {
+    throw new FilterSyntaxError(`Unexpected "${peek().value}"; combine conditions with "and" or "or"`, peek().position);
+  }
+  return tree;
+}
+
+/**
+ * Test one comparison against a record
+ * @param {Object} node - Compare node
+ * @param {Object} record - Track (or playlist track) record
+ * @returns {boolean} Whether the record matches
+ */
+function compare(node, record) {
+  const { field, op, value } = node;
+  const property = FILTER_FIELDS[field];
+  // Playlist track records call the title "track"
+  let actual = property === 'title' ? (record.title ?? record.track) : record[property];
+  actual = actual ?? null;
+  
+  const isEmpty = actual === null || String(actual).trim() === '';
+  const text = isEmpty ? '' : String(actual).trim();
+  
+  switch (op) {
+    case '=':
+    case '!=': {
+      let equal;
+      if (typeof value === 'boolean') {
+        equal = actual === value;
+      } else if (typeof value === 'number') {
+        equal = !isEmpty && Number(actual) === value;
+      } else {
+        equal = text.toLocaleLowerCase() === value.trim().toLocaleLowerCase();
+      }
+      return op === '=' ? equal : !equal;
+    }
+    
+    case '~':
+    case '!~': {
+      const matches = value instanceof RegExp
+        ? value.test(text)
+        : text.toLocaleLowerCase().includes(String(value).toLocaleLowerCase());
+      return op === '~' ? matches : !matches;
+    }
+    
+    default: {
+      if (isEmpty) return false;
+      const left = typeof value === 'number' ? Number(actual) : text;
+      if (typeof value === 'number' && Number.isNaN(left)) return false;
+      switch (op) {
+        case '<': return left < value;
+        case '<=': return left <= value;
+        case '>': return left > value;
+        case '>=': return left >= value;
+      }
+      return false;
+    }
+  }
+}
+
+/**
+ * Evaluate an expression tree against a record
+ * @param {Object} node - Expression tree node
+ * @param {Object} record - Record to test
+ * @returns {boolean} Whether the record matches
+ */
+function evaluate(node, record) {
+  switch (node.type) {
+    case 'and':
+      return evaluate(node.left, record) && evaluate(node.right, record);
+    case 'or':
+      return evaluate(node.left, record) || evaluate(node.right, record);
+    case 'not':
+      return !evaluate(node.operand, record);
+    default:
+      return compare(node, record);
+  }
+}
+
+/**
+ * Collect the fields referenced by an expression tree
+ * @param {Object} node - Expression tree node
+ * @param {Set<string>} fields - Accumulator
+ * @returns {Set<string>} Field names
+ */
+function collectFields(node, fields = new Set()) {
+  if (node.type === 'compare') {
+    fields.add(node.field);
+  } else if (node.type === 'not') {
+    collectFields(node.operand, fields);
+  } else {
+    collectFields(node.left, fields);
+    collectFields(node.right, fields);
+  }
+  return fields;
+}
+
+/**
+ * Compile a filter expression
+ * @param {string} expression - Filter expression
+ * @returns {{expression: string, fields: Set<string>, test: Function}} Compiled filter
+ * @throws {FilterSyntaxError} If the expression is invalid
+ */
+export function parseFilter(expression) {
+  if (!expression || !expression.trim()) {
+    throw new FilterSyntaxError('Empty filter expression', 0);
+  }
+  
+  const tree = parseTokens(tokenize(expression));
+  return {
+    expression,
+    fields: collectFields(tree),
+    test: (record) => evaluate(tree, record)
+  };
+}
+
+/**
+ * Format a filter error with a caret under the offending position
+ * @param {string} expression - The filter expression
+ * @param {FilterSyntaxError} err - The error
+ * @returns {string} Multi-line error message
+ */
+export function formatFilterError(expression, err) {
+  return `Error: Invalid filter: ${err.message}\n\n  ${expression}\n  ${' '.repeat(err.position)}^`;
+}
+
+/**
+ * Check that a filter only uses fields available on a kind of record
+ * @param {Object} filter - Compiled filter
+ * @param {string} kind - Record kind (key of RECORD_FIELDS)
+ * @returns {string[]} Fields used by the filter that the records don't have
+ */
+export function findUnavailableFields(filter, kind) {
+  return [...filter.fields].filter(f => !RECORD_FIELDS[kind].includes(f));
+}
+
+/**
+ * Keep the records matching a filter
+ * @param {Object[]} records - Track, playlist track or { playlist } / { artist } records
+ * @param {Object|null} filter - Compiled filter, or null to keep everything
+ * @returns {Object[]} Matching records
+ */
+export function filterRecords(records, filter) {
+  return filter ? records.filter(filter.test) : records;
+}
@@ -0,0 +1,282 @@
+import { writeFileSync } from 'node:fs';
+import { formatHeader } from './csv-writer.js';
+
+/**
+ * Self-contained HTML report
+ * One offline file with summary counts and a sortable, searchable table per
+ * tab. All CSS and JavaScript is inlined and the data is embedded as JSON, so
+ * the file works as an email attachment or from a shared drive.
+ */
+
+const STYLE = `
+:root { color-scheme: light dark; --bg: #fff; --fg: #1d1d1f; --muted: #6e6e73; --line: #e5e5ea; --accent: #fa2d48; --stripe: #f7f7f9; }
+@media (prefers-color-scheme: dark) {
+  :root { --bg: #1c1c1e; --fg: #f5f5f7; --muted: #98989d; --line: #38383a; --stripe: #232325; }
+}
+* { box-sizing: border-box; }
+body { margin: 0; padding: 24px; font: 14px/1.4 -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; background: var(--bg); color: var(--fg); }
+h1 { margin: 0 0 4px; font-size: 22px; }
+.generated { color: var(--muted); margin-bottom: 20px; }
+.summary { display: flex; flex-wrap: wrap; gap: 12px; margin-bottom: 20px; }
+.card { border: 1px solid var(--line); border-radius: 10px; padding: 10px 16px; min-width: 120px; }
+.card .value { font-size: 22px; font-weight: 600; }
+.card .label { color: var(--muted); }
+.tabs { display: flex; gap: 4px; border-bottom: 1px solid var(--line); margin-bottom: 12px; }
+.tabs button { border: 0; background: none; color: var(--muted); padding: 8px 14px; font: inherit; cursor: pointer; border-bottom: 2px solid transparent; }
+.tabs button.active { color: var(--fg); border-bottom-color: var(--accent); font-weight: 600; }
+.toolbar { display: flex; align-items: center; gap: 12px; margin-bottom: 8px; }
+.toolbar input { flex: 0 1 320px; padding: 6px 10px; border: 1px solid var(--line); border-radius: 6px; background: var(--bg); color: var(--fg); font: inherit; }
+.count { color: var(--muted); }
+table { border-collapse: collapse; width: 100%; }
+th, td { text-align: left; padding: 5px 10px; border-bottom: 1px solid var(--line); white-space: nowrap; }
+td { max-width: 360px; overflow: hidden; text-overflow: ellipsis; }
+tbody tr:nth-child(even) { background: var(--stripe); }
+th { position: sticky; top: 0; background: var(--bg); cursor: pointer; user-select: none; }
+.more { margin: 12px 0; padding: 6px 14px; border: 1px solid var(--line); border-radius: 6px; background: var(--bg); color: var(--fg); font: inherit; cursor: pointer; }
+.more[hidden] { display: none; }
+th[aria-sort="ascending"]::after { content: " \\25B2"; color: var(--accent); }
+th[aria-sort="descending"]::after { content: " \\25BC"; color: var(--accent); }
+td.number { text-align: right; font-variant-numeric: tabular-nums; }
+`;
+
+// Runs in the browser: renders the active tab from the embedded data.
+// Search and sort run over every row, but only the first PAGE_SIZE matches
+// are put in the table ("Show more" adds the next page), and typing is
+// debounced, so large libraries stay responsive.
+const SCRIPT = `
+(function () {
+  var PAGE_SIZE = 500;
+  var SEARCH_DELAY_MS = 200;
+  var report = JSON.parse(document.getElementById('report-data').textContent);
+  var state = report.tables.map(function () { return { query: '', column: null, descending: false, limit: PAGE_SIZE }; });
+  var active = 0;
+  var searchTimer = null;
+  var tabs = document.getElementById('tabs');
+  var search = document.getElementById('search');
+  var count = document.getElementById('count');
+  var table = document.getElementById('table');
+  var more = document.getElementById('more');
+
+  function formatDuration(seconds) {
+    var total = Math.round(seconds);
+    var h = Math.floor(total / 3600), m = Math.floor(total % 3600 / 60), s = total % 60;
+    return (h ? h + ':' + String(m).padStart(2, '0') : m) + ':' + String(s).padStart(2, '0');
+  }
+
+  function display(column, value) {
+    if (value === null || value === undefined || value === '') return '';
+    if (column === 'duration') return formatDuration(value);
+    if (column === 'date_added' || column === 'last_played') return String(value).slice(0, 10);
+    if (typeof value === 'boolean') return value ? '\\u2713' : '';
+    return String(value);
+  }
+
+  function compare(a, b) {
+    var aEmpty = a === null || a === undefined || a === '';
+    var bEmpty = b === null || b === undefined || b === '';
+    if (aEmpty || bEmpty) return aEmpty === bEmpty ? 0 : aEmpty ? 1 : -1;
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a).localeCompare(String(b), undefined, { sensitivity: 'base', numeric: true });
+  }
+
+  function cell(tag, text, className) {
+    var element = document.createElement(tag);
+    element.textContent = text;
+    if (className) element.className = className;
+    return element;
+  }
+
+  // Lowercased text of every row, built once per table for searching
+  function searchText(current) {
+    if (!current.searchText) {
+      current.searchText = current.rows.map(function (row) {
+        return current.headers.map(function (column) {
+          return display(column, row[column]);
+        }).join('\\n').toLowerCase();
+      });
+    }
+    return current.searchText;
+  }
+
+  function render() {
+    var current = report.tables[active];
+    var view = state[active];
+    var query = view.query.toLowerCase();
+    var text = query ? searchText(current) : null;
+    var rows = !query ? current.rows : current.rows.filter(function (row, index) {
+      return text[index].indexOf(query) !== -1;
+    });
+    if (view.column !== null) {
+      rows = rows.slice().sort(function (a, b) {
+        var result = compare(a[view.column], b[view.column]);
+        // Empty values stay last in both directions
+        var empty = a[view.column] === null || a[view.column] === '' || b[view.column] === null || b[view.column] === '';
+        return view.descending && !empty ? -result : result;
+      });
+    }
+
+    var head = document.createElement('tr');
+    current.headers.forEach(function (column, index) {
+      var th = cell('th', current.labels[index]);
+      if (view.column === column) th.setAttribute('aria-sort', view.descending ? 'descending' : 'ascending');
+      th.addEventListener('click', function () {
+        view.descending = view.column === column ? !view.descending : false;
+        view.column = column;
+        view.limit = PAGE_SIZE;
+        render();
+      });
+      head.appendChild(th);
+    });
+
+    var body = document.createElement('tbody');
+    var shown = rows.slice(0, view.limit);
+    shown.forEach(function (row) {
+      var tr = document.createElement('tr');
+      current.headers.forEach(function (column) {
+        var value = row[column];
+        var td = cell('td', display(column, value), typeof value === 'number' ? 'number' : '');
+        td.title = td.textContent;
+        tr.appendChild(td);
+      });
+      body.appendChild(tr);
+    });
+
+    var thead = document.createElement('thead');
+    thead.appendChild(head);
+    table.replaceChildren(thead, body);
+    count.textContent = (rows.length === current.rows.length
+      ? current.rows.length + ' rows'
+      : rows.length + ' of ' + current.rows.length + ' rows') +
+      (shown.length < rows.length ? ', showing ' + shown.length : '');
+    more.hidden = shown.length === rows.length;
+    more.textContent = 'Show ' + Math.min(PAGE_SIZE, rows.length - shown.length) + ' more';
+    Array.prototype.forEach.call(tabs.children, function (button, index) {
+      button.className = index === active ? 'active' : '';
+    });
+  }
+
+  // Apply the search box to the active tab (also when leaving it mid-typing)
+  function applySearch() {
+    clearTimeout(searchTimer);
+    if (state[active].query !== search.value) {
+      state[active].query = search.value;
+      state[active].limit = PAGE_SIZE;
+    }
+  }
+
+  report.tables.forEach(function (current, index) {
+    var button = cell('button', current.label + ' (' + current.rows.length + ')');
+    button.addEventListener('click', function () {
+      applySearch();
+      active = index;
+      search.value = state[active].query;
+      render();
+    });
+    tabs.appendChild(button);
+  });
+
+  search.addEventListener('input', function () {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(function () {
+      applySearch();
+      render();
+    }, SEARCH_DELAY_MS);
+  });
+
+  more.addEventListener('click', function () {
+    state[active].limit += PAGE_SIZE;
+    render();
+  });
+
+  render();
+})();
+`;
+
+/**
+ * Escape text for HTML element content and attribute values
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Serialize data as JSON that is safe inside a <script> element
+ * @param {*} data - Data to embed
+ * @returns {string} JSON with "<" escaped (so "</script>" cannot end the element)
+ */
+function embedJSON(data) {
+  return JSON.stringify(data)
+    .replace(/</g, '\\u003c')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+/**
+ * Generate a self-contained HTML report
+ * @param {Object} report - Report contents
+ * @param {string} [report.title='Music Library'] - Page title
+ * @param {Object[]} report.summary - Summary counts: { label, value }
+ * @param {Object[]} report.tables - Tabs: { id, label, headers, rows }
+ *   (headers are row keys; rows are objects as for CSV export)
+ * @param {Date} [report.generatedAt=new Date()] - Shown under the title
+ * @returns {string} HTML document
+ */
+export function generateHTML(report) {
+  const { title = 'Music Library', summary, tables, generatedAt = new Date() } = report;
+  
+  // Only the listed columns are embedded, with their display labels
+  const data = {
+    tables: tables.map(table => ({
+      id: table.id,
+      label: table.label,
+      headers: table.headers,
+      labels: table.headers.map(formatHeader),
+      rows: table.rows.map(row => Object.fromEntries(table.headers.map(header => [header, row[header] ?? null])))
+    }))
+  };
+  
+  const cards = summary.map(({ label, value }) =>
+    `<div class="card"><div class="value">${escapeHTML(value.toLocaleString('en-US'))}</div><div class="label">${escapeHTML(label)}</div></div>`
+  ).join('\n');
+  
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHTML(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>${escapeHTML(title)}</h1>
+<div class="generated">Generated ${escapeHTML(generatedAt.toLocaleString('en-US', { dateStyle: 'long', timeStyle: 'short' }))}</div>
+<div class="summary">
+${cards}
+</div>
+<nav class="tabs" id="tabs"></nav>
+<div class="toolbar"><input id="search" type="search" placeholder="Search..." aria-label="Search"><span class="count" id="count"></span></div>
+<table id="table"></table>
+<button class="more" id="more" type="button" hidden></button>
+<noscript>Open this file in a web browser with JavaScript enabled to see the tables.</noscript>
+<script type="application/json" id="report-data">${embedJSON(data)}</script>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Write a self-contained HTML report to a file
+ * @param {string} filePath - Path to write the file
+ * @param {Object} report - Report contents (see generateHTML)
+ * @throws {Error} If file write fails
+ */
+export function writeHTML(filePath, report) {
+  writeFileSync(filePath, generateHTML(report), { encoding: 'utf8' });
+}
@@ -0,0 +1,66 @@
+import { writeFileSync } from 'node:fs';
+
+/**
+ * Convert values or row objects into records keyed by the given headers
+ * Single-column values (strings) become `{ [header]: value }`; row objects
+ * are narrowed to the header keys so JSON output matches the CSV columns.
+ * @param {Array<string|Object>} data - Values or row objects
+ * @param {string[]} headers - Column keys, in output order
+ * @returns {Object[]} Array of plain records
+ */
+export function toRecords(data, headers) {
+  return data.map(item => {
+    if (item === null || typeof item !== 'object') {
+      return { [headers[0]]: item ?? '' };
+    }
+    const record = {};
+    for (const header of headers) {
+      // Keep numbers and booleans typed; missing values become null
+      record[header] = item[header] ?? null;
+    }
+    return record;
+  });
+}
+
+/**
+ * Generate a JSON array document
+ * @param {Array<string|Object>} data - Values or row objects
+ * @param {string[]} headers - Column keys
+ * @returns {string} Pretty-printed JSON array followed by a newline
+ */
+export function generateJSON(data, headers) {
+  return JSON.stringify(toRecords(data, headers), null, 2) + '\n';
+}
+
+/**
+ * Generate newline-delimited JSON (one object per line)
+ * @param {Array<string|Object>} data - Values or row objects
+ * @param {string[]} headers - Column keys
+ * @returns {string} NDJSON content
+ */
+export function generateNDJSON(data, headers) {
+  const lines = toRecords(data, headers).map(record => JSON.stringify(record));
+  return lines.length > 0 ? lines.join('\n') + '\n' : '';
+}
+
+/**
+ * Write data to a JSON file
+ * @param {string} filePath - Path to write the file
+ * @param {Array<string|Object>} data - Values or row objects
+ * @param {string[]} headers - Column keys
+ * @throws {Error} If file write fails
+ */
+export function writeJSON(filePath, data, headers) {
+  writeFileSync(filePath, generateJSON(data, headers), { encoding: 'utf8' });
+}
+
+/**
+ * Write data to an NDJSON file
+ * @param {string} filePath - Path to write the file
+ * @param {Array<string|Object>} data - Values or row objects
+ * @param {string[]} headers - Column keys
+ * @throws {Error} If file write fails
+ */
+export function writeNDJSON(filePath, data, headers) {
+  writeFileSync(filePath, generateNDJSON(data, headers), { encoding: 'utf8' });
+}
@@ -0,0 +1,313 @@
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+// Leaf elements whose text content becomes a value
+const LEAF_TAGS = new Set(['key', 'string', 'integer', 'real', 'date', 'data']);
+
+const XML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\''
+};
+
+/**
+ * Decode XML character and entity references
+ * @param {string} text - Raw element text
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (match, ref) => {
+    if (ref[0] === '#') {
+      const codePoint = ref[1] === 'x'
+        ? parseInt(ref.slice(2), 16)
+        : parseInt(ref.slice(1), 10);
+      return String.fromCodePoint(codePoint);
+    }
+    return XML_ENTITIES[ref] ?? match;
+  });
+}
+
+/**
+ * Convert the text of a leaf element to its JavaScript value
+ * @param {string} tag - Element name
+ * @param {string} text - Decoded element text
+ * @returns {*} Parsed value
+ */
+function convertLeaf(tag, text) {
+  switch (tag) {
+    case 'integer':
+      return parseInt(text, 10);
+    case 'real':
+      return parseFloat(text);
+    case 'date':
+      return new Date(text);
+    case 'data':
+      return text.replace(/\s+/g, '');
+    default:
+      return text;
+  }
+}
+
+/**
+ * Parse an XML property list (as written by Music.app's "Export Library…")
+ * Supports dict, array, string, integer, real, date, data, true and false.
+ * @param {string} xml - Plist XML document
+ * @returns {*} The root value of the plist
+ * @throws {Error} If the document is not a well-formed plist
+ */
+export function parsePlist(xml) {
+  const tagPattern = /<(\/?)([A-Za-z]+)[^>]*?(\/?)>/g;
+  const stack = [];
+  let root;
+  let hasRoot = false;
+  let leafStart = -1;
+
+  const addValue = (value) => {
+    const top = stack[stack.length - 1];
+    if (!top) {
+      if (hasRoot) {
+        throw new Error('Plist has more than one root value');
+      }
+      root = value;
+      hasRoot = true;
+      return;
+    }
+    if (top.type === 'array') {
+      top.value.push(value);
+      return;
+    }
+    if (top.key === null) {
+      throw new Error('Plist dict value without a preceding <key>');
+    }
+    top.value[top.key] = value;
+    top.key = null;
+  };
+
+  let match;
+  while ((match = tagPattern.exec(xml)) !== null) {
+    const [, closing, tag, selfClosing] = match;
+
+    if (tag === 'plist') {
+      continue;
+    }
+
+    if (closing) {
+      if (LEAF_TAGS.has(tag)) {
+        const text = decodeEntities(xml.slice(leafStart, match.index));
+        leafStart = -1;
+        if (tag === 'key') {
+          const top = stack[stack.length - 1];
+          if (!top || top.type !== 'dict') {
+            throw new Error('Plist <key> outside of a dict');
+          }
+          top.key = text;
+        } else {
+          addValue(convertLeaf(tag, text));
+        }
+        continue;
+      }
+
+      const top = stack.pop();
+      if (!top || top.type !== tag) {
+        throw new Error(`Unexpected </${tag}> in plist`);
+      }
+      continue;
+    }
+
+    switch (tag) {
+      case 'dict':
+      case 'array': {
+        const value = tag === 'dict' ? {} : [];
+        addValue(value);
+        if (!selfClosing) {
+          stack.push({ type: tag, value, key: null });
+        }
+        break;
+      }
+
+      case 'true':
+      case 'false':
+        addValue(tag === 'true');
+        break;
+
+      default:
+        if (!LEAF_TAGS.has(tag)) {
+          throw new Error(`Unsupported plist element <${tag}>`);
+        }
+        if (selfClosing) {
+          if (tag === 'key') {
+            stack[stack.length - 1].key = '';
+          } else {
+            addValue(convertLeaf(tag, ''));
+          }
+        } else {
+          leafStart = tagPattern.lastIndex;
+        }
+    }
+  }
+
+  if (stack.length > 0) {
+    throw new Error('Plist ended before all elements were closed');
+  }
+  if (!hasRoot) {
+    throw new Error('Plist contains no value');
+  }
+
+  return root;
+}
+
+/**
+ * Convert a Library.xml "Location" file URL to a local path
+ * @param {string} [location] - file:// URL
+ * @returns {string} POSIX path, or empty string if missing or not a file URL
+ */
+function locationToPath(location) {
+  if (!location) {
+    return '';
+  }
+  try {
+    return fileURLToPath(location);
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Convert a plist date to an ISO 8601 string
+ * @param {Date} [date] - Parsed plist date
+ * @returns {string|null} ISO date string, or null if missing
+ */
+function toISODate(date) {
+  return date instanceof Date && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+}
+
+/**
+ * Check whether a plist playlist is one the user created
+ * Mirrors AppleScript's `every user playlist`: skips the library itself
+ * and Music's built-in views (Music, Movies, Podcasts, ...).
+ * @param {Object} playlist - Playlist dict from Library.xml
+ * @returns {boolean} True for user playlists (including folders)
+ */
+function isUserPlaylist(playlist) {
+  return !playlist['Master'] &&
+    playlist['Distinguished Kind'] === undefined &&
+    playlist['Visible'] !== false;
+}
+
+/**
+ * Get the kind of a plist playlist
+ * @param {Object} playlist - Playlist dict from Library.xml
+ * @returns {string} regular, smart, folder or genius
+ */
+function getPlaylistKind(playlist) {
+  if (playlist['Folder']) return 'folder';
+  if (playlist['Smart Info'] !== undefined) return 'smart';
+  if (playlist['Genius Track ID'] !== undefined) return 'genius';
+  return 'regular';
+}
+
+/**
+ * Build track and playlist records from a parsed Library.xml plist
+ * Returns the same shapes as the AppleScript extractors.
+ * @param {Object} plist - Parsed plist root
+ * @returns {{tracks: Object[], playlists: string[], playlistsDetailed: Object[], playlistTracks: Object[]}}
+ * @throws {Error} If the plist does not look like a Music library export
+ */
+export function buildLibrary(plist) {
+  if (!plist || typeof plist !== 'object' || typeof plist['Tracks'] !== 'object') {
+    throw new Error('Not a Music library export (missing "Tracks" dictionary)');
+  }
+
+  // Track ID -> track fields plus location (used for playlist tracks)
+  const trackById = new Map();
+  const tracks = [];
+
+  for (const [id, item] of Object.entries(plist['Tracks'])) {
+    const track = {
+      title: item['Name'] || '',
+      artist: item['Artist'] || '',
+      albumArtist: item['Album Artist'] || '',
+      album: item['Album'] || '',
+      genre: item['Genre'] || '',
+      year: item['Year'] || null,
+      duration: item['Total Time'] !== undefined ? item['Total Time'] / 1000 : null,
+      trackNumber: item['Track Number'] || null,
+      discNumber: item['Disc Number'] || null,
+      composer: item['Composer'] || '',
+      playCount: item['Play Count'] ?? 0,
+      rating: item['Rating'] ?? 0,
+      loved: Boolean(item['Loved'] || item['Favorited']),
+      dateAdded: toISODate(item['Date Added']),
+      lastPlayed: toISODate(item['Play Date UTC']),
+      persistentId: item['Persistent ID'] || null
+    };
+    trackById.set(String(item['Track ID'] ?? id), {
+      ...track,
+      location: locationToPath(item['Location'])
+    });
+    tracks.push(track);
+  }
+
+  const playlists = [];
+  const playlistsDetailed = [];
+  const playlistTracks = [];
+
+  for (const playlist of plist['Playlists'] || []) {
+    if (!isUserPlaylist(playlist)) {
+      continue;
+    }
+
+    const playlistName = playlist['Name'] || '';
+    const playlistPersistentId = playlist['Playlist Persistent ID'] || null;
+    playlists.push(playlistName);
+
+    const kind = getPlaylistKind(playlist);
+    const detail = {
+      name: playlistName,
+      persistentId: playlistPersistentId,
+      parentPersistentId: playlist['Parent Persistent ID'] || null,
+      kind,
+      smart: kind === 'smart',
+      trackCount: 0,
+      duration: 0
+    };
+    playlistsDetailed.push(detail);
+
+    for (const item of playlist['Playlist Items'] || []) {
+      const track = trackById.get(String(item['Track ID']));
+      if (!track) {
+        continue;
+      }
+      detail.trackCount++;
+      detail.duration += track.duration ?? 0;
+      playlistTracks.push({
+        playlist: playlistName,
+        track: track.title,
+        artist: track.artist,
+        album: track.album,
+        duration: track.duration,
+        location: track.location,
+        playlistPersistentId,
+        trackPersistentId: track.persistentId
+      });
+    }
+
+    // Music reports playlist durations in whole seconds
+    detail.duration = Math.round(detail.duration);
+  }
+
+  return { tracks, playlists, playlistsDetailed, playlistTracks };
+}
+
+/**
+ * Read and parse a Music "Library.xml" export
+ * @param {string} filePath - Path to the exported XML file
+ * @returns {{tracks: Object[], playlists: string[], playlistsDetailed: Object[], playlistTracks: Object[]}}
+ * @throws {Error} If the file cannot be read or parsed
+ */
+export function loadLibraryXml(filePath) {
+  const xml = readFileSync(filePath, { encoding: 'utf8' });
+  return buildLibrary(parsePlist(xml));
+}
@@ -1,15 +1,23 @@
+import { formatPlaylistPath, PATH_SEPARATOR } from './playlist-tree.js';
+import { createKeyFunction } from './dedup-keys.js';
+
 /**
  * Creates a normalizer for string values with deduplication support
  * @param {Object} options - Normalizer options
  * @param {boolean} [options.noTrim=false] - Disable whitespace trimming
  * @param {boolean} [options.sort=false] - Sort values alphabetically
+ * @param {string[]} [options.keys=[]] - Dedup key strategies (see dedup-keys.js);
+ *   values are always compared case-insensitively
  * @returns {Object} Normalizer instance
  */
 export function createNormalizer(options = {}) {
-  const { noTrim = false, sort = false } = options;
+  const { noTrim = false, sort = false, keys = [] } = options;
+  const getKey = createKeyFunction(keys);
   
-  // Map: lowercase key -> first-seen display value
+  // Map: dedup key -> first-seen display value
   const seen = new Map();
+  // Map: dedup key -> Map of raw spelling -> count (for the merge report)
+  const variants = new Map();
   
   return {
     /**
@@ -26,7 +34,13 @@ export function createNormalizer(options = {}) {
         return false;
       }
       
-      const key = value.toLocaleLowerCase();
+      const key = getKey(value);
+      
+      if (!variants.has(key)) {
+        variants.set(key, new Map());
+      }
+      const spellings = variants.get(key);
+      spellings.set(value, (spellings.get(value) || 0) + 1);
       
       if (!seen.has(key)) {
         seen.set(key, value);
@@ -56,24 +70,125 @@ export function createNormalizer(options = {}) {
       }
       
       return values;
+    },
+    
+    /**
+     * Get the values that were merged from more than one raw spelling
+     * @returns {Object[]} { key, value, variants: [{ value, count }] }, sorted by value;
+     *   variants are ordered by count, most used first
+     */
+    getMergeReport() {
+      const report = [];
+      
+      for (const [key, spellings] of variants) {
+        if (spellings.size < 2) continue;
+        report.push({
+          key,
+          value: seen.get(key),
+          variants: [...spellings]
+            .map(([value, count]) => ({ value, count }))
+            .sort((a, b) => b.count - a.count)
+        });
+      }
+      
+      return report.sort((a, b) => a.value.localeCompare(b.value));
     }
   };
 }
 
+/**
+ * Finish a normalize* call: append merges to options.mergeReport if given
+ * @param {Object} normalizer - Normalizer instance
+ * @param {Object} options - Options passed to the normalize* function
+ * @returns {string[]} Unique values
+ */
+function finish(normalizer, options) {
+  if (options.mergeReport) {
+    options.mergeReport.push(...normalizer.getMergeReport());
+  }
+  return normalizer.getUniqueValues();
+}
+
 /**
  * Normalize and deduplicate artists from raw artist strings
  * @param {string[]} rawArtists - Array of raw artist names
- * @param {Object} options - Normalizer options
+ * @param {Object} options - Normalizer options (see createNormalizer)
+ * @param {Function} [options.split] - Splits a credit into artists (see artist-split.js)
+ * @param {Object[]} [options.mergeReport] - Array that receives the merge report
  * @returns {string[]} Array of unique, normalized artist names
  */
 export function normalizeArtists(rawArtists, options = {}) {
+  const { split = null } = options;
   const normalizer = createNormalizer(options);
   
   for (const artist of rawArtists) {
-    normalizer.add(artist);
+    for (const value of split ? split(artist) : [artist]) {
+      normalizer.add(value);
+    }
   }
   
-  return normalizer.getUniqueValues();
+  return finish(normalizer, options);
+}
+
+/**
+ * Split artist credits and pair each artist with the credits it came from
+ * @param {string[]} credits - Raw artist credits ("A feat. B", ...)
+ * @param {Object} options - Options
+ * @param {Function} options.split - Splits a credit into artists (see artist-split.js)
+ * @param {boolean} [options.noTrim=false] - Disable whitespace trimming
+ * @param {boolean} [options.sort=false] - Sort by artist, then credit
+ * @param {string[]} [options.keys=[]] - Dedup key strategies for artists and credits
+ * @returns {Object[]} Unique { artist, credit } rows
+ */
+export function normalizeArtistCredits(credits, options = {}) {
+  const { split, noTrim = false, sort = false, keys = [] } = options;
+  const getKey = createKeyFunction(keys);
+  const seen = new Map();
+  
+  for (const rawCredit of credits) {
+    const credit = noTrim ? rawCredit : rawCredit.trim();
+    if (!credit) continue;
+    
+    for (const artist of split(credit)) {
+      const key = `${getKey(artist)}\u0000${getKey(credit)}`;
+      if (!seen.has(key)) {
+        seen.set(key, { artist, credit });
+      }
+    }
+  }
+  
+  const rows = [...seen.values()];
+  if (sort) {
+    rows.sort((a, b) => a.artist.localeCompare(b.artist) || a.credit.localeCompare(b.credit));
+  }
+  return rows;
+}
+
+/**
+ * Get the artist credit of each track
+ * @param {Object[]} tracks - Array of track objects
+ * @param {Object} options - Options
+ * @param {boolean} [options.fallbackAlbumArtist=false] - Use album artist when artist is empty
+ * @returns {string[]} Non-empty artist credits, one per track
+ */
+export function getArtistCredits(tracks, options = {}) {
+  const { fallbackAlbumArtist = false } = options;
+  const credits = [];
+  
+  for (const track of tracks) {
+    let artist = track.artist;
+    
+    // Fallback to album artist if enabled and artist is empty
+    if (fallbackAlbumArtist && (!artist || !artist.trim())) {
+      artist = track.albumArtist;
+    }
+    
+    if (artist) {
+      credits.push(artist);
+    }
+  }
+  
+  return credits;
 }
 
 /**
@@ -100,7 +215,7 @@ export function normalizeAlbums(tracks, options = {}) {
     }
   }
   
-  return normalizer.getUniqueValues();
+  return finish(normalizer, options);
 }
 
 /**
@@ -126,7 +241,7 @@ export function normalizeTracks(tracks, options = {}) {
     }
   }
   
-  return normalizer.getUniqueValues();
+  return finish(normalizer, options);
 }
 
 /**
@@ -142,7 +257,7 @@ export function normalizePlaylists(playlists, options = {}) {
     normalizer.add(playlist);
   }
   
-  return normalizer.getUniqueValues();
+  return finish(normalizer, options);
 }
 
 /**
@@ -152,31 +267,42 @@ export function normalizePlaylists(playlists, options = {}) {
  * @param {boolean} [options.fallbackAlbumArtist=false] - Use album artist when artist is empty
  * @param {boolean} [options.noTrim=false] - Disable whitespace trimming
  * @param {boolean} [options.sort=false] - Sort artists alphabetically
+ * @param {Function} [options.split] - Splits a credit into artists (see artist-split.js)
  * @returns {string[]} Array of unique artist names
  */
 export function normalizeArtistsFromTracks(tracks, options = {}) {
-  const { fallbackAlbumArtist = false, noTrim = false, sort = false } = options;
-  const normalizer = createNormalizer({ noTrim, sort });
-  
-  for (const track of tracks) {
-    let artist = track.artist;
-    
-    // Fallback to album artist if enabled and artist is empty
-    if (fallbackAlbumArtist && (!artist || !artist.trim())) {
-      artist = track.albumArtist;
-    }
-    
-    if (artist) {
-      normalizer.add(artist);
-    }
-  }
-  
-  return normalizer.getUniqueValues();
+  const { fallbackAlbumArtist = false, ...normalizeOptions } = options;
+  return normalizeArtists(getArtistCredits(tracks, { fallbackAlbumArtist }), normalizeOptions);
 }
 
+/**
+ * Column keys for detailed track export, in output order
+ */
+export const DETAILED_COLUMNS = [
+  'artist',
+  'album',
+  'track',
+  'album_artist',
+  'genre',
+  'year',
+  'duration',
+  'track_number',
+  'disc_number',
+  'composer',
+  'play_count',
+  'rating',
+  'loved',
+  'date_added',
+  'last_played'
+];
+
+// Optional detailed columns (--with-ids): Music's persistent ID for the track
+export const DETAILED_ID_COLUMNS = ['persistent_id'];
+
 /**
  * Prepare detailed track data for CSV export
- * Columns: Artist, Album, Track
+ * Columns: see DETAILED_COLUMNS and DETAILED_ID_COLUMNS. Numbers stay numbers
+ * and dates are ISO 8601 strings; missing values are null.
  * @param {Object[]} tracks - Array of track objects
  * @param {Object} options - Options
  * @param {boolean} [options.sort=false] - Sort by artist, then album, then track
@@ -188,7 +314,20 @@ export function prepareDetailedTracks(tracks, options = {}) {
   let result = tracks.map(track => ({
     artist: (track.artist || track.albumArtist || '').trim(),
     album: (track.album || '').trim(),
-    track: (track.title || '').trim()
+    track: (track.title || '').trim(),
+    album_artist: (track.albumArtist || '').trim(),
+    genre: (track.genre || '').trim(),
+    year: track.year ?? null,
+    duration: track.duration ?? null,
+    track_number: track.trackNumber ?? null,
+    disc_number: track.discNumber ?? null,
+    composer: (track.composer || '').trim(),
+    play_count: track.playCount ?? null,
+    rating: track.rating ?? null,
+    loved: track.loved ?? null,
+    date_added: track.dateAdded ?? null,
+    last_played: track.lastPlayed ?? null,
+    persistent_id: track.persistentId || null
   }));
   
   if (sort) {
@@ -204,9 +343,18 @@ export function prepareDetailedTracks(tracks, options = {}) {
   return result;
 }
 
+/**
+ * Column keys for playlist-tracks export, in output order
+ */
+export const PLAYLIST_TRACK_COLUMNS = ['playlist', 'artist', 'album', 'track'];
+
+// Optional playlist-tracks columns (--with-ids): persistent IDs of the
+// playlist and the track, matching playlists-detailed and detailed exports
+export const PLAYLIST_TRACK_ID_COLUMNS = ['playlist_persistent_id', 'track_persistent_id'];
+
 /**
  * Prepare playlist tracks data for CSV export
- * Columns: Playlist, Artist, Album, Track
+ * Columns: see PLAYLIST_TRACK_COLUMNS and PLAYLIST_TRACK_ID_COLUMNS
  * @param {Object[]} playlistTracks - Array of playlist track objects
  * @param {Object} options - Options
  * @param {boolean} [options.sort=false] - Sort by playlist name, then artist, then track
@@ -219,7 +367,9 @@ export function preparePlaylistTracks(playlistTracks, options = {}) {
     playlist: (pt.playlist || '').trim(),
     artist: (pt.artist || '').trim(),
     album: (pt.album || '').trim(),
-    track: (pt.track || '').trim()
+    track: (pt.track || '').trim(),
+    playlist_persistent_id: pt.playlistPersistentId || null,
+    track_persistent_id: pt.trackPersistentId || null
   }));
   
   if (sort) {
@@ -234,3 +384,114 @@ export function preparePlaylistTracks(playlistTracks, options = {}) {
   
   return result;
 }
+
+// Column order for playlists-detailed export
+export const PLAYLIST_DETAILED_COLUMNS = [
+  'path',
+  'name',
+  'folder',
+  'kind',
+  'smart',
+  'track_count',
+  'duration'
+];
+
+/**
+ * Prepare detailed playlist data for CSV export
+ * Columns: see PLAYLIST_DETAILED_COLUMNS. Rows keep the tree order
+ * (folders before their contents).
+ * @param {Object[]} tree - Nodes from buildPlaylistTree
+ * @returns {Object[]} Array of objects ready for CSV
+ */
+export function preparePlaylistsDetailed(tree) {
+  return tree.map(node => ({
+    path: formatPlaylistPath(node),
+    name: (node.name || '').trim(),
+    folder: node.path.slice(0, -1).join(PATH_SEPARATOR),
+    kind: node.kind,
+    smart: node.smart ?? null,
+    track_count: node.trackCount ?? null,
+    duration: node.duration ?? null
+  }));
+}
+
+// Column order for duplicates export
+export const DUPLICATE_COLUMNS = [
+  'group',
+  'artist',
+  'track',
+  'album',
+  'duration',
+  'date_added',
+  'play_count'
+];
+
+/**
+ * Prepare duplicate groups for CSV export: one row per track
+ * Columns: see DUPLICATE_COLUMNS. Group numbers start at 1.
+ * @param {Object[][]} groups - Groups from findDuplicates
+ * @returns {Object[]} Array of objects ready for CSV
+ */
+export function prepareDuplicates(groups) {
+  return groups.flatMap((group, index) => group.map(track => ({
+    group: index + 1,
+    artist: (track.artist || track.albumArtist || '').trim(),
+    track: (track.title || '').trim(),
+    album: (track.album || '').trim(),
+    duration: track.duration ?? null,
+    date_added: track.dateAdded ?? null,
+    play_count: track.playCount ?? null
+  })));
+}
+
+/**
+ * Prepare the tables of the HTML library report
+ * Artists, albums and tracks use the same rows as their exports; playlists
+ * keep the tree order with their folder paths.
+ * @param {Object[]} tracks - Array of track objects
+ * @param {Object[]} tree - Playlist nodes from buildPlaylistTree
+ * @returns {{summary: Object[], tables: Object[]}} Summary counts
+ *   ({ label, value }) and tables ({ id, label, headers, rows })
+ */
+export function prepareLibraryReport(tracks, tree) {
+  const artists = normalizeArtists(getArtistCredits(tracks, { fallbackAlbumArtist: true }), { sort: true });
+  const albums = normalizeAlbums(tracks, { sort: true });
+  const playlists = preparePlaylistsDetailed(tree.filter(node => node.kind !== 'folder'));
+  
+  const tables = [
+    { id: 'artists', label: 'Artists', headers: ['artist'], rows: artists.map(artist => ({ artist })) },
+    { id: 'albums', label: 'Albums', headers: ['album'], rows: albums.map(album => ({ album })) },
+    { id: 'tracks', label: 'Tracks', headers: DETAILED_COLUMNS, rows: prepareDetailedTracks(tracks, { sort: true }) },
+    { id: 'playlists', label: 'Playlists', headers: ['path', 'kind', 'track_count', 'duration'], rows: playlists }
+  ];
+  
+  return {
+    summary: tables.map(table => ({ label: table.label, value: table.rows.length })),
+    tables
+  };
+}
+
+/**
+ * Prepare the sheets of the XLSX workbook export
+ * Each sheet has the same rows and columns as the matching CSV export.
+ * @param {Object[]} tracks - Array of track objects
+ * @param {Object[]} playlistTracks - Array of playlist track objects
+ * @returns {Object[]} Sheets: { name, headers, rows }
+ */
+export function prepareWorkbook(tracks, playlistTracks) {
+  const artists = normalizeArtists(getArtistCredits(tracks, { fallbackAlbumArtist: true }), { sort: true });
+  const albums = normalizeAlbums(tracks, { sort: true });
+  const trackNames = normalizeTracks(tracks, { sort: true });
+  
+  return [
+    { name: 'Artists', headers: ['artist'], rows: artists.map(artist => ({ artist })) },
+    { name: 'Albums', headers: ['album'], rows: albums.map(album => ({ album })) },
+    { name: 'Tracks', headers: ['track'], rows: trackNames.map(track => ({ track })) },
+    { name: 'Detailed', headers: DETAILED_COLUMNS, rows: prepareDetailedTracks(tracks, { sort: true }) },
+    {
+      name: 'Playlist Tracks',
+      headers: PLAYLIST_TRACK_COLUMNS,
+      rows: preparePlaylistTracks(playlistTracks)
+    }
+  ];
+}
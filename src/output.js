@@ -0,0 +1,84 @@
+import {
+  writeSingleColumnCSV,
+  writeMultiColumnCSV,
+  writeToStdout,
+  generateColorizedSingleColumn,
+  generateColorizedMultiColumn
+} from './csv-writer.js';
+import {
+  writeJSON,
+  writeNDJSON,
+  generateJSON,
+  generateNDJSON
+} from './json-writer.js';
+
+// Supported output formats (csv is the default)
+export const OUTPUT_FORMATS = ['csv', 'json', 'ndjson'];
+
+// File extension used for default filenames
+export const FORMAT_EXTENSIONS = {
+  csv: 'csv',
+  json: 'json',
+  ndjson: 'ndjson'
+};
+
+/**
+ * Write single-column values to a file or stdout
+ * CSV on stdout is colorized terminal text; JSON formats are always plain.
+ * @param {string|null} outPath - File path, or null for stdout
+ * @param {string[]} values - Array of values
+ * @param {string} header - Column header name (JSON key)
+ * @param {string} [format='csv'] - Output format
+ */
+export function writeSingleColumn(outPath, values, header, format = 'csv') {
+  if (format === 'json' || format === 'ndjson') {
+    writeJSONFormat(outPath, values, [header], format);
+    return;
+  }
+  
+  if (outPath) {
+    writeSingleColumnCSV(outPath, values, header);
+  } else {
+    writeToStdout(generateColorizedSingleColumn(values, header));
+  }
+}
+
+/**
+ * Write multi-column rows to a file or stdout
+ * @param {string|null} outPath - File path, or null for stdout
+ * @param {Object[]} rows - Array of row objects
+ * @param {string[]} headers - Column header names (object keys)
+ * @param {string} [format='csv'] - Output format
+ */
+export function writeMultiColumn(outPath, rows, headers, format = 'csv') {
+  if (format === 'json' || format === 'ndjson') {
+    writeJSONFormat(outPath, rows, headers, format);
+    return;
+  }
+  
+  if (outPath) {
+    writeMultiColumnCSV(outPath, rows, headers);
+  } else {
+    writeToStdout(generateColorizedMultiColumn(rows, headers));
+  }
+}
+
+/**
+ * Write data as a JSON array or NDJSON
+ * @param {string|null} outPath - File path, or null for stdout
+ * @param {Array<string|Object>} data - Values or row objects
+ * @param {string[]} headers - Column keys
+ * @param {string} format - 'json' or 'ndjson'
+ */
+function writeJSONFormat(outPath, data, headers, format) {
+  if (outPath) {
+    if (format === 'ndjson') {
+      writeNDJSON(outPath, data, headers);
+    } else {
+      writeJSON(outPath, data, headers);
+    }
+    return;
+  }
+  
+  writeToStdout(format === 'ndjson' ? generateNDJSON(data, headers) : generateJSON(data, headers));
+}
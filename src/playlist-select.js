@@ -0,0 +1,170 @@
+/**
+ * Playlist selection for --playlist / --exclude-playlist
+ *
+ * A pattern is one of:
+ *   Road Trips      exact name (case-insensitive)
+ *   Road*           glob: * any text, ? one character, [abc] character class
+ *   /^road/i        regular expression
+ *
+ * A name that equals the pattern always matches, so playlists whose names
+ * contain * or [ can still be selected exactly.
+ */
+
+/**
+ * Convert a glob pattern to an anchored, case-insensitive regex
+ * @param {string} glob - Glob pattern
+ * @returns {RegExp} Equivalent regex
+ */
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*') {
+      source += '.*';
+    } else if (ch === '?') {
+      source += '.';
+    } else if (ch === '[' && glob.indexOf(']', i + 1) > i + 1) {
+      const end = glob.indexOf(']', i + 1);
+      const body = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+      source += `[${body[0] === '!' ? '^' + body.slice(1) : body}]`;
+      i = end;
+    } else {
+      source += ch.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Compile a playlist pattern
+ * @param {string} pattern - Exact name, glob or /regex/flags
+ * @returns {{pattern: string, test: Function}} Matcher
+ * @throws {Error} If a /regex/ pattern is invalid
+ */
+export function createPlaylistMatcher(pattern) {
+  const wanted = pattern.trim().toLocaleLowerCase();
+  const isExact = (name) => name.trim().toLocaleLowerCase() === wanted;
+  
+  const regexMatch = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  if (regexMatch) {
+    let regex;
+    try {
+      regex = new RegExp(regexMatch[1], regexMatch[2]);
+    } catch (err) {
+      throw new Error(`Invalid playlist pattern ${pattern}: ${err.message}`);
+    }
+    return { pattern, test: (name) => isExact(name) || regex.test(name) };
+  }
+  
+  if (/[*?[]/.test(pattern)) {
+    const regex = globToRegExp(pattern.trim());
+    return { pattern, test: (name) => isExact(name) || regex.test(name.trim()) };
+  }
+  
+  return { pattern, test: isExact };
+}
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Find playlist names similar to a pattern that matched nothing
+ * @param {string} pattern - The unmatched pattern
+ * @param {string[]} names - All playlist names
+ * @param {number} [max=3] - Maximum number of suggestions
+ * @returns {string[]} Closest names, best first
+ */
+export function findCloseMatches(pattern, names, max = 3) {
+  // Compare against the literal part of globs and regexes
+  const wanted = pattern.replace(/^\/(.+)\/[a-z]*$/, '$1').replace(/[*?[\]^$\\]/g, '').trim().toLocaleLowerCase();
+  if (!wanted) return [];
+  
+  const threshold = Math.max(2, Math.floor(wanted.length / 3));
+  const scored = [];
+  
+  for (const name of new Set(names)) {
+    const candidate = name.trim().toLocaleLowerCase();
+    const distance = candidate.includes(wanted) || wanted.includes(candidate)
+      ? Math.abs(candidate.length - wanted.length) / 100  // Substrings rank first
+      : editDistance(wanted, candidate);
+    if (distance <= threshold) {
+      scored.push({ name, distance });
+    }
+  }
+  
+  return scored
+    .sort((a, b) => a.distance - b.distance || a.name.localeCompare(b.name))
+    .slice(0, max)
+    .map(s => s.name);
+}
+
+/**
+ * Select playlists by include and exclude patterns
+ * With no include patterns every playlist is included.
+ * @param {string[]} names - All playlist names, in library order
+ * @param {Object} patterns - Patterns
+ * @param {string[]} [patterns.include] - Playlists to keep
+ * @param {string[]} [patterns.exclude] - Playlists to drop
+ * @returns {{selected: string[], unmatched: string[]}} Selected names (unique,
+ *   library order) and the patterns that matched no playlist
+ * @throws {Error} If a pattern is an invalid regex
+ */
+export function selectPlaylists(names, { include = [], exclude = [] } = {}) {
+  const includeMatchers = include.map(createPlaylistMatcher);
+  const excludeMatchers = exclude.map(createPlaylistMatcher);
+  const matchers = [...includeMatchers, ...excludeMatchers];
+  const used = new Set();
+  const selected = new Set();
+  
+  for (const name of names) {
+    for (const matcher of matchers) {
+      if (matcher.test(name)) used.add(matcher);
+    }
+    
+    const included = includeMatchers.length === 0 || includeMatchers.some(m => m.test(name));
+    const excluded = excludeMatchers.some(m => m.test(name));
+    if (included && !excluded) {
+      selected.add(name);
+    }
+  }
+  
+  return {
+    selected: [...selected],
+    unmatched: matchers.filter(m => !used.has(m)).map(m => m.pattern)
+  };
+}
+
+/**
+ * Keep playlist tracks belonging to the given playlists
+ * Used by file-based backends and the extraction cache; the osascript
+ * backends pass the names to the script so other playlists are never read.
+ * @param {Object[]} playlistTracks - Playlist track records
+ * @param {string[]} [playlists] - Exact playlist names, or empty/undefined for all
+ * @returns {Object[]} Matching records
+ */
+export function filterPlaylistTracks(playlistTracks, playlists) {
+  if (!playlists || playlists.length === 0) {
+    return playlistTracks;
+  }
+  const wanted = new Set(playlists);
+  return playlistTracks.filter(record => wanted.has(record.playlist));
+}
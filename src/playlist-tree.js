@@ -0,0 +1,69 @@
+/**
+ * Playlist folder hierarchy
+ * Detailed playlist records reference their folder by persistent ID; this
+ * module turns them into a tree with full folder paths.
+ */
+
+// Separator between folder names in playlist paths
+export const PATH_SEPARATOR = ' / ';
+
+/**
+ * Compare siblings the way Music's sidebar orders them: folders first, then by name
+ * @param {Object} a - Playlist record
+ * @param {Object} b - Playlist record
+ * @returns {number} Sort order
+ */
+function compareSiblings(a, b) {
+  const folderCmp = (b.kind === 'folder') - (a.kind === 'folder');
+  if (folderCmp !== 0) return folderCmp;
+  return a.name.localeCompare(b.name);
+}
+
+/**
+ * Arrange detailed playlist records as a tree
+ * Playlists whose folder is missing are treated as top-level.
+ * @param {Object[]} playlists - Records from extractPlaylistsDetailed
+ * @returns {Object[]} Records in depth-first order, each with `path` (folder
+ *   names down to and including the playlist) and `depth` (0 for top level)
+ */
+export function buildPlaylistTree(playlists) {
+  const ids = new Set(playlists.map(p => p.persistentId).filter(Boolean));
+  const children = new Map();
+  
+  for (const playlist of playlists) {
+    const parent = ids.has(playlist.parentPersistentId) ? playlist.parentPersistentId : null;
+    if (!children.has(parent)) {
+      children.set(parent, []);
+    }
+    children.get(parent).push(playlist);
+  }
+  
+  const result = [];
+  const visited = new Set();
+  
+  const visit = (parentId, parentPath) => {
+    for (const playlist of (children.get(parentId) || []).sort(compareSiblings)) {
+      // Guard against a folder listed as its own ancestor
+      if (visited.has(playlist)) continue;
+      visited.add(playlist);
+      
+      const nodePath = [...parentPath, playlist.name];
+      result.push({ ...playlist, path: nodePath, depth: parentPath.length });
+      if (playlist.persistentId) {
+        visit(playlist.persistentId, nodePath);
+      }
+    }
+  };
+  
+  visit(null, []);
+  return result;
+}
+
+/**
+ * Format a playlist tree node's path
+ * @param {Object} node - Node from buildPlaylistTree
+ * @returns {string} e.g. "Travel / Road Trips"
+ */
+export function formatPlaylistPath(node) {
+  return node.path.join(PATH_SEPARATOR);
+}
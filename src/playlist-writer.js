@@ -0,0 +1,176 @@
+import { writeFileSync, mkdirSync } from 'node:fs';
+import { pathToFileURL } from 'node:url';
+import path from 'node:path';
+
+// Playlist file formats (one file per playlist)
+export const PLAYLIST_FORMATS = ['m3u8', 'xspf'];
+
+/**
+ * Group playlist track records by playlist, keeping playlist and track order
+ * Playlists with the same name (e.g. in different folders) are told apart
+ * by persistent ID; records without one are grouped by name.
+ * @param {Object[]} playlistTracks - Records from extractPlaylistTracks
+ * @returns {Map<string, {name: string, tracks: Object[]}>} Playlist key -> name and tracks
+ */
+export function groupByPlaylist(playlistTracks) {
+  const groups = new Map();
+  
+  for (const pt of playlistTracks) {
+    const name = (pt.playlist || '').trim();
+    const key = pt.playlistPersistentId || `name:${name}`;
+    if (!groups.has(key)) {
+      groups.set(key, { name, tracks: [] });
+    }
+    groups.get(key).tracks.push(pt);
+  }
+  
+  return groups;
+}
+
+/**
+ * Count playlist tracks that M3U8 files leave out
+ * @param {Object[]} playlistTracks - Records from extractPlaylistTracks
+ * @returns {number} Tracks without a local file (streaming or cloud-only)
+ */
+export function countTracksWithoutFile(playlistTracks) {
+  return playlistTracks.filter(pt => !pt.location).length;
+}
+
+/**
+ * Make a playlist name safe to use as a file name
+ * @param {string} name - Playlist name
+ * @returns {string} File name without extension
+ */
+export function toSafeFileName(name) {
+  const safe = name
+    .replace(/[\/\\:*?"<>|\u0000-\u001f]/g, '_')
+    .replace(/^\.+/, '_')
+    .trim();
+  return safe || 'Untitled';
+}
+
+/**
+ * Escape text for inclusion in XML content
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Generate an extended M3U (UTF-8) playlist
+ * Each entry is an #EXTINF line followed by the file path, so tracks
+ * without a local file (streaming or cloud-only) are left out; players
+ * would pair a bare #EXTINF with the next track's path.
+ * @param {string} name - Playlist name
+ * @param {Object[]} tracks - Playlist track records
+ * @returns {string} M3U8 content
+ */
+export function generateM3U8(name, tracks) {
+  const lines = ['#EXTM3U', `#PLAYLIST:${name.replace(/[\r\n]+/g, ' ')}`];
+  
+  for (const t of tracks) {
+    if (!t.location) continue;
+    const seconds = t.duration !== null && t.duration !== undefined ? Math.round(t.duration) : -1;
+    const artist = (t.artist || '').trim();
+    const title = (t.track || '').trim();
+    const label = artist ? `${artist} - ${title}` : title;
+    
+    lines.push(`#EXTINF:${seconds},${label.replace(/[\r\n]+/g, ' ')}`);
+    if (t.album) {
+      lines.push(`#EXTALB:${t.album.trim().replace(/[\r\n]+/g, ' ')}`);
+    }
+    lines.push(t.location);
+  }
+  
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Generate an XSPF ("spiff") playlist document
+ * @param {string} name - Playlist name
+ * @param {Object[]} tracks - Playlist track records
+ * @returns {string} XSPF XML content
+ */
+export function generateXSPF(name, tracks) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+    `  <title>${escapeXml(name)}</title>`,
+    '  <trackList>'
+  ];
+  
+  for (const t of tracks) {
+    lines.push('    <track>');
+    if (t.location) {
+      lines.push(`      <location>${escapeXml(pathToFileURL(t.location).href)}</location>`);
+    }
+    if (t.track) {
+      lines.push(`      <title>${escapeXml(t.track.trim())}</title>`);
+    }
+    if (t.artist) {
+      lines.push(`      <creator>${escapeXml(t.artist.trim())}</creator>`);
+    }
+    if (t.album) {
+      lines.push(`      <album>${escapeXml(t.album.trim())}</album>`);
+    }
+    if (t.duration !== null && t.duration !== undefined) {
+      lines.push(`      <duration>${Math.round(t.duration * 1000)}</duration>`);
+    }
+    lines.push('    </track>');
+  }
+  
+  lines.push('  </trackList>', '</playlist>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Write one file per playlist into a directory
+ * Playlists that share a name (e.g. in different folders) get numbered
+ * file names: "Mix", "Mix (2)", ...
+ * @param {string} dirPath - Output directory (created if missing)
+ * @param {Object[]} playlistTracks - Records from extractPlaylistTracks
+ * @param {string} extension - File extension, without the dot
+ * @param {Function} generate - (name, tracks) => file content
+ * @returns {string[]} Paths of the written files
+ * @throws {Error} If the directory or a file cannot be written
+ */
+export function writeFilePerPlaylist(dirPath, playlistTracks, extension, generate) {
+  const usedNames = new Set();
+  const written = [];
+  
+  mkdirSync(dirPath, { recursive: true });
+  
+  for (const { name, tracks } of groupByPlaylist(playlistTracks).values()) {
+    const baseName = toSafeFileName(name);
+    let fileName = baseName;
+    for (let n = 2; usedNames.has(fileName.toLowerCase()); n++) {
+      fileName = `${baseName} (${n})`;
+    }
+    usedNames.add(fileName.toLowerCase());
+    
+    const filePath = path.join(dirPath, `${fileName}.${extension}`);
+    writeFileSync(filePath, generate(name, tracks), { encoding: 'utf8' });
+    written.push(filePath);
+  }
+  
+  return written;
+}
+
+/**
+ * Write one playlist file per playlist into a directory
+ * @param {string} dirPath - Output directory (created if missing)
+ * @param {Object[]} playlistTracks - Records from extractPlaylistTracks
+ * @param {string} format - 'm3u8' or 'xspf'
+ * @returns {string[]} Paths of the written files
+ * @throws {Error} If the directory or a file cannot be written
+ */
+export function writePlaylistFiles(dirPath, playlistTracks, format) {
+  const generate = format === 'xspf' ? generateXSPF : generateM3U8;
+  return writeFilePerPlaylist(dirPath, playlistTracks, format, generate);
+}
@@ -0,0 +1,110 @@
+import { writeFileSync } from 'node:fs';
+import { generateMultiColumnCSV } from './csv-writer.js';
+import { writeFilePerPlaylist } from './playlist-writer.js';
+
+/**
+ * Output presets for other music services' importers
+ * Each preset is a CSV layout built from playlist tracks: exact header text,
+ * column order, quoting and line endings, and whether every playlist goes
+ * into its own file (for importers that turn one file into one playlist).
+ */
+
+/**
+ * Flatten a value to one line of text
+ * Importers split rows on line breaks without honouring CSV quotes, so line
+ * breaks and tabs become spaces.
+ * @param {*} value - Raw value
+ * @returns {string} Single-line text
+ */
+function singleLine(value) {
+  return String(value ?? '').replace(/[\r\n\t]+/g, ' ').trim();
+}
+
+// Preset name -> layout
+// columns: [header text, (playlist track record) => value]
+export const PRESETS = {
+  soundiiz: {
+    description: 'Soundiiz "Import from file": one CSV per playlist',
+    columns: [
+      ['title', pt => pt.track],
+      ['artist', pt => pt.artist],
+      ['album', pt => pt.album]
+    ],
+    split: true
+  },
+  tunemymusic: {
+    description: 'TuneMyMusic "Upload file": all playlists in one CSV',
+    columns: [
+      ['Track name', pt => pt.track],
+      ['Artist name', pt => pt.artist],
+      ['Album', pt => pt.album],
+      ['Playlist name', pt => pt.playlist],
+      ['Type', () => 'Playlist'],
+      ['ISRC', () => '']
+    ],
+    split: false,
+    quoteAll: true,
+    lineEnding: '\r\n'
+  },
+  generic: {
+    description: 'Title,Artist,Album,Playlist in one CSV (most importers)',
+    columns: [
+      ['Title', pt => pt.track],
+      ['Artist', pt => pt.artist],
+      ['Album', pt => pt.album],
+      ['Playlist', pt => pt.playlist]
+    ],
+    split: false
+  },
+  'generic-split': {
+    description: 'Title,Artist,Album with one CSV per playlist',
+    columns: [
+      ['Title', pt => pt.track],
+      ['Artist', pt => pt.artist],
+      ['Album', pt => pt.album]
+    ],
+    split: true
+  }
+};
+
+/**
+ * Generate preset CSV content for playlist tracks
+ * Tracks keep their playlist order, so importers recreate playlists as they
+ * are in Music.
+ * @param {string} presetName - Key of PRESETS
+ * @param {Object[]} playlistTracks - Records from extractPlaylistTracks
+ * @returns {string} CSV content
+ */
+export function generatePresetCSV(presetName, playlistTracks) {
+  const preset = PRESETS[presetName];
+  const keys = preset.columns.map((_, i) => `c${i}`);
+  const rows = playlistTracks.map(pt => Object.fromEntries(
+    preset.columns.map(([, value], i) => [keys[i], singleLine(value(pt))])
+  ));
+  
+  return generateMultiColumnCSV(rows, keys, {
+    labels: preset.columns.map(([label]) => label),
+    quoteAll: preset.quoteAll,
+    lineEnding: preset.lineEnding
+  });
+}
+
+/**
+ * Write playlist tracks in a preset's layout
+ * Split presets write one CSV per playlist into outPath (a directory);
+ * the others write a single file.
+ * @param {string} outPath - Output file or directory
+ * @param {string} presetName - Key of PRESETS
+ * @param {Object[]} playlistTracks - Records from extractPlaylistTracks
+ * @returns {string[]} Paths of the written files
+ * @throws {Error} If a file cannot be written
+ */
+export function writePreset(outPath, presetName, playlistTracks) {
+  if (PRESETS[presetName].split) {
+    return writeFilePerPlaylist(outPath, playlistTracks, 'csv',
+      (name, tracks) => generatePresetCSV(presetName, tracks));
+  }
+  
+  writeFileSync(outPath, generatePresetCSV(presetName, playlistTracks), { encoding: 'utf8' });
+  return [outPath];
+}
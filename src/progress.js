@@ -0,0 +1,93 @@
+/**
+ * Extraction progress text
+ *
+ *   12,400 / 58,000 tracks, ~40s left
+ *
+ * The AppleScript backend reports progress as records arrive (see
+ * runRecordScript); the JXA backend as its scripts fetch them (see
+ * runJXAScript).
+ */
+
+// Kind of records -> noun
+const NOUNS = {
+  tracks: 'tracks',
+  playlistTracks: 'playlist tracks'
+};
+
+// Don't estimate the time left from the first few records or seconds
+const MIN_ESTIMATE_MS = 2000;
+const MIN_ESTIMATE_FRACTION = 0.01;
+
+// Redraw at most this often
+const UPDATE_INTERVAL_MS = 100;
+
+/**
+ * Format a number of seconds as a short duration
+ * @param {number} seconds - Seconds
+ * @returns {string} e.g. 40s, 3m 20s, 1h 5m
+ */
+export function formatDuration(seconds) {
+  const s = Math.max(1, Math.round(seconds));
+  if (s < 60) return `${s}s`;
+  if (s < 3600) return `${Math.floor(s / 60)}m ${s % 60}s`;
+  return `${Math.floor(s / 3600)}h ${Math.floor((s % 3600) / 60)}m`;
+}
+
+/**
+ * Estimate the seconds left from the rate so far
+ * @param {number} done - Records read
+ * @param {number} total - Records to read
+ * @param {number} elapsedMs - Time since reading started
+ * @returns {number|null} Seconds left, or null while too early to tell
+ */
+export function estimateSecondsLeft(done, total, elapsedMs) {
+  if (done === 0 || done >= total || elapsedMs < MIN_ESTIMATE_MS || done / total < MIN_ESTIMATE_FRACTION) {
+    return null;
+  }
+  return (elapsedMs / done) * (total - done) / 1000;
+}
+
+/**
+ * Format a progress line
+ * @param {Object} progress - Progress event
+ * @param {string} progress.kind - tracks or playlistTracks
+ * @param {number} progress.done - Records read
+ * @param {number} progress.total - Records to read
+ * @param {number} elapsedMs - Time since reading started
+ * @returns {string} Progress text
+ */
+export function formatProgress({ kind, done, total }, elapsedMs) {
+  const noun = NOUNS[kind] || 'records';
+  const text = `${done.toLocaleString('en-US')} / ${total.toLocaleString('en-US')} ${noun}`;
+  const secondsLeft = estimateSecondsLeft(done, total, elapsedMs);
+  return secondsLeft === null ? text : `${text}, ~${formatDuration(secondsLeft)} left`;
+}
+
+/**
+ * Create an onProgress callback for the extraction options
+ * Timing restarts with every new total (each extraction reports one), and
+ * updates are throttled.
+ * @param {Object} handlers - Display callbacks
+ * @param {Function} handlers.update - Called with the progress text
+ * @param {Function} [handlers.finish] - Called when an extraction ends
+ * @returns {Function} onProgress({ kind, done, total, finished })
+ */
+export function createProgressReporter({ update, finish = () => {} }) {
+  let startedAt = 0;
+  let lastUpdate = 0;
+  
+  return (progress) => {
+    const now = Date.now();
+    if (progress.finished) {
+      finish();
+      return;
+    }
+    if (progress.done === 0) {
+      startedAt = now;
+    } else if (now - lastUpdate < UPDATE_INTERVAL_MS) {
+      return;
+    }
+    lastUpdate = now;
+    update(formatProgress(progress, now - startedAt));
+  };
+}
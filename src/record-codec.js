@@ -0,0 +1,217 @@
+/**
+ * Record encoding shared by the extraction scripts and Node
+ *
+ * Script output is one record per line:
+ *
+ *   #fields<US>title<US>artist<US>...      (header, always first)
+ *   #total<US>58000                        (optional: number of records to come)
+ *   Come Together<US>The Beatles<US>...<RS>
+ *
+ * Fields are separated by the ASCII unit separator (US, 0x1F) and every
+ * record ends with the ASCII record separator (RS, 0x1E), so a truncated
+ * line is detectable. Inside a field, backslash, line breaks and both
+ * separators are escaped; a field that is exactly \0 is AppleScript's
+ * `missing value` (decoded as null).
+ *
+ * The JXA scripts return the same fields as JSON instead:
+ *
+ *   {"fields": ["title", "artist", ...], "rows": [["Come Together", "The Beatles", ...], ...]}
+ *
+ * Scripts that read many records write the #total line first and the
+ * records in batches as they go, so progress can be shown while they run.
+ * The JXA scripts write the #total line on its own before the JSON, then
+ * a #progress<US>N line (records fetched so far) as they go.
+ */
+
+export const UNIT_SEPARATOR = '\u001f';
+export const RECORD_SEPARATOR = '\u001e';
+export const HEADER_PREFIX = '#fields';
+export const TOTAL_PREFIX = '#total';
+export const PROGRESS_PREFIX = '#progress';
+
+const ESCAPES = {
+  '\\\\': '\\',
+  '\\n': '\n',
+  '\\r': '\r',
+  '\\x1f': UNIT_SEPARATOR,
+  '\\x1e': RECORD_SEPARATOR
+};
+
+const NULL_FIELD = '\\0';
+
+/**
+ * Error thrown when script output does not follow the record encoding
+ */
+export class RecordFormatError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   * @param {number} index - 1-based record number (0 for the header)
+   */
+  constructor(message, index) {
+    super(index > 0 ? `Malformed record #${index}: ${message}` : `Malformed record header: ${message}`);
+    this.name = 'RecordFormatError';
+    this.index = index;
+  }
+}
+
+/**
+ * Decode a single escaped field
+ * @param {string} text - Escaped field text
+ * @param {number} index - Record number (for error messages)
+ * @returns {string|null} Decoded value, or null for missing value
+ * @throws {RecordFormatError} On an unknown escape sequence
+ */
+export function decodeField(text, index) {
+  if (text === NULL_FIELD) {
+    return null;
+  }
+  
+  return text.replace(/\\(x1f|x1e|.?)/g, (sequence) => {
+    const decoded = ESCAPES[sequence];
+    if (decoded === undefined) {
+      throw new RecordFormatError(`invalid escape sequence "${sequence}"`, index);
+    }
+    return decoded;
+  });
+}
+
+/**
+ * Parse the header line into field names
+ * @param {string} line - First line of script output
+ * @returns {string[]} Field names
+ * @throws {RecordFormatError} If the line is not a header
+ */
+export function parseHeader(line) {
+  if (line === undefined) {
+    throw new RecordFormatError('script produced no output', 0);
+  }
+  
+  const [prefix, ...fields] = line.split(UNIT_SEPARATOR);
+  if (prefix !== HEADER_PREFIX || fields.length === 0) {
+    throw new RecordFormatError(`expected "${HEADER_PREFIX}" header, got "${line.slice(0, 40)}"`, 0);
+  }
+  
+  return fields;
+}
+
+/**
+ * Parse a #total line
+ * Fields never contain an unescaped unit separator, so no record can look
+ * like this line.
+ * @param {string} [line] - Output line
+ * @returns {number|null} Number of records to come, or null if not a #total line
+ */
+export function parseTotal(line) {
+  return parseCount(line, TOTAL_PREFIX);
+}
+
+/**
+ * Parse a #progress line (JXA scripts)
+ * @param {string} [line] - Output line
+ * @returns {number|null} Number of records fetched so far, or null if not a #progress line
+ */
+export function parseProgress(line) {
+  return parseCount(line, PROGRESS_PREFIX);
+}
+
+/**
+ * Parse a "<prefix><US><count>" line
+ * @param {string} [line] - Output line
+ * @param {string} prefix - Line prefix
+ * @returns {number|null} Count, or null if the line doesn't match
+ */
+function parseCount(line, prefix) {
+  if (!line || !line.startsWith(prefix + UNIT_SEPARATOR)) {
+    return null;
+  }
+  const count = Number(line.slice(prefix.length + 1));
+  return Number.isInteger(count) && count >= 0 ? count : null;
+}
+
+/**
+ * Decode script output lines into records
+ * @param {string[]} lines - Output lines (header first, then an optional #total line)
+ * @param {Object} [options] - Options
+ * @param {string[]} [options.expectedFields] - Fields the caller requires
+ * @returns {Object[]} Records keyed by field name (values are strings or null)
+ * @throws {RecordFormatError} If the header or any record is malformed
+ */
+export function decodeRecords(lines, options = {}) {
+  const { expectedFields } = options;
+  const fields = parseHeader(lines[0]);
+  
+  if (expectedFields) {
+    const missing = expectedFields.filter(f => !fields.includes(f));
+    if (missing.length > 0) {
+      throw new RecordFormatError(`missing fields: ${missing.join(', ')}`, 0);
+    }
+  }
+  
+  const records = [];
+  const first = parseTotal(lines[1]) === null ? 1 : 2;
+  
+  for (let i = first; i < lines.length; i++) {
+    const line = lines[i];
+    const index = i - first + 1;
+    
+    // osascript may end its output with a blank line
+    if (line === '' && i === lines.length - 1) {
+      continue;
+    }
+    
+    if (!line.endsWith(RECORD_SEPARATOR)) {
+      throw new RecordFormatError('record is truncated (no record separator)', index);
+    }
+    
+    const values = line.slice(0, -1).split(UNIT_SEPARATOR);
+    if (values.length !== fields.length) {
+      throw new RecordFormatError(`expected ${fields.length} fields, got ${values.length}`, index);
+    }
+    
+    const record = {};
+    fields.forEach((field, f) => {
+      record[field] = decodeField(values[f], index);
+    });
+    records.push(record);
+  }
+  
+  return records;
+}
+
+/**
+ * Decode JSON output from the JXA scripts into records
+ * Produces the same records as decodeRecords for the same library.
+ * @param {string} text - JSON document ({fields, rows})
+ * @returns {Object[]} Records keyed by field name (values are strings or null)
+ * @throws {RecordFormatError} If the document or any row is malformed
+ */
+export function decodeJSONRecords(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new RecordFormatError(`invalid JSON (${err.message})`, 0);
+  }
+  
+  const { fields, rows } = data || {};
+  if (!Array.isArray(fields) || fields.length === 0 || !Array.isArray(rows)) {
+    throw new RecordFormatError('expected {"fields": [...], "rows": [...]}', 0);
+  }
+  
+  return rows.map((row, r) => {
+    const index = r + 1;
+    if (!Array.isArray(row) || row.length !== fields.length) {
+      throw new RecordFormatError(`expected ${fields.length} fields, got ${Array.isArray(row) ? row.length : typeof row}`, index);
+    }
+    
+    const record = {};
+    fields.forEach((field, f) => {
+      const value = row[f];
+      if (value !== null && typeof value !== 'string') {
+        throw new RecordFormatError(`field "${field}" is ${typeof value}, expected string or null`, index);
+      }
+      record[field] = value;
+    });
+    return record;
+  });
+}
@@ -0,0 +1,276 @@
+import { readFileSync, writeFileSync } from 'node:fs';
+import chalk from 'chalk';
+
+// Snapshot file format version
+export const SNAPSHOT_VERSION = 1;
+
+// Track fields compared by diffSnapshots (play count and last played
+// change with every listen, so they're not treated as edits)
+export const COMPARED_TRACK_FIELDS = [
+  'title',
+  'artist',
+  'albumArtist',
+  'album',
+  'genre',
+  'year',
+  'duration',
+  'trackNumber',
+  'discNumber',
+  'composer',
+  'rating',
+  'loved'
+];
+
+/**
+ * Build a fallback identity key for records without a persistent ID
+ * @param {string} artist - Artist name
+ * @param {string} title - Track title
+ * @param {string} album - Album name
+ * @returns {string} Key (stable across runs, not across renames)
+ */
+function fallbackKey(artist, title, album) {
+  const part = (value) => (value || '').trim().toLocaleLowerCase();
+  return `key:${part(artist)}|${part(title)}|${part(album)}`;
+}
+
+/**
+ * Create a library snapshot from extracted data
+ * Tracks and playlists are identified by Music's persistent IDs when the
+ * backend provides them, otherwise by artist/title/album (or playlist name).
+ * @param {Object} data - Extracted library data
+ * @param {Object[]} data.tracks - Records from extractTracks
+ * @param {Object[]} [data.playlists] - Records from extractPlaylistsDetailed (keeps empty playlists)
+ * @param {Object[]} data.playlistTracks - Records from extractPlaylistTracks
+ * @param {Object} [meta] - Extra metadata stored in the snapshot (e.g. source)
+ * @returns {Object} Snapshot
+ */
+export function createSnapshot({ tracks, playlists = [], playlistTracks }, meta = {}) {
+  const snapshotTracks = [];
+  const usedIds = new Set();
+  // Fallback key -> id, to link playlist entries to tracks
+  const idByKey = new Map();
+  
+  for (const track of tracks) {
+    const key = fallbackKey(track.artist || track.albumArtist, track.title, track.album);
+    let id = track.persistentId || key;
+    
+    // Same artist/title/album twice: keep both copies distinct
+    for (let n = 2; usedIds.has(id); n++) {
+      id = `${track.persistentId || key}#${n}`;
+    }
+    usedIds.add(id);
+    
+    if (!idByKey.has(key)) {
+      idByKey.set(key, id);
+    }
+    snapshotTracks.push({ id, ...track });
+  }
+  
+  const playlistsById = new Map();
+  const addPlaylist = (id, name) => {
+    if (!playlistsById.has(id)) {
+      playlistsById.set(id, { id, name, tracks: [] });
+    }
+    return playlistsById.get(id);
+  };
+  
+  // Every playlist, including empty ones, under the same id its tracks use
+  for (const playlist of playlists) {
+    addPlaylist(playlist.persistentId || `name:${playlist.name}`, playlist.name);
+  }
+  
+  for (const pt of playlistTracks) {
+    const playlist = addPlaylist(pt.playlistPersistentId || `name:${pt.playlist}`, pt.playlist);
+    const trackId = pt.trackPersistentId ||
+      idByKey.get(fallbackKey(pt.artist, pt.track, pt.album)) ||
+      fallbackKey(pt.artist, pt.track, pt.album);
+    playlist.tracks.push(trackId);
+  }
+  
+  return {
+    version: SNAPSHOT_VERSION,
+    createdAt: new Date().toISOString(),
+    ...meta,
+    tracks: snapshotTracks,
+    playlists: [...playlistsById.values()]
+  };
+}
+
+/**
+ * Write a snapshot to a JSON file
+ * @param {string} filePath - Path to write
+ * @param {Object} snapshot - Snapshot from createSnapshot
+ * @throws {Error} If file write fails
+ */
+export function writeSnapshot(filePath, snapshot) {
+  writeFileSync(filePath, JSON.stringify(snapshot, null, 2) + '\n', { encoding: 'utf8' });
+}
+
+/**
+ * Read and validate a snapshot file
+ * @param {string} filePath - Path to the snapshot JSON
+ * @returns {Object} Snapshot
+ * @throws {Error} If the file is unreadable or not a snapshot
+ */
+export function loadSnapshot(filePath) {
+  const snapshot = JSON.parse(readFileSync(filePath, { encoding: 'utf8' }));
+  
+  if (snapshot.version !== SNAPSHOT_VERSION) {
+    throw new Error(`${filePath}: unsupported snapshot version ${snapshot.version} (expected ${SNAPSHOT_VERSION})`);
+  }
+  if (!Array.isArray(snapshot.tracks) || !Array.isArray(snapshot.playlists)) {
+    throw new Error(`${filePath}: not a library snapshot (missing tracks or playlists)`);
+  }
+  
+  return snapshot;
+}
+
+/**
+ * Short "Artist - Title" label for a snapshot track
+ * @param {Object} [track] - Snapshot track
+ * @param {string} id - Track id (used when the track is unknown)
+ * @returns {string} Label
+ */
+function trackLabel(track, id) {
+  if (!track) return id;
+  const artist = (track.artist || track.albumArtist || '').trim();
+  return artist ? `${artist} - ${track.title}` : track.title;
+}
+
+/**
+ * Compare two snapshots
+ * @param {Object} oldSnapshot - Earlier snapshot
+ * @param {Object} newSnapshot - Later snapshot
+ * @returns {Object} Diff: { from, to, tracks: {added, removed, changed}, playlists: {added, removed, renamed, changed} }
+ */
+export function diffSnapshots(oldSnapshot, newSnapshot) {
+  const oldTracks = new Map(oldSnapshot.tracks.map(t => [t.id, t]));
+  const newTracks = new Map(newSnapshot.tracks.map(t => [t.id, t]));
+  
+  const tracks = { added: [], removed: [], changed: [] };
+  
+  for (const [id, track] of newTracks) {
+    const before = oldTracks.get(id);
+    if (!before) {
+      tracks.added.push(track);
+      continue;
+    }
+    
+    const changes = COMPARED_TRACK_FIELDS
+      .filter(field => (before[field] ?? null) !== (track[field] ?? null))
+      .map(field => ({ field, from: before[field] ?? null, to: track[field] ?? null }));
+    if (changes.length > 0) {
+      tracks.changed.push({ id, label: trackLabel(track, id), changes });
+    }
+  }
+  
+  for (const [id, track] of oldTracks) {
+    if (!newTracks.has(id)) {
+      tracks.removed.push(track);
+    }
+  }
+  
+  const oldPlaylists = new Map(oldSnapshot.playlists.map(p => [p.id, p]));
+  const newPlaylists = new Map(newSnapshot.playlists.map(p => [p.id, p]));
+  
+  const playlists = { added: [], removed: [], renamed: [], changed: [] };
+  
+  for (const [id, playlist] of newPlaylists) {
+    const before = oldPlaylists.get(id);
+    if (!before) {
+      playlists.added.push({ id, name: playlist.name, trackCount: playlist.tracks.length });
+      continue;
+    }
+    
+    if (before.name !== playlist.name) {
+      playlists.renamed.push({ id, from: before.name, to: playlist.name });
+    }
+    
+    const beforeIds = new Set(before.tracks);
+    const afterIds = new Set(playlist.tracks);
+    const added = [...afterIds].filter(t => !beforeIds.has(t));
+    const removed = [...beforeIds].filter(t => !afterIds.has(t));
+    
+    if (added.length > 0 || removed.length > 0) {
+      playlists.changed.push({
+        id,
+        name: playlist.name,
+        added: added.map(t => ({ id: t, label: trackLabel(newTracks.get(t), t) })),
+        removed: removed.map(t => ({ id: t, label: trackLabel(oldTracks.get(t), t) }))
+      });
+    }
+  }
+  
+  for (const [id, playlist] of oldPlaylists) {
+    if (!newPlaylists.has(id)) {
+      playlists.removed.push({ id, name: playlist.name, trackCount: playlist.tracks.length });
+    }
+  }
+  
+  return {
+    from: oldSnapshot.createdAt,
+    to: newSnapshot.createdAt,
+    tracks,
+    playlists
+  };
+}
+
+/**
+ * Format a value from a track field for the diff report
+ * @param {*} value - Field value
+ * @returns {string} Display text
+ */
+function formatValue(value) {
+  return value === null || value === '' ? chalk.dim('(empty)') : JSON.stringify(value);
+}
+
+/**
+ * Format a snapshot diff as a readable terminal report
+ * @param {Object} diff - Result of diffSnapshots
+ * @returns {string} Report text
+ */
+export function formatDiffReport(diff) {
+  const lines = [];
+  const { tracks, playlists } = diff;
+  
+  lines.push(chalk.bold(`Library changes ${chalk.dim(`(${diff.from} → ${diff.to})`)}`));
+  lines.push('');
+  lines.push(`Tracks: ${chalk.green(`+${tracks.added.length} added`)}, ${chalk.red(`-${tracks.removed.length} removed`)}, ${chalk.yellow(`~${tracks.changed.length} changed`)}`);
+  
+  for (const track of tracks.added) {
+    lines.push(chalk.green(`  + ${trackLabel(track, track.id)}`));
+  }
+  for (const track of tracks.removed) {
+    lines.push(chalk.red(`  - ${trackLabel(track, track.id)}`));
+  }
+  for (const change of tracks.changed) {
+    lines.push(chalk.yellow(`  ~ ${change.label}`));
+    for (const { field, from, to } of change.changes) {
+      lines.push(`      ${field}: ${formatValue(from)} → ${formatValue(to)}`);
+    }
+  }
+  
+  lines.push('');
+  lines.push(`Playlists: ${chalk.green(`+${playlists.added.length} added`)}, ${chalk.red(`-${playlists.removed.length} removed`)}, ${chalk.cyan(`${playlists.renamed.length} renamed`)}, ${chalk.yellow(`~${playlists.changed.length} changed`)}`);
+  
+  for (const playlist of playlists.added) {
+    lines.push(chalk.green(`  + ${playlist.name} (${playlist.trackCount} tracks)`));
+  }
+  for (const playlist of playlists.removed) {
+    lines.push(chalk.red(`  - ${playlist.name} (${playlist.trackCount} tracks)`));
+  }
+  for (const rename of playlists.renamed) {
+    lines.push(chalk.cyan(`  ${rename.from} → ${rename.to}`));
+  }
+  for (const change of playlists.changed) {
+    lines.push(chalk.yellow(`  ~ ${change.name}`));
+    for (const track of change.added) {
+      lines.push(chalk.green(`      + ${track.label}`));
+    }
+    for (const track of change.removed) {
+      lines.push(chalk.red(`      - ${track.label}`));
+    }
+  }
+  
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,335 @@
+import { execFileSync } from 'node:child_process';
+import { renameSync, rmSync } from 'node:fs';
+
+/**
+ * SQLite database export
+ * Builds a normalized database (artists, albums, tracks, playlists and a
+ * playlist_tracks join) from one pass over the extracted tracks, playlists
+ * and playlist tracks. The database is written with the sqlite3 command-line tool, which
+ * ships with macOS, so no native Node module is needed.
+ */
+
+// Output format name (--format sqlite)
+export const SQLITE_FORMAT = 'sqlite';
+
+export const SQLITE_SCHEMA = `
+PRAGMA foreign_keys = ON;
+
+CREATE TABLE artists (
+  id INTEGER PRIMARY KEY,
+  name TEXT NOT NULL
+);
+
+CREATE TABLE albums (
+  id INTEGER PRIMARY KEY,
+  artist_id INTEGER REFERENCES artists(id),
+  title TEXT NOT NULL
+);
+
+CREATE TABLE tracks (
+  id INTEGER PRIMARY KEY,
+  persistent_id TEXT UNIQUE,
+  title TEXT NOT NULL,
+  artist_id INTEGER REFERENCES artists(id),
+  album_id INTEGER REFERENCES albums(id),
+  genre TEXT,
+  year INTEGER,
+  duration REAL,
+  track_number INTEGER,
+  disc_number INTEGER,
+  composer TEXT,
+  play_count INTEGER,
+  rating INTEGER,
+  loved INTEGER,
+  date_added TEXT,
+  last_played TEXT
+);
+
+CREATE TABLE playlists (
+  id INTEGER PRIMARY KEY,
+  persistent_id TEXT UNIQUE,
+  name TEXT NOT NULL,
+  parent_id INTEGER REFERENCES playlists(id),
+  kind TEXT
+);
+
+CREATE TABLE playlist_tracks (
+  playlist_id INTEGER NOT NULL REFERENCES playlists(id) ON DELETE CASCADE,
+  track_id INTEGER NOT NULL REFERENCES tracks(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  PRIMARY KEY (playlist_id, position)
+);
+
+CREATE INDEX artists_name ON artists(name COLLATE NOCASE);
+CREATE INDEX albums_artist_id ON albums(artist_id);
+CREATE INDEX albums_title ON albums(title COLLATE NOCASE);
+CREATE INDEX tracks_artist_id ON tracks(artist_id);
+CREATE INDEX tracks_album_id ON tracks(album_id);
+CREATE INDEX tracks_title ON tracks(title COLLATE NOCASE);
+CREATE INDEX playlists_name ON playlists(name COLLATE NOCASE);
+CREATE INDEX playlists_parent_id ON playlists(parent_id);
+CREATE INDEX playlist_tracks_track_id ON playlist_tracks(track_id);
+`;
+
+// Rows per INSERT statement
+const INSERT_BATCH_SIZE = 500;
+
+/**
+ * Build a case-insensitive lookup key from several values
+ * @param {...string} values - Values
+ * @returns {string} Key
+ */
+function lookupKey(...values) {
+  return values.map(value => (value || '').trim().toLocaleLowerCase()).join('\u0000');
+}
+
+/**
+ * Find the library track a playlist entry refers to
+ * Uses the persistent ID when both sides have one; otherwise artist, title
+ * and album, picking the closest duration when several tracks match.
+ * @param {Object} entry - Playlist track record
+ * @param {Map<string, Object>} byPersistentId - Track rows by persistent ID
+ * @param {Map<string, Object[]>} byKey - Track rows by lookupKey
+ * @returns {Object|null} Track row, or null if no track matches
+ */
+function findTrack(entry, byPersistentId, byKey) {
+  if (entry.trackPersistentId && byPersistentId.has(entry.trackPersistentId)) {
+    return byPersistentId.get(entry.trackPersistentId);
+  }
+  
+  const candidates = byKey.get(lookupKey(entry.artist, entry.track, entry.album)) || [];
+  if (candidates.length <= 1 || entry.duration == null) {
+    return candidates[0] || null;
+  }
+  return candidates.reduce((best, row) =>
+    Math.abs((row.duration ?? Infinity) - entry.duration) < Math.abs((best.duration ?? Infinity) - entry.duration)
+      ? row
+      : best
+  );
+}
+
+/**
+ * Build the rows of every table, with integer ids and foreign keys
+ * Artists are de-duplicated case-insensitively (first spelling wins);
+ * albums are per album artist, with the track artist as fallback.
+ * Every playlist gets a row (empty ones and folders too); playlist tracks
+ * only fill the join table.
+ * @param {Object[]} tracks - Records from extractTracks
+ * @param {Object[]} playlists - Records from extractPlaylistsDetailed
+ * @param {Object[]} playlistTracks - Records from extractPlaylistTracks
+ * @returns {{artists: Object[], albums: Object[], tracks: Object[], playlists: Object[],
+ *   playlistTracks: Object[], unmatched: number}} Table rows, and the number of
+ *   playlist entries that matched no track
+ */
+export function buildDatabaseRows(tracks, playlists, playlistTracks) {
+  const artists = [];
+  const artistIds = new Map();
+  const albums = [];
+  const albumIds = new Map();
+  
+  const getArtistId = (name) => {
+    const value = (name || '').trim();
+    if (!value) return null;
+    const key = lookupKey(value);
+    if (!artistIds.has(key)) {
+      artists.push({ id: artists.length + 1, name: value });
+      artistIds.set(key, artists.length);
+    }
+    return artistIds.get(key);
+  };
+  
+  const getAlbumId = (title, artistName) => {
+    const value = (title || '').trim();
+    if (!value) return null;
+    const artistId = getArtistId(artistName);
+    const key = `${artistId}\u0000${lookupKey(value)}`;
+    if (!albumIds.has(key)) {
+      albums.push({ id: albums.length + 1, artist_id: artistId, title: value });
+      albumIds.set(key, albums.length);
+    }
+    return albumIds.get(key);
+  };
+  
+  const trackRows = [];
+  const byPersistentId = new Map();
+  const byKey = new Map();
+  
+  for (const track of tracks) {
+    const artist = (track.artist || '').trim() || (track.albumArtist || '').trim();
+    const row = {
+      id: trackRows.length + 1,
+      persistent_id: track.persistentId || null,
+      title: (track.title || '').trim(),
+      artist_id: getArtistId(artist),
+      album_id: getAlbumId(track.album, (track.albumArtist || '').trim() || artist),
+      genre: (track.genre || '').trim() || null,
+      year: track.year ?? null,
+      duration: track.duration ?? null,
+      track_number: track.trackNumber ?? null,
+      disc_number: track.discNumber ?? null,
+      composer: (track.composer || '').trim() || null,
+      play_count: track.playCount ?? null,
+      rating: track.rating ?? null,
+      loved: track.loved ?? null,
+      date_added: track.dateAdded ?? null,
+      last_played: track.lastPlayed ?? null
+    };
+    
+    // Persistent IDs are unique; a repeated one would break the UNIQUE constraint
+    if (row.persistent_id && byPersistentId.has(row.persistent_id)) {
+      row.persistent_id = null;
+    }
+    if (row.persistent_id) {
+      byPersistentId.set(row.persistent_id, row);
+    }
+    
+    // Playlist entries carry the raw track artist, so index both spellings
+    for (const name of new Set([track.artist, artist])) {
+      const key = lookupKey(name, track.title, track.album);
+      if (!byKey.has(key)) {
+        byKey.set(key, []);
+      }
+      byKey.get(key).push(row);
+    }
+    trackRows.push(row);
+  }
+  
+  const playlistRows = [];
+  const playlistIds = new Map();
+  const joinRows = [];
+  let unmatched = 0;
+  
+  // Playlists with the same name are only told apart by persistent ID
+  const addPlaylist = (key, persistentId, name, kind) => {
+    if (!playlistIds.has(key)) {
+      playlistRows.push({
+        id: playlistRows.length + 1,
+        persistent_id: persistentId || null,
+        name: (name || '').trim(),
+        parent_id: null,
+        kind: kind || null,
+        size: 0
+      });
+      playlistIds.set(key, playlistRows[playlistRows.length - 1]);
+    }
+    return playlistIds.get(key);
+  };
+  
+  for (const playlist of playlists) {
+    addPlaylist(playlist.persistentId || `name:${playlist.name}`, playlist.persistentId, playlist.name, playlist.kind);
+  }
+  // Folders can be listed after the playlists in them
+  for (const playlist of playlists) {
+    if (playlist.persistentId && playlist.parentPersistentId && playlistIds.has(playlist.parentPersistentId)) {
+      playlistIds.get(playlist.persistentId).parent_id = playlistIds.get(playlist.parentPersistentId).id;
+    }
+  }
+  
+  for (const entry of playlistTracks) {
+    // Entries of a playlist missing from the list still get one
+    const playlist = addPlaylist(
+      entry.playlistPersistentId || `name:${entry.playlist}`,
+      entry.playlistPersistentId,
+      entry.playlist
+    );
+    
+    // Positions follow the playlist order, counting unmatched entries too
+    playlist.size++;
+    const track = findTrack(entry, byPersistentId, byKey);
+    if (!track) {
+      unmatched++;
+      continue;
+    }
+    joinRows.push({ playlist_id: playlist.id, track_id: track.id, position: playlist.size });
+  }
+  
+  return {
+    artists,
+    albums,
+    tracks: trackRows,
+    playlists: playlistRows.map(({ size, ...playlist }) => playlist),
+    playlistTracks: joinRows,
+    unmatched
+  };
+}
+
+/**
+ * Format a JavaScript value as an SQL literal
+ * @param {*} value - String, number, boolean or null
+ * @returns {string} SQL literal
+ */
+function toSqlLiteral(value) {
+  if (value === null || value === undefined) return 'NULL';
+  if (typeof value === 'boolean') return value ? '1' : '0';
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : 'NULL';
+  // NUL would end the string early in the sqlite3 shell
+  return `'${String(value).replace(/\u0000/g, '').replace(/'/g, '\'\'')}'`;
+}
+
+/**
+ * Generate INSERT statements for a table
+ * @param {string} table - Table name
+ * @param {Object[]} rows - Rows (all with the same keys)
+ * @returns {string} SQL statements
+ */
+function generateInserts(table, rows) {
+  if (rows.length === 0) {
+    return '';
+  }
+  const columns = Object.keys(rows[0]);
+  const statements = [];
+  for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+    const values = rows.slice(i, i + INSERT_BATCH_SIZE)
+      .map(row => `(${columns.map(column => toSqlLiteral(row[column])).join(', ')})`);
+    statements.push(`INSERT INTO ${table} (${columns.join(', ')}) VALUES\n${values.join(',\n')};`);
+  }
+  return statements.join('\n') + '\n';
+}
+
+/**
+ * Generate an SQL script that creates and fills the database
+ * @param {Object} rows - Result of buildDatabaseRows
+ * @returns {string} SQL script
+ */
+export function generateSQL(rows) {
+  return [
+    SQLITE_SCHEMA,
+    'BEGIN;',
+    generateInserts('artists', rows.artists),
+    generateInserts('albums', rows.albums),
+    generateInserts('tracks', rows.tracks),
+    generateInserts('playlists', rows.playlists),
+    generateInserts('playlist_tracks', rows.playlistTracks),
+    'COMMIT;',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Write a SQLite database, replacing the file if it exists
+ * The database is built next to the target and renamed into place, so a
+ * failed export leaves an existing file untouched.
+ * @param {string} filePath - Path of the database file
+ * @param {Object} rows - Result of buildDatabaseRows
+ * @throws {Error} If sqlite3 is missing or fails
+ */
+export function writeSQLite(filePath, rows) {
+  const tempPath = `${filePath}.tmp`;
+  rmSync(tempPath, { force: true });
+  
+  try {
+    execFileSync('sqlite3', ['-bail', tempPath], {
+      input: generateSQL(rows),
+      stdio: ['pipe', 'ignore', 'pipe'],
+      maxBuffer: 16 * 1024 * 1024
+    });
+  } catch (err) {
+    rmSync(tempPath, { force: true });
+    if (err.code === 'ENOENT') {
+      throw new Error('sqlite3 command not found (it ships with macOS at /usr/bin/sqlite3)');
+    }
+    throw new Error(err.stderr?.toString().trim() || err.message);
+  }
+  
+  renameSync(tempPath, filePath);
+}
@@ -0,0 +1,251 @@
+import chalk from 'chalk';
+
+/**
+ * Library statistics
+ * Totals and distributions computed from extracted tracks and playlists.
+ * Names are counted case-insensitively, the way the artists and albums
+ * exports de-duplicate them.
+ */
+
+// Rows listed in "top" sections
+const TOP_COUNT = 10;
+
+/**
+ * Count values case-insensitively, keeping the most used spelling
+ * @param {Iterable<string>} values - Values (empty values are skipped)
+ * @returns {{name: string, count: number}[]} Counts, highest first
+ */
+function countValues(values) {
+  // Lowercased value -> { name, count, spellings: Map<spelling, count> }
+  const counts = new Map();
+  for (const raw of values) {
+    const value = (raw || '').trim();
+    if (!value) continue;
+    const key = value.toLocaleLowerCase();
+    let entry = counts.get(key);
+    if (!entry) {
+      entry = { count: 0, spellings: new Map() };
+      counts.set(key, entry);
+    }
+    entry.count++;
+    entry.spellings.set(value, (entry.spellings.get(value) || 0) + 1);
+  }
+  
+  return [...counts.values()]
+    .map(({ count, spellings }) => ({
+      name: [...spellings].sort((a, b) => b[1] - a[1])[0][0],
+      count
+    }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+/**
+ * Get the artist a track is credited to (album artist as fallback)
+ * @param {Object} track - Track record
+ * @returns {string} Artist name, or empty string
+ */
+function trackArtist(track) {
+  return (track.artist || '').trim() || (track.albumArtist || '').trim();
+}
+
+/**
+ * Round a number to one decimal place
+ * @param {number} value - Value
+ * @returns {number} Rounded value
+ */
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Compute library statistics
+ * @param {Object} library - Extracted data
+ * @param {Object[]} library.tracks - Track records from extractTracks
+ * @param {Object[]} [library.playlists] - Records from extractPlaylistsDetailed
+ * @returns {Object} Statistics: totals, topArtists, albumsPerArtist, missing,
+ *   playlists, and genres, decades and listening when the tracks have that
+ *   metadata (null otherwise)
+ */
+export function buildLibraryStats({ tracks, playlists = [] }) {
+  const artists = countValues(tracks.map(trackArtist));
+  
+  // Albums are per album artist: "Greatest Hits" by two artists is two albums
+  const albumKeys = new Map();
+  for (const track of tracks) {
+    const album = (track.album || '').trim();
+    if (!album) continue;
+    const artist = (track.albumArtist || '').trim() || trackArtist(track);
+    const key = `${artist.toLocaleLowerCase()}\u0000${album.toLocaleLowerCase()}`;
+    if (!albumKeys.has(key)) {
+      albumKeys.set(key, artist);
+    }
+  }
+  const albumsPerArtist = countValues(albumKeys.values());
+  
+  // Folders only contain other playlists; smart and regular ones have tracks
+  const trackPlaylists = playlists
+    .filter(playlist => playlist.kind !== 'folder')
+    .map(playlist => ({ name: playlist.name, tracks: playlist.trackCount ?? 0 }))
+    .sort((a, b) => b.tracks - a.tracks || a.name.localeCompare(b.name));
+  const playlistTrackTotal = trackPlaylists.reduce((sum, playlist) => sum + playlist.tracks, 0);
+  
+  const stats = {
+    totals: {
+      tracks: tracks.length,
+      artists: artists.length,
+      albums: albumKeys.size,
+      playlists: trackPlaylists.length
+    },
+    topArtists: artists.slice(0, TOP_COUNT).map(({ name, count }) => ({ artist: name, tracks: count })),
+    albumsPerArtist: {
+      average: albumsPerArtist.length > 0 ? round1(albumKeys.size / albumsPerArtist.length) : 0,
+      top: albumsPerArtist.slice(0, TOP_COUNT).map(({ name, count }) => ({ artist: name, albums: count }))
+    },
+    missing: {
+      artist: tracks.filter(track => !(track.artist || '').trim()).length,
+      album: tracks.filter(track => !(track.album || '').trim()).length,
+      albumArtist: tracks.filter(track => !(track.albumArtist || '').trim()).length
+    },
+    playlists: {
+      average: trackPlaylists.length > 0 ? round1(playlistTrackTotal / trackPlaylists.length) : 0,
+      empty: trackPlaylists.filter(playlist => playlist.tracks === 0).length,
+      largest: trackPlaylists.slice(0, TOP_COUNT)
+    },
+    genres: null,
+    decades: null,
+    listening: null
+  };
+  
+  // Extended metadata: only reported when the backend provided it
+  if (tracks.some(track => (track.genre || '').trim())) {
+    stats.genres = countValues(tracks.map(track => track.genre))
+      .map(({ name, count }) => ({ genre: name, tracks: count }));
+  }
+  
+  if (tracks.some(track => track.year)) {
+    const decades = new Map();
+    for (const track of tracks) {
+      if (!track.year) continue;
+      const decade = Math.floor(track.year / 10) * 10;
+      decades.set(decade, (decades.get(decade) || 0) + 1);
+    }
+    stats.decades = [...decades]
+      .sort((a, b) => a[0] - b[0])
+      .map(([decade, count]) => ({ decade: `${decade}s`, tracks: count }));
+  }
+  
+  if (tracks.some(track => track.duration != null)) {
+    let duration = 0;
+    let listened = 0;
+    let plays = 0;
+    for (const track of tracks) {
+      duration += track.duration ?? 0;
+      listened += (track.duration ?? 0) * (track.playCount ?? 0);
+      plays += track.playCount ?? 0;
+    }
+    // Seconds; listening time assumes every play was a full play
+    stats.listening = {
+      libraryDuration: Math.round(duration),
+      listeningTime: Math.round(listened),
+      plays
+    };
+  }
+  
+  return stats;
+}
+
+/**
+ * Format a number of seconds as days, hours and minutes
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} e.g. "3d 4h 12m"
+ */
+function formatDuration(seconds) {
+  const minutes = Math.round(seconds / 60);
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  const parts = [];
+  if (days) parts.push(`${days}d`);
+  if (days || hours) parts.push(`${hours}h`);
+  parts.push(`${minutes % 60}m`);
+  return parts.join(' ');
+}
+
+/**
+ * Format a count with a singular or plural noun
+ * @param {number} count - Count
+ * @param {string} noun - Singular noun
+ * @returns {string} e.g. "1 track", "3 tracks"
+ */
+function plural(count, noun) {
+  return `${count.toLocaleString('en-US')} ${count === 1 ? noun : `${noun}s`}`;
+}
+
+/**
+ * Format ranked rows as aligned lines
+ * @param {Object[]} rows - Rows to list
+ * @param {string} labelKey - Property holding the label
+ * @param {string} countKey - Property holding the count
+ * @param {string} noun - Singular noun for the count
+ * @returns {string[]} Indented lines
+ */
+function formatRanking(rows, labelKey, countKey, noun) {
+  // Measure composed text so decomposed accents don't throw off alignment
+  const length = text => text.normalize('NFC').length;
+  const width = Math.max(0, ...rows.map(row => length(row[labelKey])));
+  return rows.map(row => {
+    const padding = ' '.repeat(width - length(row[labelKey]));
+    return `  ${row[labelKey]}${padding}  ${chalk.dim(plural(row[countKey], noun))}`;
+  });
+}
+
+/**
+ * Format library statistics as a readable terminal report
+ * @param {Object} stats - Result of buildLibraryStats
+ * @returns {string} Report text
+ */
+export function formatStatsReport(stats) {
+  const lines = [];
+  const { totals, missing, listening } = stats;
+  
+  lines.push(chalk.bold('Library'));
+  lines.push(`  ${plural(totals.tracks, 'track')}, ${plural(totals.artists, 'artist')}, ${plural(totals.albums, 'album')}, ${plural(totals.playlists, 'playlist')}`);
+  if (listening) {
+    lines.push(`  Total length: ${formatDuration(listening.libraryDuration)}`);
+    lines.push(`  Listening time: ${formatDuration(listening.listeningTime)} ${chalk.dim(`(${plural(listening.plays, 'play')})`)}`);
+  }
+  
+  lines.push('');
+  lines.push(chalk.bold('Top artists by tracks'));
+  lines.push(...formatRanking(stats.topArtists, 'artist', 'tracks', 'track'));
+  
+  lines.push('');
+  lines.push(chalk.bold(`Albums per artist ${chalk.dim(`(average ${stats.albumsPerArtist.average})`)}`));
+  lines.push(...formatRanking(stats.albumsPerArtist.top, 'artist', 'albums', 'album'));
+  
+  lines.push('');
+  lines.push(chalk.bold('Missing metadata'));
+  lines.push(`  Artist        ${chalk.dim(plural(missing.artist, 'track'))}`);
+  lines.push(`  Album         ${chalk.dim(plural(missing.album, 'track'))}`);
+  lines.push(`  Album artist  ${chalk.dim(plural(missing.albumArtist, 'track'))}`);
+  
+  lines.push('');
+  lines.push(chalk.bold(`Playlists ${chalk.dim(`(average ${stats.playlists.average} tracks, ${stats.playlists.empty} empty)`)}`));
+  lines.push(...formatRanking(stats.playlists.largest, 'name', 'tracks', 'track'));
+  
+  if (stats.genres) {
+    lines.push('');
+    lines.push(chalk.bold('Genres'));
+    lines.push(...formatRanking(stats.genres.slice(0, TOP_COUNT), 'genre', 'tracks', 'track'));
+    if (stats.genres.length > TOP_COUNT) {
+      lines.push(chalk.dim(`  … and ${stats.genres.length - TOP_COUNT} more`));
+    }
+  }
+  
+  if (stats.decades) {
+    lines.push('');
+    lines.push(chalk.bold('Decades'));
+    lines.push(...formatRanking(stats.decades, 'decade', 'tracks', 'track'));
+  }
+  
+  return lines.join('\n') + '\n';
+}
@@ -1,5 +1,6 @@
 import { platform } from 'node:os';
 import { execSync } from 'node:child_process';
+import { accessSync, constants } from 'node:fs';
 
 /**
  * Check if running on macOS
@@ -78,17 +79,45 @@ Music.app should be in /System/Applications/ or /Applications/.`
   }
 }
 
+/**
+ * Check if a backend's input file (Library.xml export, fixture) is readable
+ * @param {string} filePath - Path to the input file
+ * @param {string} [hint] - Extra help shown when the check fails
+ * @returns {{ ok: boolean, message?: string }}
+ */
+export function checkSourceFile(filePath, hint = '') {
+  try {
+    accessSync(filePath, constants.R_OK);
+    return { ok: true };
+  } catch {
+    return {
+      ok: false,
+      message: `Input file not found or not readable: ${filePath}${hint ? `\n\n${hint}` : ''}`
+    };
+  }
+}
+
 /**
  * Run all system checks
+ * Backends that don't talk to Music.app (Library.xml, fixtures) skip the
+ * macOS/osascript/Music.app checks and only need a readable input file.
+ * @param {Object} [backend] - Extraction backend (see backends/index.js)
+ * @param {boolean} [backend.requiresMusicApp=true] - Whether Music.app is used
+ * @param {string} [backend.sourceFile] - Input file to check
  * @returns {{ ok: boolean, message?: string }}
  */
-export function runAllChecks() {
-  const checks = [
-    checkMacOS,
-    checkNodeVersion,
-    checkOsascript,
-    checkMusicApp
-  ];
+export function runAllChecks(backend = {}) {
+  const { requiresMusicApp = true, sourceFile } = backend;
+  const checks = requiresMusicApp
+    ? [checkMacOS, checkNodeVersion, checkOsascript, checkMusicApp]
+    : [checkNodeVersion];
+  
+  if (sourceFile) {
+    const hint = backend.name === 'library-xml'
+      ? 'Export it from Music.app with File → Library → Export Library…'
+      : '';
+    checks.push(() => checkSourceFile(sourceFile, hint));
+  }
   
   for (const check of checks) {
     const result = check();
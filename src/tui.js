@@ -1,36 +1,68 @@
 #!/usr/bin/env node
 
-import { select, confirm, input, checkbox } from '@inquirer/prompts';
+import { select, confirm, input, checkbox, Separator } from '@inquirer/prompts';
 import chalk from 'chalk';
 import ora from 'ora';
 import path from 'node:path';
+import { spawnSync } from 'node:child_process';
+import { existsSync, writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { stripVTControlCharacters } from 'node:util';
 import { runAllChecks } from './system-check.js';
 import {
   extractArtists,
   extractTracks,
   extractPlaylists,
+  extractPlaylistsDetailed,
   extractPlaylistTracks,
   ExitCodes,
+  getBackend,
   getErrorMessage
 } from './extractor.js';
 import {
-  createNormalizer,
+  normalizeArtists,
+  normalizeArtistCredits,
+  getArtistCredits,
   normalizeAlbums,
   normalizeTracks,
   normalizePlaylists,
-  normalizeArtistsFromTracks,
   prepareDetailedTracks,
-  preparePlaylistTracks
+  preparePlaylistTracks,
+  preparePlaylistsDetailed,
+  prepareDuplicates,
+  prepareLibraryReport,
+  prepareWorkbook,
+  DETAILED_COLUMNS,
+  DETAILED_ID_COLUMNS,
+  PLAYLIST_TRACK_COLUMNS,
+  PLAYLIST_TRACK_ID_COLUMNS,
+  PLAYLIST_DETAILED_COLUMNS,
+  DUPLICATE_COLUMNS
 } from './normalizer.js';
+import { buildPlaylistTree } from './playlist-tree.js';
+import { createArtistSplitter } from './artist-split.js';
+import { KEY_STRATEGIES } from './dedup-keys.js';
+import { buildConsistencyReport, formatConsistencyReport } from './consistency.js';
+import { findDuplicates } from './duplicates.js';
+import { buildLibraryStats, formatStatsReport } from './stats.js';
+import { writeHTML } from './html-writer.js';
+import { buildDatabaseRows, writeSQLite } from './sqlite-writer.js';
+import { writeXLSX } from './xlsx-writer.js';
+import { buildAllExports, writeAllExports, formatExportSummary, MANIFEST_FILENAME } from './export-all.js';
+import { writeToStdout } from './csv-writer.js';
 import {
-  writeSingleColumnCSV,
-  writeMultiColumnCSV,
-  writeToStdout,
-  generateSingleColumnData,
-  generateMultiColumnData,
-  generateColorizedSingleColumn,
-  generateColorizedMultiColumn
-} from './csv-writer.js';
+  FORMAT_EXTENSIONS,
+  writeSingleColumn,
+  writeMultiColumn
+} from './output.js';
+import { PLAYLIST_FORMATS, writePlaylistFiles, countTracksWithoutFile } from './playlist-writer.js';
+import { PRESETS, writePreset } from './presets.js';
+import { parseFilter, filterRecords, RECORD_FIELDS } from './filter.js';
+import { loadConfig, getConfigPaths, saveProfile, isValidProfileName } from './config.js';
+import { createProgressReporter } from './progress.js';
+
+// Profiles run through the command line, which understands every option
+const CLI_PATH = fileURLToPath(new URL('./amlib-export.js', import.meta.url));
 
 // Type definitions
 const TYPES = {
@@ -58,20 +90,76 @@ const TYPES = {
     header: 'playlist',
     multiColumn: false
   },
+  'playlists-detailed': {
+    name: 'Playlists (detailed)',
+    description: 'Folder paths, kinds, track counts and durations',
+    headers: PLAYLIST_DETAILED_COLUMNS,
+    multiColumn: true
+  },
   'playlist-tracks': {
     name: 'Playlist Tracks',
     description: 'Playlists with their track listings',
-    headers: ['playlist', 'artist', 'album', 'track'],
+    headers: PLAYLIST_TRACK_COLUMNS,
     multiColumn: true
   },
   detailed: {
     name: 'Detailed',
-    description: 'Full library: Artist, Album, Track',
-    headers: ['artist', 'album', 'track'],
+    description: 'Full track metadata: artist, album, genre, year, plays, ...',
+    headers: DETAILED_COLUMNS,
     multiColumn: true
+  },
+  consistency: {
+    name: 'Consistency Report',
+    description: 'Artists/albums spelled more than one way, album artist conflicts',
+    countLabel: 'inconsistencies',
+    report: formatConsistencyReport
+  },
+  duplicates: {
+    name: 'Duplicates',
+    description: 'Tracks that appear to be the same recording',
+    headers: DUPLICATE_COLUMNS,
+    countLabel: 'duplicate tracks',
+    multiColumn: true
+  },
+  stats: {
+    name: 'Library Statistics',
+    description: 'Totals, top artists, missing metadata, genres and decades',
+    countLabel: 'tracks',
+    report: formatStatsReport
+  },
+  'html-report': {
+    name: 'HTML Report',
+    description: 'One offline page with searchable tables, easy to share',
+    countLabel: 'tracks',
+    file: { name: 'library.html', write: writeHTML }
+  },
+  sqlite: {
+    name: 'SQLite Database',
+    description: 'Artists, albums, tracks and playlists as related tables',
+    countLabel: 'tracks',
+    file: { name: 'library.db', write: writeSQLite },
+    noFilter: true
+  },
+  xlsx: {
+    name: 'Excel Workbook',
+    description: 'Artists, albums, tracks, detailed and playlist tracks sheets',
+    countLabel: 'tracks',
+    file: { name: 'library.xlsx', write: writeXLSX },
+    noFilter: true
+  },
+  all: {
+    name: 'Everything',
+    description: 'Every list and table type into one folder, from a single pass',
+    countLabel: 'tracks',
+    folder: 'export',
+    noFilter: true
   }
 };
 
+// Field types for the guided filter (everything else is text)
+const NUMBER_FIELDS = ['year', 'duration', 'track_number', 'disc_number', 'play_count', 'rating'];
+const DATE_FIELDS = ['date_added', 'last_played'];
+
 /**
  * Print the app header
  */
@@ -97,16 +185,31 @@ function printMenuHeader() {
  * @returns {Promise<boolean>} true to continue, false to exit
  */
 async function runExportFlow(isFirstRun) {
-  // Step 1: Select extraction type
+  let profiles = {};
+  try {
+    profiles = loadConfig().profiles;
+  } catch (err) {
+    console.log(chalk.yellow(`  ${err.message}\n`));
+  }
+
+  // Step 1: Select extraction type (or a saved profile)
+  const profileChoices = Object.entries(profiles).map(([name, profile]) => ({
+    name: `${chalk.bold(name)}${profile.description ? ` - ${chalk.dim(profile.description)}` : ''}`,
+    value: `profile:${name}`
+  }));
   const type = await select({
     message: 'What would you like to export?',
     choices: [
+      ...(profileChoices.length > 0
+        ? [new Separator(chalk.dim('Saved profiles')), ...profileChoices, new Separator(chalk.dim('Export types'))]
+        : []),
       ...Object.entries(TYPES).map(([value, info]) => ({
         name: `${info.name} - ${chalk.dim(info.description)}`,
         value
       })),
       { name: chalk.dim('Exit'), value: 'exit' }
-    ]
+    ],
+    pageSize: 15
   });
 
   if (type === 'exit') {
@@ -114,16 +217,64 @@ async function runExportFlow(isFirstRun) {
     return false;
   }
 
+  if (type.startsWith('profile:')) {
+    runProfile(type.slice('profile:'.length));
+    return true; // Continue to menu
+  }
+
   // Step 2: Type-specific options
-  const options = { sort: true, strict: false, selectedPlaylists: null };
+  const options = { sort: true, strict: false, selectedPlaylists: null, format: 'csv', dedupKeys: [] };
 
   if (type === 'artists') {
     options.strict = !(await confirm({
       message: 'Use album artist as fallback when track artist is empty?',
       default: true
     }));
+
+    options.splitArtists = await confirm({
+      message: 'Split credits like "A feat. B" or "A & B" into individual artists?',
+      default: false
+    });
+    if (options.splitArtists) {
+      const exceptions = await input({
+        message: `Names to keep together ${chalk.dim('(separate with ;, optional)')}:`,
+        default: ''
+      });
+      options.splitExceptions = exceptions.split(';').map(name => name.trim()).filter(Boolean);
+      options.withCredit = await confirm({
+        message: 'Add a column showing which credit each artist came from?',
+        default: false
+      });
+    }
+  }
+
+  if (type === 'duplicates') {
+    options.ignoreVersions = await confirm({
+      message: 'Treat "(Remastered)", "- Live" and similar versions as duplicates?',
+      default: false
+    });
+
+    const tolerance = await input({
+      message: `Only match tracks whose durations differ by at most ${chalk.dim('(seconds, optional)')}:`,
+      default: '',
+      validate: value => value.trim() === '' || Number(value) >= 0 || 'Enter a number of seconds'
+    });
+    options.durationTolerance = tolerance.trim() === '' ? null : Number(tolerance);
+  }
+
+  // How loosely to merge spellings (single-column types are de-duplicated)
+  if (!TYPES[type].multiColumn && !TYPES[type].report && !TYPES[type].file) {
+    options.dedupKeys = await promptDedupKeys();
   }
 
+  // Optional filter (same expressions as --where)
+  const filterKind = type === 'artists' && options.strict
+    ? 'artists'
+    : type === 'playlists' || type === 'playlists-detailed' ? 'playlists'
+      : type === 'playlist-tracks' ? type : 'tracks';
+  // Database and workbook hold the whole library
+  options.where = TYPES[type].noFilter ? null : await promptFilter(filterKind);
+
   // For playlist-tracks, let user select which playlists to export
   if (type === 'playlist-tracks') {
     console.log('');
@@ -133,21 +284,23 @@ async function runExportFlow(isFirstRun) {
     }).start();
 
     try {
-      const { playlists, exitCode, error } = await extractPlaylists({});
+      const { playlists, exitCode, error } = await extractPlaylistsDetailed({});
       if (exitCode !== ExitCodes.SUCCESS) {
         playlistSpinner.fail(chalk.red('Failed to load playlists'));
         throw new Error(getErrorMessage(exitCode, error));
       }
 
-      const uniquePlaylists = normalizePlaylists(playlists, { sort: true });
-      playlistSpinner.succeed(chalk.green(`Found ${uniquePlaylists.length} playlists`));
+      // Show playlists in their folders, the way Music's sidebar does
+      const tree = buildPlaylistTree(playlists);
+      const playlistCount = tree.filter(node => node.kind !== 'folder').length;
+      playlistSpinner.succeed(chalk.green(`Found ${playlistCount} playlists`));
       console.log('');
 
       const selectedPlaylists = await checkbox({
         message: 'Select playlists to export:',
         choices: [
           { name: chalk.italic('All playlists'), value: '__ALL__' },
-          ...uniquePlaylists.map(p => ({ name: p, value: p }))
+          ...tree.map(node => ({ name: formatTreeChoice(node), value: node.name }))
         ],
         pageSize: 15
       });
@@ -159,7 +312,7 @@ async function runExportFlow(isFirstRun) {
 
       // If "All playlists" is selected, don't filter
       if (!selectedPlaylists.includes('__ALL__')) {
-        options.selectedPlaylists = selectedPlaylists;
+        options.selectedPlaylists = [...new Set(selectedPlaylists)];
       }
     } catch (err) {
       if (err.message.includes('load playlists')) {
@@ -171,22 +324,86 @@ async function runExportFlow(isFirstRun) {
   }
 
   // Step 3: Output destination
-  const outputChoice = await select({
-    message: 'Output to:',
-    choices: [
+  const outputChoices = TYPES[type].report
+    ? [
       { name: 'Terminal (stdout)', value: 'stdout' },
-      { name: 'CSV file', value: 'file' }
+      { name: 'Text file', value: 'text' },
+      { name: 'JSON file', value: 'json' }
     ]
-  });
+    : [
+      { name: 'Terminal (stdout)', value: 'stdout' },
+      { name: 'CSV file', value: 'csv' },
+      { name: `JSON file ${chalk.dim('- array of objects')}`, value: 'json' },
+      { name: `NDJSON file ${chalk.dim('- one object per line')}`, value: 'ndjson' }
+    ];
+  if (type === 'playlist-tracks') {
+    outputChoices.push(
+      { name: `M3U8 playlist files ${chalk.dim('- one per playlist')}`, value: 'm3u8' },
+      { name: `XSPF playlist files ${chalk.dim('- one per playlist')}`, value: 'xspf' },
+      { name: `Import file for another service ${chalk.dim('- Soundiiz, TuneMyMusic, ...')}`, value: 'preset' }
+    );
+  }
+
+  // HTML reports and databases are only useful as a file
+  const outputChoice = TYPES[type].file
+    ? 'file'
+    : await select({
+      message: TYPES[type].folder ? 'Format:' : 'Output to:',
+      choices: TYPES[type].folder ? outputChoices.filter(choice => choice.value !== 'stdout') : outputChoices
+    });
 
   let outPath = null;
-  if (outputChoice === 'file') {
-    const defaultName = `${type}.csv`;
-    const filename = await input({
+  if (TYPES[type].folder) {
+    options.format = outputChoice;
+    options.out = await input({
+      message: 'Output folder:',
+      default: TYPES[type].folder
+    });
+    outPath = path.resolve(options.out);
+  } else if (outputChoice === 'file') {
+    options.out = await input({
+      message: 'Filename:',
+      default: TYPES[type].file.name
+    });
+    outPath = path.resolve(options.out);
+  } else if (outputChoice === 'preset') {
+    options.preset = await select({
+      message: 'Which service?',
+      choices: Object.entries(PRESETS).map(([value, preset]) => ({
+        name: `${value} ${chalk.dim(`- ${preset.description}`)}`,
+        value
+      }))
+    });
+    options.out = await input({
+      message: PRESETS[options.preset].split ? 'Output folder:' : 'Filename:',
+      default: PRESETS[options.preset].split ? options.preset : `${options.preset}.csv`
+    });
+    outPath = path.resolve(options.out);
+  } else if (PLAYLIST_FORMATS.includes(outputChoice)) {
+    options.format = outputChoice;
+    options.out = await input({
+      message: 'Output folder:',
+      default: 'playlists'
+    });
+    outPath = path.resolve(options.out);
+  } else if (outputChoice !== 'stdout') {
+    options.format = outputChoice;
+    const extension = outputChoice === 'text' ? 'txt' : FORMAT_EXTENSIONS[outputChoice];
+    const defaultName = `${type}.${extension}`;
+    options.out = await input({
       message: 'Filename:',
       default: defaultName
     });
-    outPath = path.resolve(filename);
+    outPath = path.resolve(options.out);
+  }
+
+  // Persistent IDs only fit tabular output, not playlist or import files
+  if ((type === 'detailed' || type === 'playlist-tracks' || type === 'all') &&
+      outputChoice !== 'preset' && !PLAYLIST_FORMATS.includes(outputChoice)) {
+    options.withIds = await confirm({
+      message: 'Add persistent ID columns (stable keys for joining exports)?',
+      default: false
+    });
   }
 
   // Step 4: Execute extraction
@@ -196,37 +413,311 @@ async function runExportFlow(isFirstRun) {
     text: `Extracting ${TYPES[type].name.toLowerCase()}...`,
     color: 'cyan'
   }).start();
+  const spinnerText = spinner.text;
+  options.onProgress = createProgressReporter({
+    update: (text) => {
+      spinner.text = `${spinnerText} ${chalk.dim(text)}`;
+    },
+    finish: () => {
+      spinner.text = spinnerText;
+    }
+  });
 
   try {
     const result = await runExtraction(type, options);
-    spinner.succeed(chalk.green(`Found ${result.count} ${TYPES[type].name.toLowerCase()}`));
+    const countLabel = TYPES[type].countLabel || TYPES[type].name.toLowerCase();
+    spinner.succeed(chalk.green(`Found ${result.count} ${countLabel}`));
+    if (result.mergeReport && result.mergeReport.length > 0) {
+      printMergeSummary(result.mergeReport);
+    }
 
     // Step 5: Write output
-    if (outPath) {
-      writeOutput(type, result.data, outPath, options);
+    if (type === 'all') {
+      const manifest = writeAllExports(outPath, result.data, {
+        format: options.format,
+        source: getBackend().name,
+        library: result.library
+      });
+      console.log(chalk.dim(`\n  Written ${manifest.files.length} files to ${outPath}:`));
+      console.log(chalk.dim(formatExportSummary(manifest).join('\n')));
+      console.log(chalk.dim(`  Counts and export time are in ${MANIFEST_FILENAME}`));
+    } else if (options.preset) {
+      const written = writePreset(outPath, options.preset, result.records);
+      console.log(chalk.dim(`\n  Written ${written.length === 1 ? `to ${outPath}` : `${written.length} files to ${outPath}`}`));
+    } else if (PLAYLIST_FORMATS.includes(options.format)) {
+      const written = writePlaylistFiles(outPath, result.records, options.format);
+      console.log(chalk.dim(`\n  Written ${written.length} playlist files to ${outPath}`));
+      const withoutFile = options.format === 'm3u8' ? countTracksWithoutFile(result.records) : 0;
+      if (withoutFile > 0) {
+        console.log(chalk.yellow(`  Skipped ${withoutFile} tracks without a local file (streaming or cloud-only)`));
+      }
+    } else if (outPath) {
+      writeOutput(type, result.data, outPath, options, result.headers);
       console.log(chalk.dim(`\n  Written to ${outPath}`));
     } else {
       console.log(chalk.dim('\n  ─────────────────────────────────\n'));
-      writeOutput(type, result.data, null, options);
+      writeOutput(type, result.data, null, options, result.headers);
     }
 
     console.log('');
   } catch (err) {
     spinner.fail(chalk.red(`Error: ${err.message}`));
     console.log('');
+    return true; // Continue to menu
+  }
+
+  // Step 6: Offer to save the choices for next time
+  if (await confirm({ message: 'Save these choices as a profile?', default: false })) {
+    await promptSaveProfile(toProfile(type, options), profiles);
   }
 
   return true; // Continue to menu
 }
 
+/**
+ * Run a saved profile with the command-line tool
+ * @param {string} name - Profile name
+ */
+function runProfile(name) {
+  console.log('');
+  const result = spawnSync(process.execPath, [CLI_PATH, '--profile', name], { stdio: 'inherit' });
+  if (result.status === 0) {
+    console.log(chalk.green(`\n  ✔ Profile ${name} finished\n`));
+  } else {
+    console.log(chalk.red(`\n  ✖ Profile ${name} failed${result.error ? `: ${result.error.message}` : ''}\n`));
+  }
+}
+
+/**
+ * Convert the choices of a TUI export to profile options
+ * @param {string} type - TUI type (key of TYPES)
+ * @param {Object} options - Options collected by runExportFlow
+ * @returns {Object} Profile options (see config.js)
+ */
+function toProfile(type, options) {
+  // Report, database and workbook exports are commands or formats on the command line
+  const profile = {
+    stats: { command: 'stats' },
+    'html-report': { command: 'report' },
+    sqlite: { format: 'sqlite' },
+    xlsx: { format: 'xlsx' },
+    all: { all: true }
+  }[type] || { type };
+
+  if (!profile.format && options.format !== 'csv' && options.format !== 'text') {
+    profile.format = options.format;
+  }
+  if (options.out) profile[type === 'all' ? 'out-dir' : 'out'] = options.out;
+  if (options.where) profile.where = options.where.expression;
+  if (options.selectedPlaylists) profile.playlist = options.selectedPlaylists;
+  if (options.preset) profile.preset = options.preset;
+  if (options.strict) profile.strict = true;
+  if (options.splitArtists) profile['split-artists'] = true;
+  if (options.splitExceptions?.length > 0) profile['split-exception'] = options.splitExceptions;
+  if (options.withCredit) profile['with-credit'] = true;
+  if (options.withIds) profile['with-ids'] = true;
+  if (options.ignoreVersions) profile['ignore-versions'] = true;
+  if (options.durationTolerance !== null && options.durationTolerance !== undefined) {
+    profile['duration-tolerance'] = options.durationTolerance;
+  }
+  if (options.dedupKeys.length > 0) profile.dedup = options.dedupKeys;
+  return profile;
+}
+
+/**
+ * Ask for a profile name and config file, then save the profile
+ * @param {Object} profile - Profile options
+ * @param {Object} profiles - Profiles already defined (to confirm replacing one)
+ */
+async function promptSaveProfile(profile, profiles) {
+  const name = await input({
+    message: 'Profile name:',
+    validate: value => isValidProfileName(value.trim()) || 'Use letters, digits, ".", "_" and "-"'
+  }).then(value => value.trim());
+  if (profiles[name] && !(await confirm({ message: `Replace the existing profile "${name}"?`, default: false }))) {
+    return;
+  }
+
+  // The project file wins over the home file, so prefer it when it exists
+  const [homeFile, projectFile] = getConfigPaths();
+  const file = !projectFile ? homeFile : await select({
+    message: 'Save to:',
+    choices: [
+      { name: `This folder ${chalk.dim(`(${projectFile})`)}`, value: projectFile },
+      { name: `Home folder ${chalk.dim(`(${homeFile})`)}`, value: homeFile }
+    ],
+    default: existsSync(projectFile) ? projectFile : homeFile
+  });
+
+  try {
+    saveProfile(file, name, profile);
+    console.log(chalk.dim(`\n  Saved to ${file}. Run it with: amlib-export --profile ${name}`));
+    if (profile.out || profile['out-dir']) {
+      console.log(chalk.dim('  Tip: put {date} in "out" for a new file each day'));
+    }
+    console.log('');
+  } catch (err) {
+    console.log(chalk.red(`\n  Error: Could not save profile: ${err.message}\n`));
+  }
+}
+
+/**
+ * Ask which dedup key strategies to use
+ * @returns {Promise<string[]>} Strategy names (empty for case-insensitive only)
+ */
+async function promptDedupKeys() {
+  const choice = await select({
+    message: 'Which spellings count as the same?',
+    choices: [
+      { name: `Exact ${chalk.dim('- ignoring case only')}`, value: 'exact' },
+      { name: `Loose ${chalk.dim('- also accents, "The", punctuation, Unicode forms')}`, value: 'all' },
+      { name: 'Custom...', value: 'custom' }
+    ]
+  });
+
+  if (choice === 'exact') {
+    return [];
+  }
+  if (choice === 'all') {
+    return Object.keys(KEY_STRATEGIES);
+  }
+  return checkbox({
+    message: 'Also treat as the same:',
+    choices: Object.entries(KEY_STRATEGIES).map(([value, description]) => ({ name: description, value }))
+  });
+}
+
+/**
+ * Print the values that were merged from several spellings
+ * @param {Object[]} report - Merge report from the normalizer
+ */
+function printMergeSummary(report) {
+  const shown = 10;
+  console.log(chalk.dim(`\n  Merged ${report.length} values spelled more than one way:`));
+  for (const group of report.slice(0, shown)) {
+    const spellings = group.variants.map(v => `${v.value} ×${v.count}`).join(', ');
+    console.log(chalk.dim(`    ${group.value}: ${spellings}`));
+  }
+  if (report.length > shown) {
+    console.log(chalk.dim(`    ...and ${report.length - shown} more (amlib-export --dedup-report shows all)`));
+  }
+}
+
+/**
+ * Format a playlist tree node for the playlist picker
+ * @param {Object} node - Node from buildPlaylistTree
+ * @returns {string} Indented name with kind and track count
+ */
+function formatTreeChoice(node) {
+  const indent = '  '.repeat(node.depth);
+  if (node.kind === 'folder') {
+    return `${indent}📁 ${node.name}`;
+  }
+  const kind = node.kind === 'regular' ? '' : `${node.kind}, `;
+  return `${indent}${node.name} ${chalk.dim(`(${kind}${node.trackCount} tracks)`)}`;
+}
+
+/**
+ * Build a --where filter step by step
+ * @param {string} kind - Record kind (key of RECORD_FIELDS)
+ * @returns {Promise<Object|null>} Compiled filter, or null for no filter
+ */
+async function promptFilter(kind) {
+  const wantsFilter = await confirm({
+    message: 'Only export items matching a filter?',
+    default: false
+  });
+  if (!wantsFilter) {
+    return null;
+  }
+
+  const conditions = [];
+  do {
+    const field = await select({
+      message: 'Field:',
+      choices: RECORD_FIELDS[kind]
+        .filter(f => f !== 'track')
+        .map(f => ({ name: f.replace(/_/g, ' '), value: f }))
+    });
+    conditions.push(await promptCondition(field));
+  } while (await confirm({ message: 'Add another condition (and)?', default: false }));
+
+  const expression = conditions.join(' and ');
+  console.log(chalk.dim(`  Filter: ${expression}`));
+  return parseFilter(expression);
+}
+
+/**
+ * Ask for the operator and value of one filter condition
+ * @param {string} field - Filter field name
+ * @returns {Promise<string>} Condition in filter expression syntax
+ */
+async function promptCondition(field) {
+  if (field === 'loved') {
+    const loved = await select({
+      message: 'Condition:',
+      choices: [
+        { name: 'is loved', value: true },
+        { name: 'is not loved', value: false }
+      ]
+    });
+    return `loved = ${loved}`;
+  }
+
+  const isNumber = NUMBER_FIELDS.includes(field);
+  const isDate = DATE_FIELDS.includes(field);
+  const choices = isNumber || isDate
+    ? [
+      { name: 'is', value: '=' },
+      { name: isDate ? 'is on or after' : 'is at least', value: '>=' },
+      { name: isDate ? 'is before' : 'is less than', value: '<' }
+    ]
+    : [
+      { name: 'contains', value: '~' },
+      { name: 'is', value: '=' },
+      { name: 'is not', value: '!=' },
+      { name: 'does not contain', value: '!~' }
+    ];
+  choices.push(
+    { name: 'is empty', value: 'empty' },
+    { name: 'is not empty', value: 'not-empty' }
+  );
+
+  const op = await select({ message: 'Condition:', choices });
+  if (op === 'empty') {
+    return `${field} = empty`;
+  }
+  if (op === 'not-empty') {
+    return `${field} != empty`;
+  }
+
+  const value = await input({
+    message: isDate ? 'Date (YYYY-MM-DD):' : 'Value:',
+    validate: (text) => {
+      if (isNumber && !/^-?\d+(\.\d+)?$/.test(text.trim())) return 'Enter a number';
+      if (isDate && !/^\d{4}-\d{2}-\d{2}$/.test(text.trim())) return 'Enter a date like 2024-01-31';
+      return true;
+    }
+  });
+
+  if (isNumber) {
+    return `${field} ${op} ${value.trim()}`;
+  }
+  // Dates compare as text against ISO timestamps, so "is" means "that day"
+  if (isDate && op === '=') {
+    return `${field} ~ ${JSON.stringify(value.trim())}`;
+  }
+  return `${field} ${op} ${JSON.stringify(value)}`;
+}
+
 /**
  * Main TUI flow
  */
 async function main() {
   printHeader();
 
-  // Run system checks
-  const systemCheck = runAllChecks();
+  // Run system checks (AMLIB_FIXTURE / AMLIB_BACKEND select another backend)
+  const systemCheck = runAllChecks(getBackend());
   if (!systemCheck.ok) {
     console.log(chalk.red('  System Check Failed\n'));
     console.log(chalk.dim(`  ${systemCheck.message.split('\n').join('\n  ')}`));
@@ -263,76 +754,137 @@ async function runExtraction(type, options) {
       return extractTracksData(options);
     case 'playlists':
       return extractPlaylistsData(options);
+    case 'playlists-detailed':
+      return extractPlaylistsDetailedData(options);
     case 'playlist-tracks':
       return extractPlaylistTracksData(options);
     case 'detailed':
       return extractDetailedData(options);
+    case 'consistency':
+      return extractConsistencyData(options);
+    case 'duplicates':
+      return extractDuplicatesData(options);
+    case 'stats':
+      return extractStatsData(options);
+    case 'html-report':
+      return extractHTMLReportData(options);
+    case 'sqlite':
+      return extractDatabaseData(options);
+    case 'xlsx':
+      return extractWorkbookData(options);
+    case 'all':
+      return extractAllData(options);
     default:
       throw new Error(`Unknown type: ${type}`);
   }
 }
 
+/**
+ * Build the extraction options for an export
+ * @param {Object} options - Options collected by runExportFlow
+ * @returns {Object} Extraction options (see extractor.js)
+ */
+function getExtractOptions(options) {
+  return { onProgress: options.onProgress };
+}
+
 /**
  * Extract artists
  */
 async function extractArtistsData(options) {
+  let credits;
   if (options.strict) {
-    const { artists, exitCode, error } = await extractArtists({});
+    const { artists, exitCode, error } = await extractArtists(getExtractOptions(options));
     if (exitCode !== ExitCodes.SUCCESS) {
       throw new Error(getErrorMessage(exitCode, error));
     }
-    const normalizer = createNormalizer({ sort: options.sort });
-    for (const artist of artists) {
-      normalizer.add(artist);
-    }
-    const data = normalizer.getUniqueValues();
-    return { data, count: data.length };
+    credits = options.where
+      ? artists.filter(artist => options.where.test({ artist }))
+      : artists;
   } else {
-    const { tracks, exitCode, error } = await extractTracks({});
+    const { tracks, exitCode, error } = await extractTracks(getExtractOptions(options));
     if (exitCode !== ExitCodes.SUCCESS) {
       throw new Error(getErrorMessage(exitCode, error));
     }
-    const data = normalizeArtistsFromTracks(tracks, {
-      fallbackAlbumArtist: true,
-      sort: options.sort
-    });
-    return { data, count: data.length };
+    credits = getArtistCredits(filterRecords(tracks, options.where), { fallbackAlbumArtist: true });
+  }
+
+  const split = options.splitArtists
+    ? createArtistSplitter({ exceptions: options.splitExceptions })
+    : null;
+  if (options.withCredit) {
+    const data = normalizeArtistCredits(credits, { sort: options.sort, keys: options.dedupKeys, split });
+    const count = new Set(data.map(row => row.artist.toLocaleLowerCase())).size;
+    return { data, count, headers: ['artist', 'credit'] };
   }
+  const mergeReport = [];
+  const data = normalizeArtists(credits, { sort: options.sort, keys: options.dedupKeys, split, mergeReport });
+  return { data, count: data.length, mergeReport };
 }
 
 /**
  * Extract albums
  */
 async function extractAlbumsData(options) {
-  const { tracks, exitCode, error } = await extractTracks({});
+  const { tracks, exitCode, error } = await extractTracks(getExtractOptions(options));
   if (exitCode !== ExitCodes.SUCCESS) {
     throw new Error(getErrorMessage(exitCode, error));
   }
-  const data = normalizeAlbums(tracks, { sort: options.sort });
-  return { data, count: data.length };
+  const mergeReport = [];
+  const data = normalizeAlbums(filterRecords(tracks, options.where), {
+    sort: options.sort,
+    keys: options.dedupKeys,
+    mergeReport
+  });
+  return { data, count: data.length, mergeReport };
 }
 
 /**
  * Extract tracks
  */
 async function extractTracksData(options) {
-  const { tracks, exitCode, error } = await extractTracks({});
+  const { tracks, exitCode, error } = await extractTracks(getExtractOptions(options));
   if (exitCode !== ExitCodes.SUCCESS) {
     throw new Error(getErrorMessage(exitCode, error));
   }
-  const data = normalizeTracks(tracks, { sort: options.sort });
-  return { data, count: data.length };
+  const mergeReport = [];
+  const data = normalizeTracks(filterRecords(tracks, options.where), {
+    sort: options.sort,
+    keys: options.dedupKeys,
+    mergeReport
+  });
+  return { data, count: data.length, mergeReport };
 }
 
 /**
  * Extract playlists
  */
 async function extractPlaylistsData(options) {
-  const { playlists, exitCode, error } = await extractPlaylists({});
+  const { playlists, exitCode, error } = await extractPlaylists(getExtractOptions(options));
+  if (exitCode !== ExitCodes.SUCCESS) {
+    throw new Error(getErrorMessage(exitCode, error));
+  }
+  const matching = options.where
+    ? playlists.filter(playlist => options.where.test({ playlist }))
+    : playlists;
+  const mergeReport = [];
+  const data = normalizePlaylists(matching, { sort: options.sort, keys: options.dedupKeys, mergeReport });
+  return { data, count: data.length, mergeReport };
+}
+
+/**
+ * Extract playlists with folder paths and kinds
+ */
+async function extractPlaylistsDetailedData(options) {
+  const { playlists, exitCode, error } = await extractPlaylistsDetailed(getExtractOptions(options));
   if (exitCode !== ExitCodes.SUCCESS) {
     throw new Error(getErrorMessage(exitCode, error));
   }
-  const data = normalizePlaylists(playlists, { sort: options.sort });
+  let tree = buildPlaylistTree(playlists);
+  if (options.where) {
+    tree = tree.filter(node => options.where.test({ playlist: node.name }));
+  }
+  const data = preparePlaylistsDetailed(tree);
   return { data, count: data.length };
 }
 
@@ -340,58 +892,196 @@ async function extractPlaylistsData(options) {
  * Extract playlist tracks
  */
 async function extractPlaylistTracksData(options) {
-  const { playlistTracks, exitCode, error } = await extractPlaylistTracks({});
+  // Selected playlists are passed to the extractor, which skips the rest
+  const { playlistTracks, exitCode, error } = await extractPlaylistTracks({
+    ...getExtractOptions(options),
+    playlists: options.selectedPlaylists || undefined
+  });
   if (exitCode !== ExitCodes.SUCCESS) {
     throw new Error(getErrorMessage(exitCode, error));
   }
   
-  // Filter by selected playlists if specified
-  let filteredTracks = playlistTracks;
-  if (options.selectedPlaylists) {
-    const selectedSet = new Set(options.selectedPlaylists.map(p => p.toLowerCase()));
-    filteredTracks = playlistTracks.filter(t => 
-      selectedSet.has(t.playlist.toLowerCase())
-    );
-  }
-  
+  const filteredTracks = filterRecords(playlistTracks, options.where);
   const data = preparePlaylistTracks(filteredTracks, { sort: options.sort });
-  return { data, count: data.length };
+  const headers = options.withIds ? [...PLAYLIST_TRACK_COLUMNS, ...PLAYLIST_TRACK_ID_COLUMNS] : null;
+  // Unsorted records keep duration/location for playlist files
+  return { data, count: data.length, records: filteredTracks, headers };
 }
 
 /**
  * Extract detailed track data
  */
 async function extractDetailedData(options) {
-  const { tracks, exitCode, error } = await extractTracks({});
+  const { tracks, exitCode, error } = await extractTracks(getExtractOptions(options));
+  if (exitCode !== ExitCodes.SUCCESS) {
+    throw new Error(getErrorMessage(exitCode, error));
+  }
+  const data = prepareDetailedTracks(filterRecords(tracks, options.where), { sort: options.sort });
+  const headers = options.withIds ? [...DETAILED_COLUMNS, ...DETAILED_ID_COLUMNS] : null;
+  return { data, count: data.length, headers };
+}
+
+/**
+ * Build the consistency report
+ */
+async function extractConsistencyData(options) {
+  const { tracks, exitCode, error } = await extractTracks(getExtractOptions(options));
   if (exitCode !== ExitCodes.SUCCESS) {
     throw new Error(getErrorMessage(exitCode, error));
   }
-  const data = prepareDetailedTracks(tracks, { sort: options.sort });
+  const data = buildConsistencyReport(filterRecords(tracks, options.where));
+  const count = data.artists.length + data.albums.length + data.albumArtistConflicts.length;
+  return { data, count };
+}
+
+/**
+ * Find duplicate tracks
+ */
+async function extractDuplicatesData(options) {
+  const { tracks, exitCode, error } = await extractTracks(getExtractOptions(options));
+  if (exitCode !== ExitCodes.SUCCESS) {
+    throw new Error(getErrorMessage(exitCode, error));
+  }
+  const groups = findDuplicates(filterRecords(tracks, options.where), {
+    ignoreVersions: options.ignoreVersions,
+    durationTolerance: options.durationTolerance
+  });
+  const data = prepareDuplicates(groups);
   return { data, count: data.length };
 }
 
+/**
+ * Compute library statistics
+ */
+async function extractStatsData(options) {
+  const { tracks, exitCode, error } = await extractTracks(getExtractOptions(options));
+  if (exitCode !== ExitCodes.SUCCESS) {
+    throw new Error(getErrorMessage(exitCode, error));
+  }
+  const playlistsResult = await extractPlaylistsDetailed(getExtractOptions(options));
+  if (playlistsResult.exitCode !== ExitCodes.SUCCESS) {
+    throw new Error(getErrorMessage(playlistsResult.exitCode, playlistsResult.error));
+  }
+  const data = buildLibraryStats({
+    tracks: filterRecords(tracks, options.where),
+    playlists: playlistsResult.playlists
+  });
+  return { data, count: data.totals.tracks };
+}
+
+/**
+ * Build the HTML report tables
+ */
+async function extractHTMLReportData(options) {
+  const { tracks, exitCode, error } = await extractTracks(getExtractOptions(options));
+  if (exitCode !== ExitCodes.SUCCESS) {
+    throw new Error(getErrorMessage(exitCode, error));
+  }
+  const playlistsResult = await extractPlaylistsDetailed(getExtractOptions(options));
+  if (playlistsResult.exitCode !== ExitCodes.SUCCESS) {
+    throw new Error(getErrorMessage(playlistsResult.exitCode, playlistsResult.error));
+  }
+  const filtered = filterRecords(tracks, options.where);
+  const data = prepareLibraryReport(filtered, buildPlaylistTree(playlistsResult.playlists));
+  return { data, count: filtered.length };
+}
+
+/**
+ * Build the database tables
+ */
+async function extractDatabaseData(options) {
+  const { tracks, exitCode, error } = await extractTracks(getExtractOptions(options));
+  if (exitCode !== ExitCodes.SUCCESS) {
+    throw new Error(getErrorMessage(exitCode, error));
+  }
+  const playlistsResult = await extractPlaylistsDetailed(getExtractOptions(options));
+  if (playlistsResult.exitCode !== ExitCodes.SUCCESS) {
+    throw new Error(getErrorMessage(playlistsResult.exitCode, playlistsResult.error));
+  }
+  const playlistTracksResult = await extractPlaylistTracks(getExtractOptions(options));
+  if (playlistTracksResult.exitCode !== ExitCodes.SUCCESS) {
+    throw new Error(getErrorMessage(playlistTracksResult.exitCode, playlistTracksResult.error));
+  }
+  const data = buildDatabaseRows(tracks, playlistsResult.playlists, playlistTracksResult.playlistTracks);
+  return { data, count: data.tracks.length };
+}
+
+/**
+ * Build the workbook sheets
+ */
+async function extractWorkbookData(options) {
+  const { tracks, exitCode, error } = await extractTracks(getExtractOptions(options));
+  if (exitCode !== ExitCodes.SUCCESS) {
+    throw new Error(getErrorMessage(exitCode, error));
+  }
+  const playlistTracksResult = await extractPlaylistTracks(getExtractOptions(options));
+  if (playlistTracksResult.exitCode !== ExitCodes.SUCCESS) {
+    throw new Error(getErrorMessage(playlistTracksResult.exitCode, playlistTracksResult.error));
+  }
+  const data = prepareWorkbook(tracks, playlistTracksResult.playlistTracks);
+  return { data, count: tracks.length };
+}
+
+/**
+ * Extract everything once and derive every type
+ */
+async function extractAllData(options) {
+  const { tracks, exitCode, error } = await extractTracks(getExtractOptions(options));
+  if (exitCode !== ExitCodes.SUCCESS) {
+    throw new Error(getErrorMessage(exitCode, error));
+  }
+  const playlistsResult = await extractPlaylistsDetailed(getExtractOptions(options));
+  if (playlistsResult.exitCode !== ExitCodes.SUCCESS) {
+    throw new Error(getErrorMessage(playlistsResult.exitCode, playlistsResult.error));
+  }
+  const playlistTracksResult = await extractPlaylistTracks(getExtractOptions(options));
+  if (playlistTracksResult.exitCode !== ExitCodes.SUCCESS) {
+    throw new Error(getErrorMessage(playlistTracksResult.exitCode, playlistTracksResult.error));
+  }
+  const data = buildAllExports({
+    tracks,
+    playlists: playlistsResult.playlists,
+    playlistTracks: playlistTracksResult.playlistTracks
+  }, {
+    sort: options.sort,
+    keys: options.dedupKeys,
+    withIds: options.withIds
+  });
+  const library = {
+    tracks: tracks.length,
+    playlists: playlistsResult.playlists.length,
+    playlistTracks: playlistTracksResult.playlistTracks.length
+  };
+  return { data, count: tracks.length, library };
+}
+
 /**
  * Write output to file or stdout
+ * @param {string[]} [headers] - Columns, when an export adds columns to its type's
  */
-function writeOutput(type, data, outPath, options) {
+function writeOutput(type, data, outPath, options, headers = null) {
   const typeInfo = TYPES[type];
 
-  if (typeInfo.multiColumn) {
-    const headers = typeInfo.headers;
+  // Terminal output is always colorized text
+  const format = outPath ? options.format : 'csv';
+
+  if (typeInfo.file) {
+    typeInfo.file.write(outPath, data);
+  } else if (typeInfo.report) {
+    const text = options.format === 'json' && outPath
+      ? JSON.stringify(data, null, 2) + '\n'
+      : typeInfo.report(data);
     if (outPath) {
-      writeMultiColumnCSV(outPath, data, headers);
+      writeFileSync(outPath, stripVTControlCharacters(text), { encoding: 'utf8' });
     } else {
-      // Colorized output for terminal
-      writeToStdout(generateColorizedMultiColumn(data, headers));
+      writeToStdout(text);
     }
+  } else if (headers) {
+    writeMultiColumn(outPath, data, headers, format);
+  } else if (typeInfo.multiColumn) {
+    writeMultiColumn(outPath, data, typeInfo.headers, format);
   } else {
-    const header = typeInfo.header;
-    if (outPath) {
-      writeSingleColumnCSV(outPath, data, header);
-    } else {
-      // Colorized output for terminal
-      writeToStdout(generateColorizedSingleColumn(data, header));
-    }
+    writeSingleColumn(outPath, data, typeInfo.header, format);
   }
 }
 
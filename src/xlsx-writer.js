@@ -0,0 +1,292 @@
+import { writeFileSync } from 'node:fs';
+import { deflateRawSync } from 'node:zlib';
+import { formatHeader } from './csv-writer.js';
+
+/**
+ * XLSX workbook export
+ * Writes an Office Open XML workbook (a zip of XML parts) with one sheet per
+ * table. Cells are typed: numbers and booleans stay numbers and booleans,
+ * ISO 8601 timestamps become Excel dates, and everything else is text, so
+ * Excel never re-interprets values the way it does with CSV.
+ */
+
+// Output format name (--format xlsx)
+export const XLSX_FORMAT = 'xlsx';
+
+// Cell style indexes into cellXfs in styles.xml
+const STYLE_HEADER = 1;
+const STYLE_DATE = 2;
+
+// Widest column, in characters
+const MAX_COLUMN_WIDTH = 60;
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+// Excel's day 0 is 1899-12-30 (in the 1900 date system)
+const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30);
+
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm:ss"/></numFmts>
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><color rgb="FFFFFFFF"/><name val="Calibri"/></font></fonts>
+<fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill><fill><patternFill patternType="solid"><fgColor rgb="FFFA2D48"/><bgColor indexed="64"/></patternFill></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="3"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="2" borderId="0" xfId="0" applyFont="1" applyFill="1"/><xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>
+`;
+
+/**
+ * Escape text for XML content and attribute values
+ * Also drops control characters, which are not allowed in XML 1.0.
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Convert a zero-based column index to a column letter (0 -> A, 26 -> AA)
+ * @param {number} index - Column index
+ * @returns {string} Column letters
+ */
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+/**
+ * Generate the XML of one cell
+ * @param {string} ref - Cell reference (e.g. "B2")
+ * @param {*} value - Cell value
+ * @param {number} [style=0] - Style index
+ * @returns {string} <c> element, or empty string for empty values
+ */
+function cellXml(ref, value, style = 0) {
+  const styleAttr = style ? ` s="${style}"` : '';
+  if (value === null || value === undefined || value === '') {
+    return '';
+  }
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? `<c r="${ref}"${styleAttr}><v>${value}</v></c>` : '';
+  }
+  if (typeof value === 'boolean') {
+    return `<c r="${ref}"${styleAttr} t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+  if (ISO_DATE_PATTERN.test(value)) {
+    const serial = (Date.parse(value) - EXCEL_EPOCH_MS) / 86400000;
+    return `<c r="${ref}" s="${STYLE_DATE}"><v>${serial}</v></c>`;
+  }
+  return `<c r="${ref}"${styleAttr} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+/**
+ * Estimate a column width from its header and values
+ * @param {string} label - Header label
+ * @param {Object[]} rows - Rows
+ * @param {string} key - Column key
+ * @returns {number} Width in characters
+ */
+function columnWidth(label, rows, key) {
+  let width = label.length + 2;
+  for (const row of rows) {
+    const value = row[key];
+    const length = ISO_DATE_PATTERN.test(value) ? 19 : String(value ?? '').length;
+    if (length > width) {
+      width = length;
+    }
+  }
+  return Math.min(width + 1, MAX_COLUMN_WIDTH);
+}
+
+/**
+ * Generate a worksheet with a styled, frozen header row and an auto-filter
+ * @param {Object} sheet - Sheet: { name, headers, rows }
+ * @returns {string} Worksheet XML
+ */
+function generateSheetXml(sheet) {
+  const { headers, rows } = sheet;
+  const labels = headers.map(formatHeader);
+  const lastRef = `${columnName(headers.length - 1)}${rows.length + 1}`;
+  
+  const cols = labels.map((label, i) =>
+    `<col min="${i + 1}" max="${i + 1}" width="${columnWidth(label, rows, headers[i])}" customWidth="1"/>`
+  ).join('');
+  
+  const headerRow = `<row r="1">${labels.map((label, i) => cellXml(`${columnName(i)}1`, label, STYLE_HEADER)).join('')}</row>`;
+  const dataRows = rows.map((row, r) =>
+    `<row r="${r + 2}">${headers.map((header, i) => cellXml(`${columnName(i)}${r + 2}`, row[header])).join('')}</row>`
+  );
+  
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<dimension ref="A1:${lastRef}"/>
+<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>
+<cols>${cols}</cols>
+<sheetData>${headerRow}${dataRows.join('')}</sheetData>
+<autoFilter ref="A1:${lastRef}"/>
+</worksheet>
+`;
+}
+
+/**
+ * Generate all parts of the workbook package
+ * @param {Object[]} sheets - Sheets: { name, headers, rows }
+ * @returns {{name: string, content: string}[]} Package parts
+ */
+function generateParts(sheets) {
+  const sheetEntries = sheets.map((sheet, i) => ({ ...sheet, id: i + 1 }));
+  
+  const contentTypes = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+${sheetEntries.map(({ id }) => `<Override PartName="/xl/worksheets/sheet${id}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('\n')}
+</Types>
+`;
+
+  const rootRels = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>
+`;
+
+  // Auto-filters need a hidden _FilterDatabase name per sheet
+  const workbook = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets>${sheetEntries.map(({ id, name }) => `<sheet name="${escapeXml(name)}" sheetId="${id}" r:id="rId${id}"/>`).join('')}</sheets>
+<definedNames>${sheetEntries.map(({ id, name, headers, rows }) =>
+    `<definedName name="_xlnm._FilterDatabase" localSheetId="${id - 1}" hidden="1">'${escapeXml(name.replace(/'/g, '\'\''))}'!$A$1:$${columnName(headers.length - 1)}$${rows.length + 1}</definedName>`
+  ).join('')}</definedNames>
+</workbook>
+`;
+
+  const workbookRels = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+${sheetEntries.map(({ id }) => `<Relationship Id="rId${id}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${id}.xml"/>`).join('\n')}
+<Relationship Id="rId${sheetEntries.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>
+`;
+
+  return [
+    { name: '[Content_Types].xml', content: contentTypes },
+    { name: '_rels/.rels', content: rootRels },
+    { name: 'xl/workbook.xml', content: workbook },
+    { name: 'xl/_rels/workbook.xml.rels', content: workbookRels },
+    { name: 'xl/styles.xml', content: STYLES_XML },
+    ...sheetEntries.map(sheet => ({ name: `xl/worksheets/sheet${sheet.id}.xml`, content: generateSheetXml(sheet) }))
+  ];
+}
+
+// CRC-32 lookup table (zip checksums)
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Compute the CRC-32 of a buffer
+ * @param {Buffer} buffer - Data
+ * @returns {number} Unsigned CRC-32
+ */
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Build a zip archive of deflated files
+ * @param {{name: string, content: string}[]} files - Files to store
+ * @returns {Buffer} Zip archive
+ */
+function createZip(files) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+  
+  for (const file of files) {
+    const name = Buffer.from(file.name, 'utf8');
+    const data = Buffer.from(file.content, 'utf8');
+    const compressed = deflateRawSync(data);
+    const crc = crc32(data);
+    
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034B50, 0);     // local file header signature
+    local.writeUInt16LE(20, 4);             // version needed (2.0)
+    local.writeUInt16LE(0x0800, 6);         // flags: UTF-8 names
+    local.writeUInt16LE(8, 8);              // method: deflate
+    local.writeUInt16LE(0, 10);             // time
+    local.writeUInt16LE(0x21, 12);          // date: 1980-01-01
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);             // extra field length
+    
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014B50, 0);   // central directory signature
+    central.writeUInt16LE(20, 4);           // version made by
+    central.writeUInt16LE(20, 6);           // version needed
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(0, 12);
+    central.writeUInt16LE(0x21, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);      // local header offset (other fields 0)
+    
+    localParts.push(local, name, compressed);
+    centralParts.push(central, name);
+    offset += local.length + name.length + compressed.length;
+  }
+  
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054B50, 0);         // end of central directory signature
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+/**
+ * Generate an XLSX workbook
+ * @param {Object[]} sheets - Sheets in tab order: { name, headers, rows }
+ *   (headers are row keys, as for CSV export; names are at most 31 characters)
+ * @returns {Buffer} Workbook file contents
+ */
+export function generateXLSX(sheets) {
+  return createZip(generateParts(sheets));
+}
+
+/**
+ * Write an XLSX workbook to a file
+ * @param {string} filePath - Path to write the file
+ * @param {Object[]} sheets - Sheets (see generateXLSX)
+ * @throws {Error} If file write fails
+ */
+export function writeXLSX(filePath, sheets) {
+  writeFileSync(filePath, generateXLSX(sheets));
+}
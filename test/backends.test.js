@@ -0,0 +1,169 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { chmodSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { decodeRecords, decodeJSONRecords, parseTotal, parseProgress } from '../src/record-codec.js';
+import {
+  toTrack,
+  toPlaylistTrack,
+  toPlaylistDetail,
+  toLibrarySignature,
+  stripCountLines,
+  runRecordScript,
+  runJXAScript
+} from '../src/backends/osascript.js';
+import { ExitCodes } from '../src/exit-codes.js';
+
+/**
+ * The AppleScript and JXA backends must produce the same objects
+ *
+ * fixtures/osascript/ holds the raw osascript output of both versions of
+ * each extraction script for the sample library.
+ */
+
+const RECORDINGS = path.join(path.dirname(path.dirname(fileURLToPath(import.meta.url))), 'fixtures', 'osascript');
+
+/**
+ * Decode recorded AppleScript output (as runRecordScript does)
+ * @param {string} script - Script name
+ * @returns {Object[]} Records
+ */
+function decodeAppleScript(script) {
+  const text = readFileSync(path.join(RECORDINGS, `${script}.applescript.txt`), 'utf8');
+  return decodeRecords(text.replace(/\n$/, '').split('\n'));
+}
+
+/**
+ * Decode recorded JXA output (as runJXAScript does)
+ * @param {string} script - Script name
+ * @returns {Object[]} Records
+ */
+function decodeJXA(script) {
+  return decodeJSONRecords(stripCountLines(readJXALines(script)).join('\n'));
+}
+
+/**
+ * Read recorded JXA output lines
+ * @param {string} script - Script name
+ * @returns {string[]} Lines
+ */
+function readJXALines(script) {
+  return readFileSync(path.join(RECORDINGS, `${script}.jxa.txt`), 'utf8').split('\n');
+}
+
+describe('AppleScript and JXA output', () => {
+  const cases = [
+    ['extract-tracks', toTrack, 8],
+    ['extract-playlists-detailed', toPlaylistDetail, 6],
+    ['extract-playlist-tracks', toPlaylistTrack, 13],
+    ['probe-library', toLibrarySignature, 1]
+  ];
+  
+  for (const [script, convert, count] of cases) {
+    test(`${script} gives the same ${convert.name} objects`, () => {
+      const fromAppleScript = decodeAppleScript(script).map(convert);
+      assert.equal(fromAppleScript.length, count);
+      assert.deepEqual(fromAppleScript, decodeJXA(script).map(convert));
+    });
+  }
+  
+  for (const script of ['extract-tracks', 'extract-playlist-tracks']) {
+    test(`${script} (JXA) reports progress up to the total`, () => {
+      const lines = readJXALines(script);
+      const total = parseTotal(lines[0]);
+      const progress = lines.map(parseProgress).filter(done => done !== null);
+      assert.ok(progress.length > 1);
+      assert.deepEqual(progress, [...progress].sort((a, b) => a - b));
+      assert.equal(progress.at(-1), total);
+    });
+  }
+  
+  test('tracks match the sample library', () => {
+    const [track] = decodeJXA('extract-tracks').map(toTrack);
+    assert.equal(track.title, 'Come Together');
+    assert.equal(track.duration, 259.946);
+    assert.equal(track.loved, true);
+    assert.equal(track.persistentId, '1A2B3C4D5E6F0001');
+  });
+  
+  test('missing values become null', () => {
+    const travel = decodeAppleScript('extract-playlists-detailed').map(toPlaylistDetail)[0];
+    assert.equal(travel.parentPersistentId, null);
+    const something = decodeAppleScript('extract-tracks').map(toTrack)[1];
+    assert.equal(something.discNumber, null);
+    assert.equal(something.lastPlayed, null);
+  });
+});
+
+describe('toLibrarySignature', () => {
+  const [probe] = decodeJXA('probe-library');
+  
+  test('changes when a playlist is renamed or its tracks change', () => {
+    const signature = toLibrarySignature(probe);
+    const renamed = toLibrarySignature({ ...probe, playlists: probe.playlists.replace('\tTop Rated\t', '\tFavorites\t') });
+    const swapped = toLibrarySignature({ ...probe, playlists: probe.playlists.replace('\tTop Rated\t1A2B3C4D5E6F0001', '\tTop Rated\t1A2B3C4D5E6F0002') });
+    
+    assert.equal(renamed.trackCount, signature.trackCount);
+    assert.notEqual(renamed.playlists, signature.playlists);
+    assert.notEqual(swapped.playlists, signature.playlists);
+    assert.notEqual(swapped.playlists, renamed.playlists);
+  });
+  
+  test('stays the same for the same library', () => {
+    assert.deepEqual(toLibrarySignature({ ...probe }), toLibrarySignature(probe));
+  });
+});
+
+describe('corrupt osascript output', { skip: process.platform === 'win32' && 'needs a shell script osascript' }, () => {
+  let binDir;
+  let savedPath;
+  
+  // Stand-in osascript that prints the file passed as the script
+  before(() => {
+    binDir = mkdtempSync(path.join(tmpdir(), 'amlib-export-osascript-'));
+    writeFileSync(path.join(binDir, 'osascript'), '#!/bin/sh\nfor last; do :; done\ncat "$last"\n');
+    chmodSync(path.join(binDir, 'osascript'), 0o755);
+    savedPath = process.env.PATH;
+    process.env.PATH = `${binDir}${path.delimiter}${savedPath}`;
+  });
+  
+  after(() => {
+    process.env.PATH = savedPath;
+    rmSync(binDir, { recursive: true, force: true });
+  });
+  
+  /**
+   * Write script output for the stand-in osascript to print
+   * @param {string} name - File name
+   * @param {string} text - Output text
+   * @returns {string} Path to pass as the script
+   */
+  function scriptOutput(name, text) {
+    const file = path.join(binDir, name);
+    writeFileSync(file, text);
+    return file;
+  }
+  
+  test('a truncated AppleScript record is MALFORMED_OUTPUT', async () => {
+    const recorded = readFileSync(path.join(RECORDINGS, 'extract-tracks.applescript.txt'), 'utf8');
+    const result = await runRecordScript(scriptOutput('truncated.txt', recorded.slice(0, recorded.length - 40)));
+    assert.equal(result.exitCode, ExitCodes.MALFORMED_OUTPUT);
+    assert.match(result.error, /truncated/);
+    assert.deepEqual(result.records, []);
+  });
+  
+  test('cut-off JXA output is MALFORMED_OUTPUT', async () => {
+    const recorded = readJXALines('extract-tracks').join('\n');
+    const result = await runJXAScript(scriptOutput('cut-off.txt', recorded.slice(0, recorded.length - 40)));
+    assert.equal(result.exitCode, ExitCodes.MALFORMED_OUTPUT);
+    assert.match(result.error, /invalid JSON/);
+  });
+  
+  test('the recorded output decodes', async () => {
+    const result = await runRecordScript(path.join(RECORDINGS, 'extract-tracks.applescript.txt'));
+    assert.equal(result.exitCode, ExitCodes.SUCCESS);
+    assert.equal(result.records.length, 8);
+  });
+});
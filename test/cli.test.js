@@ -0,0 +1,425 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdirSync, mkdtempSync, readdirSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+/**
+ * End-to-end tests: run the CLI against the fixtures in fixtures/
+ */
+
+const ROOT = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const CLI = path.join(ROOT, 'src', 'amlib-export.js');
+const SAMPLE = path.join(ROOT, 'fixtures', 'sample-library.json');
+const LIBRARY_XML = path.join(ROOT, 'fixtures', 'Library.xml');
+
+let workDir;
+
+/**
+ * Run the CLI in an empty directory, away from any config file or cache
+ * @param {string[]} args - Command-line arguments
+ * @param {string} [dir=workDir] - Working and home directory
+ * @returns {{status: number, stdout: string, stderr: string}} Process result
+ */
+function run(args, dir = workDir) {
+  const result = spawnSync(process.execPath, [CLI, ...args], {
+    cwd: dir,
+    encoding: 'utf8',
+    timeout: 30000,
+    env: {
+      ...process.env,
+      HOME: dir,
+      AMLIB_CACHE_DIR: path.join(workDir, 'cache'),
+      AMLIB_FIXTURE: '',
+      NO_COLOR: '1'
+    }
+  });
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+/**
+ * Run the CLI against the sample library
+ * @param {string[]} args - Command-line arguments
+ * @param {string} [dir=workDir] - Working and home directory
+ * @returns {{status: number, stdout: string, stderr: string}} Process result
+ */
+function runSample(args, dir) {
+  return run(['--fixture', SAMPLE, ...args], dir);
+}
+
+/**
+ * Split output into non-empty lines
+ * @param {string} text - Output
+ * @returns {string[]} Lines
+ */
+function lines(text) {
+  return text.split('\n').filter(line => line !== '');
+}
+
+/**
+ * Check whether a command is installed
+ * @param {string} command - Command name
+ * @returns {boolean} Whether it runs
+ */
+function hasCommand(command) {
+  return spawnSync(command, ['-version'], { stdio: 'ignore' }).status === 0;
+}
+
+before(() => {
+  workDir = mkdtempSync(path.join(tmpdir(), 'amlib-export-test-'));
+});
+
+after(() => {
+  rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('types and formats', () => {
+  // Type -> records in the sample library
+  const EXPECTED_COUNTS = {
+    artists: 6,
+    albums: 7,
+    tracks: 8,
+    playlists: 6,
+    'playlists-detailed': 6,
+    'playlist-tracks': 13,
+    detailed: 8,
+    duplicates: 2
+  };
+  
+  for (const [type, count] of Object.entries(EXPECTED_COUNTS)) {
+    test(`${type} as csv, json and ndjson`, () => {
+      const csv = runSample(['-t', type]);
+      assert.equal(csv.status, 0, csv.stderr);
+      assert.equal(lines(csv.stdout).length, count);
+      
+      const json = runSample(['-t', type, '-f', 'json']);
+      assert.equal(json.status, 0, json.stderr);
+      const records = JSON.parse(json.stdout);
+      assert.equal(records.length, count);
+      
+      const ndjson = runSample(['-t', type, '-f', 'ndjson']);
+      assert.equal(ndjson.status, 0, ndjson.stderr);
+      assert.deepEqual(lines(ndjson.stdout).map(line => JSON.parse(line)), records);
+    });
+  }
+  
+  test('artists are de-duplicated and sorted', () => {
+    const { status, stdout } = runSample(['-t', 'artists']);
+    assert.equal(status, 0);
+    assert.deepEqual(lines(stdout), [
+      'Berliner Philharmoniker',
+      'Beyoncé feat. Jay-Z',
+      'Sigur Ros',
+      'Sigur Rós',
+      'Simon & Garfunkel',
+      'The Beatles'
+    ]);
+  });
+  
+  test('playlists list every playlist name', () => {
+    const { status, stdout } = runSample(['-t', 'playlists']);
+    assert.equal(status, 0);
+    assert.deepEqual(lines(stdout), ['Chill & Focus', 'Genius Mix', 'Road Trips', 'Summer 2024', 'Top Rated', 'Travel']);
+  });
+  
+  test('playlists-detailed includes folder paths', () => {
+    const { stdout } = runSample(['-t', 'playlists-detailed', '-f', 'json']);
+    const roadTrips = JSON.parse(stdout).find(p => p.name === 'Road Trips');
+    assert.equal(roadTrips.path, 'Travel / Road Trips');
+    assert.equal(roadTrips.folder, 'Travel');
+    assert.equal(roadTrips.track_count, 2);
+  });
+  
+  test('consistency as text and json', () => {
+    const text = runSample(['-t', 'consistency']);
+    assert.equal(text.status, 0, text.stderr);
+    assert.match(text.stdout, /^Artists spelled more than one way: 2$/m);
+    
+    const json = runSample(['-t', 'consistency', '-f', 'json']);
+    assert.equal(json.status, 0, json.stderr);
+    const report = JSON.parse(json.stdout);
+    assert.deepEqual(
+      report.artists.map(group => group.variants.map(v => v.value)),
+      [['Sigur Ros', 'Sigur Rós'], ['The Beatles', 'the beatles']]
+    );
+  });
+  
+  test('consistency rejects formats other than text and json', () => {
+    for (const format of ['ndjson', 'm3u8', 'xlsx']) {
+      const { status, stderr } = runSample(['-t', 'consistency', '-f', format, '-o', path.join(workDir, `consistency.${format}`)]);
+      assert.equal(status, 1);
+      assert.match(stderr, new RegExp(`--format ${format} is not supported`));
+    }
+  });
+  
+  test('duplicates groups the two Hoppipolla recordings', () => {
+    const { stdout } = runSample(['-t', 'duplicates', '-f', 'json']);
+    const rows = JSON.parse(stdout);
+    assert.deepEqual(rows.map(r => r.group), [1, 1]);
+    assert.deepEqual(rows.map(r => r.artist).sort(), ['Sigur Ros', 'Sigur Rós']);
+  });
+  
+  test('--with-ids adds persistent IDs', () => {
+    const detailed = JSON.parse(runSample(['-t', 'detailed', '-f', 'json', '--with-ids']).stdout);
+    assert.ok(detailed.every(t => /^[0-9A-F]{16}$/.test(t.persistent_id)));
+    
+    const playlistTracks = JSON.parse(runSample(['-t', 'playlist-tracks', '-f', 'json', '--with-ids']).stdout);
+    assert.ok(playlistTracks.every(t => t.playlist_persistent_id && t.track_persistent_id));
+  });
+  
+  test('--where filters tracks', () => {
+    const { status, stdout } = runSample(['-t', 'tracks', '-w', 'artist ~ "beatles" and year < 1970']);
+    assert.equal(status, 0);
+    assert.deepEqual(lines(stdout), ['The Beatles · Come Together', 'the beatles · Something']);
+  });
+  
+  test('--playlist selects playlists', () => {
+    const { status, stdout } = runSample(['-t', 'playlist-tracks', '-f', 'json', '--playlist', 'Top Rated']);
+    assert.equal(status, 0);
+    assert.deepEqual(JSON.parse(stdout).map(t => t.track).sort(), ['Come Together', 'Crazy in Love (feat. Jay-Z)']);
+  });
+  
+  test('invalid type and format are rejected', () => {
+    assert.equal(runSample(['-t', 'nope']).status, 1);
+    assert.equal(runSample(['-f', 'nope']).status, 1);
+  });
+});
+
+describe('playlist and library formats', () => {
+  for (const format of ['m3u8', 'xspf']) {
+    test(`playlist-tracks as ${format}`, () => {
+      const dir = path.join(workDir, format);
+      const { status, stderr } = runSample(['-t', 'playlist-tracks', '-f', format, '-o', dir]);
+      assert.equal(status, 0, stderr);
+      assert.deepEqual(readdirSync(dir).sort(), [
+        `Chill & Focus.${format}`,
+        `Road Trips.${format}`,
+        `Summer 2024.${format}`,
+        `Top Rated.${format}`,
+        `Travel.${format}`
+      ]);
+    });
+  }
+  
+  test('m3u8 skips tracks without a file', () => {
+    const dir = path.join(workDir, 'm3u8-skip');
+    runSample(['-t', 'playlist-tracks', '-f', 'm3u8', '-o', dir]);
+    const playlist = readFileSync(path.join(dir, 'Road Trips.m3u8'), 'utf8');
+    assert.equal(lines(playlist).filter(line => line.startsWith('#EXTINF')).length, 1);
+    assert.match(playlist, /01 Come Together\.m4a$/m);
+  });
+  
+  test('xlsx writes a workbook', () => {
+    const file = path.join(workDir, 'library.xlsx');
+    const { status, stderr } = runSample(['-f', 'xlsx', '-o', file]);
+    assert.equal(status, 0, stderr);
+    assert.equal(readFileSync(file).subarray(0, 2).toString(), 'PK');
+  });
+  
+  test('sqlite writes a database', { skip: !hasCommand('sqlite3') && 'sqlite3 is not installed' }, () => {
+    const file = path.join(workDir, 'library.sqlite');
+    const { status, stderr } = runSample(['-f', 'sqlite', '-o', file]);
+    assert.equal(status, 0, stderr);
+    assert.equal(readFileSync(file).subarray(0, 15).toString(), 'SQLite format 3');
+    
+    // Every playlist, with its folder; Genius Mix has no tracks
+    const query = 'SELECT p.name, f.name, p.kind, COUNT(pt.track_id) FROM playlists p LEFT JOIN playlists f ON f.id = p.parent_id ' +
+      'LEFT JOIN playlist_tracks pt ON pt.playlist_id = p.id GROUP BY p.id ORDER BY p.id';
+    const rows = spawnSync('sqlite3', [file, query], { encoding: 'utf8' }).stdout;
+    assert.deepEqual(lines(rows), [
+      'Travel||folder|4',
+      'Road Trips|Travel|regular|2',
+      'Summer 2024|Travel|smart|2',
+      'Top Rated||smart|2',
+      'Chill & Focus||regular|3',
+      'Genius Mix||genius|0'
+    ]);
+  });
+  
+  test('playlist formats require --out', () => {
+    assert.equal(runSample(['-t', 'playlist-tracks', '-f', 'm3u8']).status, 1);
+  });
+});
+
+describe('--library-xml', () => {
+  test('tracks decode entities and character references', () => {
+    const { status, stdout, stderr } = run(['--library-xml', LIBRARY_XML, '-t', 'tracks']);
+    assert.equal(status, 0, stderr);
+    assert.deepEqual(lines(stdout), [
+      'Sigur Rós · Hoppípolla',
+      'Simon & Garfunkel · The Boxer',
+      'The Beatles · Come Together',
+      'The Beatles · Something'
+    ]);
+  });
+  
+  test('detailed reads numbers, dates and <true/>/<false/>', () => {
+    const tracks = JSON.parse(run(['--library-xml', LIBRARY_XML, '-t', 'detailed', '-f', 'json']).stdout);
+    const comeTogether = tracks.find(t => t.track === 'Come Together');
+    assert.equal(comeTogether.duration, 259.946);
+    assert.equal(comeTogether.year, 1969);
+    assert.equal(comeTogether.loved, true);
+    assert.equal(comeTogether.last_played, '2024-04-01T20:00:00.000Z');
+    assert.equal(tracks.find(t => t.track === 'Hoppípolla').loved, false);
+  });
+  
+  test('playlists skip the library and built-in playlists', () => {
+    const { status, stdout } = run(['--library-xml', LIBRARY_XML, '-t', 'playlists']);
+    assert.equal(status, 0);
+    assert.deepEqual(lines(stdout), ['Empty', 'Road Trips', 'Rock & <Roll>', 'Travel']);
+  });
+  
+  test('playlists-detailed has folders and smart playlists', () => {
+    const playlists = JSON.parse(run(['--library-xml', LIBRARY_XML, '-t', 'playlists-detailed', '-f', 'json']).stdout);
+    assert.deepEqual(playlists.map(p => [p.path, p.kind, p.track_count]), [
+      ['Travel', 'folder', 2],
+      ['Travel / Road Trips', 'regular', 2],
+      ['Empty', 'regular', 0],
+      ['Rock & <Roll>', 'smart', 2]
+    ]);
+  });
+  
+  test('playlist-tracks', () => {
+    const { status, stdout } = run(['--library-xml', LIBRARY_XML, '-t', 'playlist-tracks', '-f', 'json', '--with-ids']);
+    assert.equal(status, 0);
+    const roadTrips = JSON.parse(stdout).filter(t => t.playlist === 'Road Trips');
+    assert.deepEqual(roadTrips.map(t => [t.track, t.playlist_persistent_id, t.track_persistent_id]), [
+      ['The Boxer', '1A2B3C4D5E6F7081', '1A2B3C4D5E6F0003'],
+      ['Come Together', '1A2B3C4D5E6F7081', '1A2B3C4D5E6F0001']
+    ]);
+  });
+  
+  test('file:// locations become paths in M3U8', () => {
+    const dir = path.join(workDir, 'library-xml-m3u8');
+    const { status, stderr } = run(['--library-xml', LIBRARY_XML, '-t', 'playlist-tracks', '-f', 'm3u8', '-o', dir]);
+    assert.equal(status, 0, stderr);
+    const playlist = readFileSync(path.join(dir, 'Rock & _Roll_.m3u8'), 'utf8');
+    assert.match(playlist, /^\/Users\/me\/Music\/Music\/Media\.localized\/The Beatles\/Abbey Road\/02 Something\.m4a$/m);
+    assert.match(readFileSync(path.join(dir, 'Travel.m3u8'), 'utf8'), /^#PLAYLIST:Travel$/m);
+  });
+});
+
+describe('config file', () => {
+  let configDir;
+  
+  before(() => {
+    configDir = path.join(workDir, 'config');
+    mkdirSync(configDir);
+    writeFileSync(path.join(configDir, '.amlib-export.json'), JSON.stringify({
+      defaults: { dedup: ['nfc', 'diacritics'], playlist: ['Road Trips'], 'with-ids': true, 'ignore-versions': true },
+      profiles: { top: { type: 'playlist-tracks', format: 'json', playlist: ['Top Rated', 'Road Trips'] } }
+    }));
+  });
+  
+  test('defaults are ignored by types they do not apply to', () => {
+    const detailed = runSample(['-t', 'detailed', '-f', 'json'], configDir);
+    assert.equal(detailed.status, 0, detailed.stderr);
+    assert.ok(JSON.parse(detailed.stdout).every(t => t.persistent_id));
+    
+    const consistency = runSample(['-t', 'consistency'], configDir);
+    assert.equal(consistency.status, 0, consistency.stderr);
+  });
+  
+  test('defaults apply to the types they work with', () => {
+    const artists = runSample(['-t', 'artists'], configDir);
+    assert.deepEqual(lines(artists.stdout), ['Berliner Philharmoniker', 'Beyoncé feat. Jay-Z', 'Sigur Rós', 'Simon & Garfunkel', 'The Beatles']);
+    
+    const playlistTracks = runSample(['-t', 'playlist-tracks', '-f', 'json'], configDir);
+    assert.deepEqual([...new Set(JSON.parse(playlistTracks.stdout).map(t => t.playlist))], ['Road Trips']);
+  });
+  
+  test('command-line options are still checked', () => {
+    const { status, stderr } = runSample(['-t', 'detailed', '--dedup', 'nfc'], configDir);
+    assert.equal(status, 1);
+    assert.match(stderr, /--dedup and --dedup-report are only supported/);
+  });
+  
+  test('command-line lists replace config lists', () => {
+    const profile = runSample(['--profile', 'top'], configDir);
+    assert.deepEqual([...new Set(JSON.parse(profile.stdout).map(t => t.playlist))].sort(), ['Road Trips', 'Top Rated']);
+    
+    const replaced = runSample(['--profile', 'top', '--playlist', 'Travel'], configDir);
+    assert.deepEqual([...new Set(JSON.parse(replaced.stdout).map(t => t.playlist))], ['Travel']);
+  });
+  
+  test('a format default is ignored by --preset', () => {
+    const dir = path.join(workDir, 'config-format');
+    mkdirSync(dir);
+    writeFileSync(path.join(dir, '.amlib-export.json'), JSON.stringify({ defaults: { format: 'json' } }));
+    
+    const preset = runSample(['-t', 'playlist-tracks', '--preset', 'tunemymusic'], dir);
+    assert.equal(preset.status, 0, preset.stderr);
+    assert.match(lines(preset.stdout)[0], /^"Track name","Artist name"/);
+    
+    const tracks = runSample(['-t', 'tracks'], dir);
+    assert.equal(JSON.parse(tracks.stdout).length, 8);
+  });
+});
+
+describe('snapshot and diff', () => {
+  test('empty playlists are matched by persistent ID', () => {
+    const library = JSON.parse(readFileSync(SAMPLE, 'utf8'));
+    const genius = library.playlistsDetailed.find(p => p.name === 'Genius Mix');
+    library.playlistTracks.push({ ...library.playlistTracks[0], playlist: 'Genius Mix', playlistPersistentId: genius.persistentId });
+    genius.trackCount = 1;
+    library.playlistsDetailed.push({ ...genius, name: 'Road Trips', persistentId: '6F708192A3B4C5D6', trackCount: 0 });
+    const changed = path.join(workDir, 'changed-library.json');
+    writeFileSync(changed, JSON.stringify(library));
+    
+    const before = path.join(workDir, 'before.snapshot.json');
+    const after = path.join(workDir, 'after.snapshot.json');
+    assert.equal(run(['snapshot', '--fixture', SAMPLE, '-o', before]).status, 0);
+    assert.equal(run(['snapshot', '--fixture', changed, '-o', after]).status, 0);
+    
+    const { status, stdout, stderr } = run(['diff', before, after, '-f', 'json']);
+    assert.equal(status, 0, stderr);
+    const { playlists } = JSON.parse(stdout);
+    assert.deepEqual(playlists.added.map(p => p.name), ['Road Trips']);
+    assert.deepEqual(playlists.removed, []);
+    assert.deepEqual(playlists.changed.map(p => [p.name, p.added.length, p.removed.length]), [['Genius Mix', 1, 0]]);
+  });
+});
+
+describe('fixture failures', () => {
+  test('denied Automation permission exits 3', () => {
+    const { status, stdout, stderr } = run(['--fixture', path.join(ROOT, 'fixtures', 'permission-denied.json')]);
+    assert.equal(status, 3);
+    assert.equal(stdout, '');
+    assert.match(stderr, /Automation permission denied/);
+  });
+  
+  test('unavailable Music.app exits 2', () => {
+    const { status, stdout, stderr } = run(['--fixture', path.join(ROOT, 'fixtures', 'music-unavailable.json')]);
+    assert.equal(status, 2);
+    assert.equal(stdout, '');
+    assert.match(stderr, /Music\.app is not available/);
+  });
+  
+  test('unreadable fixture exits 8', () => {
+    const file = path.join(workDir, 'broken.json');
+    writeFileSync(file, '{"version": 1, "tracks": [');
+    assert.equal(run(['--fixture', file]).status, 8);
+  });
+  
+  test('malformed Library.xml exits 6', () => {
+    const file = path.join(workDir, 'broken.xml');
+    writeFileSync(file, '<?xml version="1.0" encoding="UTF-8"?>\n<plist version="1.0">\n<dict>\n\t<key>Tracks</key>\n\t<dict>\n');
+    const { status, stdout, stderr } = run(['--library-xml', file, '-t', 'tracks']);
+    assert.equal(status, 6);
+    assert.equal(stdout, '');
+    assert.match(stderr, /Could not read the library XML file/);
+  });
+  
+  test('unwritable --out exits 5', () => {
+    // A path below a regular file can't be created, even by root
+    const file = path.join(workDir, 'not-a-directory');
+    writeFileSync(file, '');
+    for (const args of [['-t', 'artists'], ['-t', 'detailed', '-f', 'json'], ['-t', 'playlist-tracks', '-f', 'm3u8']]) {
+      const { status, stderr } = runSample([...args, '-o', path.join(file, 'out')]);
+      assert.equal(status, 5, args.join(' '));
+      assert.match(stderr, /Failed to write the output file/);
+    }
+  });
+});
@@ -0,0 +1,117 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseFilter,
+  filterRecords,
+  findUnavailableFields,
+  formatFilterError,
+  FilterSyntaxError
+} from '../src/filter.js';
+
+const TRACKS = [
+  { title: 'Come Together', artist: 'The Beatles', album: 'Abbey Road', genre: 'Rock', year: 1969, playCount: 12, loved: true, lastPlayed: '2024-04-01T20:00:00.000Z' },
+  { title: 'Something', artist: 'the beatles', album: 'Abbey Road', genre: 'Rock', year: 1969, playCount: 0, loved: false, lastPlayed: null },
+  { title: 'Hoppípolla', artist: 'Sigur Rós', album: 'Takk...', genre: 'Post-Rock', year: 2005, playCount: 0, loved: false, lastPlayed: null },
+  { title: 'The Boxer (Remastered)', artist: 'Simon & Garfunkel', album: '', genre: '', year: null, playCount: 3, loved: false, lastPlayed: '2023-01-01T00:00:00.000Z' }
+];
+
+/**
+ * Titles of the sample tracks matching an expression
+ * @param {string} expression - Filter expression
+ * @returns {string[]} Matching titles
+ */
+function titles(expression) {
+  return filterRecords(TRACKS, parseFilter(expression)).map(t => t.title);
+}
+
+describe('parseFilter', () => {
+  test('= compares case-insensitively', () => {
+    assert.deepEqual(titles('artist = "THE BEATLES"'), ['Come Together', 'Something']);
+  });
+  
+  test('!= and empty values', () => {
+    assert.deepEqual(titles('album = ""'), ['The Boxer (Remastered)']);
+    assert.deepEqual(titles('album != empty'), ['Come Together', 'Something', 'Hoppípolla']);
+  });
+  
+  test('~ contains and matches regexes', () => {
+    assert.deepEqual(titles('title ~ "box"'), ['The Boxer (Remastered)']);
+    assert.deepEqual(titles('title ~ /remaster(ed)?/i'), ['The Boxer (Remastered)']);
+    assert.deepEqual(titles('title !~ /^(come|some)/i'), ['Hoppípolla', 'The Boxer (Remastered)']);
+  });
+  
+  test('numeric comparisons skip empty values', () => {
+    assert.deepEqual(titles('year < 2000'), ['Come Together', 'Something']);
+    assert.deepEqual(titles('year >= 1969'), ['Come Together', 'Something', 'Hoppípolla']);
+    assert.deepEqual(titles('play_count = 0'), ['Something', 'Hoppípolla']);
+  });
+  
+  test('dates compare as ISO strings', () => {
+    assert.deepEqual(titles('last_played >= "2024"'), ['Come Together']);
+  });
+  
+  test('booleans', () => {
+    assert.deepEqual(titles('loved = true'), ['Come Together']);
+    assert.deepEqual(titles('not loved = true and play_count > 0'), ['The Boxer (Remastered)']);
+  });
+  
+  test('and binds tighter than or; parentheses group', () => {
+    assert.deepEqual(titles('genre = "Rock" and year = 1969 or artist ~ "sigur"'), ['Come Together', 'Something', 'Hoppípolla']);
+    assert.deepEqual(titles('genre = "Rock" and (title = "Something" or artist ~ "sigur")'), ['Something']);
+  });
+  
+  test('track is an alias for title on playlist tracks', () => {
+    const filter = parseFilter('track = "Something"');
+    assert.ok(filter.test({ playlist: 'Road Trips', track: 'Something' }));
+  });
+  
+  test('collects the fields used', () => {
+    assert.deepEqual([...parseFilter('artist ~ "a" or (year > 1 and not loved = true)').fields], ['artist', 'year', 'loved']);
+  });
+});
+
+describe('filter errors', () => {
+  const cases = [
+    ['', /Empty filter expression/, 0],
+    ['artist ~ "Beatles', /Unterminated string/, 9],
+    ['title ~ /(/', /Invalid regular expression/, 8],
+    ['colour = "red"', /Unknown field "colour"/, 0],
+    ['artist "Beatles"', /Expected an operator/, 7],
+    ['artist =', /Expected a value, found end of expression/, 8],
+    ['artist = /x/', /only work with ~ and !~/, 9],
+    ['loved > true', /only work with = and !=/, 8],
+    ['(artist = "a"', /Expected "\)"/, 13],
+    ['artist = "a" year = 1', /combine conditions with "and" or "or"/, 13],
+    ['artist = "a" $', /Unexpected character "\$"/, 13]
+  ];
+  
+  for (const [expression, message, position] of cases) {
+    test(JSON.stringify(expression), () => {
+      assert.throws(() => parseFilter(expression), (err) => {
+        assert.ok(err instanceof FilterSyntaxError);
+        assert.match(err.message, message);
+        assert.equal(err.position, position);
+        return true;
+      });
+    });
+  }
+  
+  test('formatFilterError points at the position', () => {
+    const err = new FilterSyntaxError('Unknown field "colour"', 4);
+    assert.equal(formatFilterError('not colour = 1', err), 'Error: Invalid filter: Unknown field "colour"\n\n  not colour = 1\n      ^');
+  });
+});
+
+describe('findUnavailableFields', () => {
+  test('reports fields playlist tracks do not have', () => {
+    const filter = parseFilter('playlist ~ "Road" and year > 2000');
+    assert.deepEqual(findUnavailableFields(filter, 'playlist-tracks'), ['year']);
+    assert.deepEqual(findUnavailableFields(filter, 'tracks'), ['playlist']);
+  });
+});
+
+describe('filterRecords', () => {
+  test('keeps everything without a filter', () => {
+    assert.equal(filterRecords(TRACKS, null), TRACKS);
+  });
+});
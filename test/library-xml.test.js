@@ -0,0 +1,65 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePlist, buildLibrary } from '../src/library-xml.js';
+
+/**
+ * Wrap plist body XML in a plist document
+ * @param {string} body - Root value XML
+ * @returns {string} Document
+ */
+function plist(body) {
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<plist version="1.0">\n${body}\n</plist>\n`;
+}
+
+describe('parsePlist', () => {
+  test('reads every value type', () => {
+    const value = parsePlist(plist(`<dict>
+      <key>string</key><string>a</string>
+      <key>integer</key><integer>-42</integer>
+      <key>real</key><real>1.5</real>
+      <key>date</key><date>2024-05-01T10:00:00Z</date>
+      <key>data</key><data>
+        AQID
+        BA==
+      </data>
+      <key>yes</key><true/>
+      <key>no</key><false/>
+      <key>array</key><array><integer>1</integer><string>two</string></array>
+    </dict>`));
+    assert.deepEqual(value, {
+      string: 'a',
+      integer: -42,
+      real: 1.5,
+      date: new Date('2024-05-01T10:00:00Z'),
+      data: 'AQIDBA==',
+      yes: true,
+      no: false,
+      array: [1, 'two']
+    });
+  });
+  
+  test('decodes entities and character references', () => {
+    const value = parsePlist(plist('<dict><key>A &amp; B</key><string>&lt;&gt;&quot;&apos; R&#xF3;s Hopp&#237;polla &copy;</string></dict>'));
+    assert.deepEqual(value, { 'A & B': '<>"\' Rós Hoppípolla &copy;' });
+  });
+  
+  test('reads empty elements', () => {
+    const value = parsePlist(plist('<dict><key>s</key><string/><key>d</key><dict/><key>a</key><array/></dict>'));
+    assert.deepEqual(value, { s: '', d: {}, a: [] });
+  });
+  
+  test('rejects malformed documents', () => {
+    assert.throws(() => parsePlist(plist('<dict><key>a</key><string>b</string>')), /ended before all elements were closed/);
+    assert.throws(() => parsePlist(plist('<dict></array>')), /Unexpected <\/array>/);
+    assert.throws(() => parsePlist(plist('<dict><string>b</string></dict>')), /without a preceding <key>/);
+    assert.throws(() => parsePlist(plist('<array><key>a</key></array>')), /<key> outside of a dict/);
+    assert.throws(() => parsePlist(plist('<set></set>')), /Unsupported plist element <set>/);
+    assert.throws(() => parsePlist(plist('')), /contains no value/);
+  });
+});
+
+describe('buildLibrary', () => {
+  test('rejects plists that are not library exports', () => {
+    assert.throws(() => buildLibrary({ Playlists: [] }), /missing "Tracks" dictionary/);
+  });
+});
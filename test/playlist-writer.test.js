@@ -0,0 +1,18 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateM3U8 } from '../src/playlist-writer.js';
+
+describe('generateM3U8', () => {
+  test('keeps line breaks in names and tags on one line', () => {
+    const m3u8 = generateM3U8('Road\nTrips', [
+      { track: 'Come\r\nTogether', artist: 'The Beatles', album: 'Abbey\nRoad', duration: 259.946, location: '/Music/01 Come Together.m4a' }
+    ]);
+    assert.deepEqual(m3u8.split('\n').filter(line => line !== ''), [
+      '#EXTM3U',
+      '#PLAYLIST:Road Trips',
+      '#EXTINF:260,The Beatles - Come Together',
+      '#EXTALB:Abbey Road',
+      '/Music/01 Come Together.m4a'
+    ]);
+  });
+});
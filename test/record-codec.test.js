@@ -0,0 +1,146 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  decodeRecords,
+  decodeJSONRecords,
+  decodeField,
+  parseTotal,
+  parseProgress,
+  RecordFormatError,
+  UNIT_SEPARATOR as US,
+  RECORD_SEPARATOR as RS
+} from '../src/record-codec.js';
+
+const HEADER = `#fields${US}title${US}artist`;
+
+/**
+ * Assert that decoding throws a RecordFormatError
+ * @param {Function} fn - Decoding call
+ * @param {number} index - Expected record number
+ * @param {RegExp} message - Expected message
+ */
+function assertMalformed(fn, index, message) {
+  assert.throws(fn, (err) => {
+    assert.ok(err instanceof RecordFormatError);
+    assert.equal(err.index, index);
+    assert.match(err.message, message);
+    return true;
+  });
+}
+
+describe('decodeRecords', () => {
+  test('decodes records by header field', () => {
+    const records = decodeRecords([HEADER, `Come Together${US}The Beatles${RS}`, `Something${US}\\0${RS}`, '']);
+    assert.deepEqual(records, [
+      { title: 'Come Together', artist: 'The Beatles' },
+      { title: 'Something', artist: null }
+    ]);
+  });
+  
+  test('unescapes fields', () => {
+    const [record] = decodeRecords([HEADER, `a\\nb\\\\c${US}d\\x1fe\\x1ef\\r${RS}`]);
+    assert.deepEqual(record, { title: 'a\nb\\c', artist: `d${US}e${RS}f\r` });
+  });
+  
+  test('skips the #total line', () => {
+    const records = decodeRecords([HEADER, `#total${US}1`, `Come Together${US}The Beatles${RS}`]);
+    assert.equal(records.length, 1);
+  });
+  
+  test('rejects missing output', () => {
+    assertMalformed(() => decodeRecords([]), 0, /no output/);
+  });
+  
+  test('rejects a missing header', () => {
+    assertMalformed(() => decodeRecords([`Come Together${US}The Beatles${RS}`]), 0, /expected "#fields" header/);
+  });
+  
+  test('rejects a header without the expected fields', () => {
+    assertMalformed(
+      () => decodeRecords([HEADER], { expectedFields: ['title', 'album'] }),
+      0,
+      /missing fields: album/
+    );
+  });
+  
+  test('rejects a truncated record', () => {
+    assertMalformed(
+      () => decodeRecords([HEADER, `Come Together${US}The Beatles${RS}`, `Something${US}The Bea`]),
+      2,
+      /truncated/
+    );
+  });
+  
+  test('rejects a record with the wrong number of fields', () => {
+    assertMalformed(() => decodeRecords([HEADER, `Come Together${RS}`]), 1, /expected 2 fields, got 1/);
+  });
+  
+  test('numbers records after the #total line', () => {
+    assertMalformed(() => decodeRecords([HEADER, `#total${US}5`, `x${RS}`]), 1, /Malformed record #1/);
+  });
+  
+  test('rejects an unknown escape', () => {
+    assertMalformed(() => decodeRecords([HEADER, `a\\tb${US}c${RS}`]), 1, /invalid escape sequence "\\t"/);
+  });
+  
+  test('rejects a trailing backslash', () => {
+    assertMalformed(() => decodeField('abc\\', 3), 3, /invalid escape sequence "\\"/);
+  });
+});
+
+describe('parseTotal', () => {
+  test('reads the record count', () => {
+    assert.equal(parseTotal(`#total${US}58000`), 58000);
+  });
+  
+  test('ignores other lines and bad counts', () => {
+    assert.equal(parseTotal(undefined), null);
+    assert.equal(parseTotal(`#totals${US}1`), null);
+    assert.equal(parseTotal(`#total${US}-1`), null);
+    assert.equal(parseTotal(`#total${US}many`), null);
+  });
+});
+
+describe('parseProgress', () => {
+  test('reads the records fetched so far', () => {
+    assert.equal(parseProgress(`#progress${US}200`), 200);
+    assert.equal(parseProgress(`#total${US}200`), null);
+    assert.equal(parseProgress(`#progress${US}-1`), null);
+  });
+});
+
+describe('decodeJSONRecords', () => {
+  test('decodes rows by field', () => {
+    const records = decodeJSONRecords('{"fields": ["title", "artist"], "rows": [["Something", null]]}');
+    assert.deepEqual(records, [{ title: 'Something', artist: null }]);
+  });
+  
+  test('rejects invalid JSON', () => {
+    assertMalformed(() => decodeJSONRecords('{"fields": ['), 0, /invalid JSON/);
+  });
+  
+  test('rejects a document without fields and rows', () => {
+    assertMalformed(() => decodeJSONRecords('{"rows": []}'), 0, /expected \{"fields"/);
+    assertMalformed(() => decodeJSONRecords('null'), 0, /expected \{"fields"/);
+  });
+  
+  test('rejects a row with the wrong number of fields', () => {
+    assertMalformed(
+      () => decodeJSONRecords('{"fields": ["title", "artist"], "rows": [["a", "b"], ["c"]]}'),
+      2,
+      /expected 2 fields, got 1/
+    );
+  });
+  
+  test('rejects a row that is not an array', () => {
+    assertMalformed(() => decodeJSONRecords('{"fields": ["title"], "rows": ["a"]}'), 1, /got string/);
+  });
+  
+  test('rejects values that are not strings', () => {
+    assertMalformed(
+      () => decodeJSONRecords('{"fields": ["title", "year"], "rows": [["a", 1969]]}'),
+      1,
+      /field "year" is number/
+    );
+  });
+});